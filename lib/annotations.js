@@ -0,0 +1,135 @@
+const { PDFDocument, PDFDict, PDFName, PDFNumber, PDFRef, PDFHexString, PDFString } = require("pdf-lib");
+
+// Kinds of annotations: highlighted passages, notes on a page or passage, and bookmarked pages
+const ANNOTATION_TYPES = ["highlight", "comment", "bookmark"];
+
+// Color of annotations created without one
+const DEFAULT_ANNOTATION_COLOR = "#ffeb3b";
+
+// Size of the note icon of exported comments, in points
+const NOTE_ICON_SIZE = 24;
+
+const parseColor = (color) => [1, 3, 5].map((index) => parseInt(color.slice(index, index + 2), 16) / 255);
+
+// Convert a point given in points from the top left corner of the page as it is displayed
+// (the coordinates of annotation quads) into the user space of the page
+const toUserSpace = (page) => {
+	const { x: x0, y: y0, width, height } = page.getCropBox();
+	const rotation = ((page.getRotation().angle % 360) + 360) % 360;
+
+	return (x, y) => {
+		switch (rotation) {
+			case 90:
+				return [x0 + y, y0 + x];
+			case 180:
+				return [x0 + width - x, y0 + y];
+			case 270:
+				return [x0 + width - y, y0 + height - x];
+			default:
+				return [x0 + x, y0 + height - y];
+		}
+	};
+};
+
+// Append bookmarks to the outline of a document, after its existing entries
+const addOutlineItems = (doc, items) => {
+	const { context, catalog } = doc;
+
+	let outlines = catalog.lookupMaybe(PDFName.of("Outlines"), PDFDict);
+	if (!outlines) {
+		outlines = context.obj({ Type: "Outlines", Count: 0 });
+	}
+	// Entries point back at the outline dictionary, so it has to be an indirect object
+	let outlinesRef = catalog.get(PDFName.of("Outlines"));
+	if (!(outlinesRef instanceof PDFRef)) {
+		outlinesRef = context.register(outlines);
+		catalog.set(PDFName.of("Outlines"), outlinesRef);
+	}
+
+	for (const { title, page } of items) {
+		const item = context.obj({ Title: PDFHexString.fromText(title), Parent: outlinesRef, Dest: [page.ref, "Fit"] });
+		const itemRef = context.register(item);
+
+		const lastRef = outlines.get(PDFName.of("Last"));
+		if (lastRef instanceof PDFRef) {
+			item.set(PDFName.of("Prev"), lastRef);
+			context.lookup(lastRef, PDFDict).set(PDFName.of("Next"), itemRef);
+		} else {
+			outlines.set(PDFName.of("First"), itemRef);
+		}
+		outlines.set(PDFName.of("Last"), itemRef);
+
+		const count = outlines.lookupMaybe(PDFName.of("Count"), PDFNumber);
+		outlines.set(PDFName.of("Count"), PDFNumber.of((count ? Math.abs(count.asNumber()) : 0) + 1));
+	}
+};
+
+/**
+ * Write annotations into a copy of a PDF as standard PDF annotations, so any
+ * viewer shows them: highlights become Highlight annotations over their quads
+ * (with the note as their contents), comments become notes (Text
+ * annotations) next to their passage or at the top of the page, and
+ * bookmarks become entries at the end of the document outline. Highlights
+ * without quads, such as those on OCR pages, are exported as notes.
+ * @param {Buffer} dataBuffer - Raw PDF bytes; encrypted PDFs cannot be exported
+ * @param {Array<{id: string, type: string, page: number, quads?: number[][], text?: string, note?: string, color: string, updatedAt: string}>} annotations
+ * @returns {Promise<Buffer>}
+ */
+const exportAnnotatedPdf = async (dataBuffer, annotations) => {
+	const doc = await PDFDocument.load(dataBuffer, { updateMetadata: false });
+	const bookmarks = [];
+
+	for (const annotation of annotations) {
+		const page = doc.getPage(annotation.page - 1);
+
+		if (annotation.type === "bookmark") {
+			bookmarks.push({ title: annotation.note || `Page ${annotation.page}`, page });
+			continue;
+		}
+
+		const toPoint = toUserSpace(page);
+		const quads = (annotation.quads || []).map((quad) => [0, 2, 4, 6].flatMap((index) => toPoint(quad[index], quad[index + 1])));
+		const common = {
+			Type: "Annot",
+			Contents: PDFHexString.fromText(annotation.note || annotation.text || ""),
+			NM: PDFString.of(annotation.id),
+			M: PDFString.fromDate(new Date(annotation.updatedAt)),
+			C: parseColor(annotation.color),
+			// Printable
+			F: 4,
+		};
+
+		let dict;
+		if (annotation.type === "highlight" && quads.length > 0) {
+			const xs = quads.flatMap((quad) => quad.filter((value, index) => index % 2 === 0));
+			const ys = quads.flatMap((quad) => quad.filter((value, index) => index % 2 === 1));
+			dict = doc.context.obj({
+				...common,
+				Subtype: "Highlight",
+				Rect: [Math.min(...xs), Math.min(...ys), Math.max(...xs), Math.max(...ys)],
+				QuadPoints: quads.flat(),
+			});
+		} else {
+			// Notes sit at the upper right corner of their passage, or the upper left corner of the page
+			const [x, y] = quads.length > 0 ? [quads[0][2], quads[0][3]] : toPoint(0, 0);
+			dict = doc.context.obj({
+				...common,
+				Subtype: "Text",
+				Name: "Comment",
+				Rect: [x, y - NOTE_ICON_SIZE, x + NOTE_ICON_SIZE, y],
+				Open: false,
+			});
+		}
+
+		page.node.addAnnot(doc.context.register(dict));
+	}
+
+	addOutlineItems(doc, bookmarks);
+	return Buffer.from(await doc.save());
+};
+
+module.exports = {
+	ANNOTATION_TYPES,
+	DEFAULT_ANNOTATION_COLOR,
+	exportAnnotatedPdf,
+};
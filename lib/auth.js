@@ -0,0 +1,171 @@
+const crypto = require("crypto");
+
+// User that owns everything when authentication is not configured
+const ANONYMOUS_USER = { id: "anonymous" };
+
+const sha256 = (value) => crypto.createHash("sha256").update(value).digest();
+
+/**
+ * Build an API key verifier from a "key:userId,key:userId" list (API_KEYS).
+ * @param {string} spec
+ * @returns {(key: string) => {id: string}|null}
+ */
+const createApiKeyVerifier = (spec) => {
+	const entries = spec
+		.split(",")
+		.map((entry) => entry.trim())
+		.filter(Boolean)
+		.map((entry) => {
+			const separator = entry.lastIndexOf(":");
+			if (separator <= 0 || separator === entry.length - 1) {
+				throw new Error('API_KEYS entries must look like "key:userId"');
+			}
+			return { hash: sha256(entry.slice(0, separator)), userId: entry.slice(separator + 1) };
+		});
+
+	return (key) => {
+		// Compare hashes so every comparison takes the same time whatever the key
+		const hash = sha256(key);
+		const match = entries.find((entry) => crypto.timingSafeEqual(entry.hash, hash));
+		return match ? { id: match.userId } : null;
+	};
+};
+
+const base64UrlDecode = (value) => Buffer.from(value.replace(/-/g, "+").replace(/_/g, "/"), "base64");
+
+/**
+ * Build a verifier for HS256-signed JWTs. The user id is taken from the `sub` claim.
+ * @param {{secret: string, issuer?: string, audience?: string}} options
+ * @returns {(token: string) => {id: string}|null}
+ */
+const createJwtVerifier = ({ secret, issuer, audience }) => (token) => {
+	const parts = token.split(".");
+	if (parts.length !== 3) {
+		return null;
+	}
+
+	try {
+		const header = JSON.parse(base64UrlDecode(parts[0]).toString("utf8"));
+		if (header.alg !== "HS256") {
+			return null;
+		}
+
+		const expected = crypto.createHmac("sha256", secret).update(`${parts[0]}.${parts[1]}`).digest();
+		const signature = base64UrlDecode(parts[2]);
+		if (signature.length !== expected.length || !crypto.timingSafeEqual(signature, expected)) {
+			return null;
+		}
+
+		const claims = JSON.parse(base64UrlDecode(parts[1]).toString("utf8"));
+		const now = Math.floor(Date.now() / 1000);
+
+		if (typeof claims.exp === "number" && now >= claims.exp) {
+			return null;
+		}
+		if (typeof claims.nbf === "number" && now < claims.nbf) {
+			return null;
+		}
+		if (issuer && claims.iss !== issuer) {
+			return null;
+		}
+		if (audience && !(Array.isArray(claims.aud) ? claims.aud : [claims.aud]).includes(audience)) {
+			return null;
+		}
+		if (typeof claims.sub !== "string" || !claims.sub) {
+			return null;
+		}
+
+		return { id: claims.sub };
+	} catch (error) {
+		return null;
+	}
+};
+
+/**
+ * Create the authentication middleware. Credentials are read from the
+ * `X-API-Key` header, an `Authorization: Bearer` header, or, for GET requests
+ * made by clients that cannot set headers (EventSource, <iframe>), the
+ * `access_token` query parameter. Verifiers can be async and return the
+ * user (`{ id }`) or null.
+ *
+ * With no verifier configured every request is made as the anonymous user.
+ * @param {{verifyApiKey?: Function, verifyToken?: Function}} verifiers
+ * @returns {import("express").RequestHandler & {enabled: boolean}}
+ */
+const createAuthMiddleware = ({ verifyApiKey, verifyToken } = {}) => {
+	const enabled = Boolean(verifyApiKey || verifyToken);
+
+	const authenticate = async (req, res, next) => {
+		if (!enabled) {
+			req.user = ANONYMOUS_USER;
+			return next();
+		}
+
+		try {
+			const authorization = req.get("Authorization") || "";
+			const bearer = authorization.startsWith("Bearer ") ? authorization.slice(7).trim() : "";
+			const queryToken = req.method === "GET" && typeof req.query.access_token === "string" ? req.query.access_token : "";
+			const apiKey = req.get("X-API-Key") || "";
+			const credential = bearer || queryToken;
+
+			let user = null;
+			if (apiKey && verifyApiKey) {
+				user = await verifyApiKey(apiKey);
+			} else if (credential) {
+				// JWTs have three dot-separated parts, anything else is treated as an API key
+				const looksLikeJwt = credential.split(".").length === 3;
+				if (looksLikeJwt && verifyToken) {
+					user = await verifyToken(credential);
+				} else if (verifyApiKey) {
+					user = await verifyApiKey(credential);
+				}
+			}
+
+			if (!user) {
+				res.setHeader("WWW-Authenticate", 'Bearer realm="pdf-chat"');
+				return res.status(401).json({ error: apiKey || credential ? "Invalid credentials" : "Authentication required" });
+			}
+
+			req.user = user;
+			next();
+		} catch (error) {
+			next(error);
+		}
+	};
+
+	authenticate.enabled = enabled;
+	return authenticate;
+};
+
+/**
+ * Create the authentication middleware configured through the environment:
+ * API_KEYS enables API keys, JWT_SECRET (with optional JWT_ISSUER and
+ * JWT_AUDIENCE) enables JWT bearer tokens. Without either the server refuses
+ * to start, unless AUTH_REQUIRED=false or NODE_ENV=development lets every
+ * request through as the anonymous user.
+ */
+const createAuthFromEnv = () => {
+	const verifyApiKey = process.env.API_KEYS ? createApiKeyVerifier(process.env.API_KEYS) : undefined;
+	const verifyToken = process.env.JWT_SECRET
+		? createJwtVerifier({
+				secret: process.env.JWT_SECRET,
+				issuer: process.env.JWT_ISSUER,
+				audience: process.env.JWT_AUDIENCE,
+			})
+		: undefined;
+
+	const required = process.env.AUTH_REQUIRED ? process.env.AUTH_REQUIRED !== "false" : process.env.NODE_ENV !== "development";
+	if (!verifyApiKey && !verifyToken && required) {
+		throw new Error("Authentication is required but neither API_KEYS nor JWT_SECRET is configured. Set AUTH_REQUIRED=false to run without it.");
+	}
+
+	return createAuthMiddleware({ verifyApiKey, verifyToken });
+};
+
+module.exports = {
+	ANONYMOUS_USER,
+	createApiKeyVerifier,
+	createJwtVerifier,
+	createAuthMiddleware,
+	createAuthFromEnv,
+};
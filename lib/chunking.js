@@ -0,0 +1,56 @@
+const DEFAULT_CHUNK_SIZE = parseInt(process.env.CHUNK_SIZE) || 1000;
+// 0 turns the overlap off, so only a missing or invalid value falls back to the default
+const DEFAULT_CHUNK_OVERLAP = parseInt(process.env.CHUNK_OVERLAP) >= 0 ? parseInt(process.env.CHUNK_OVERLAP) : 200;
+
+// Move `index` back to the nearest whitespace so chunks do not cut words in half
+const backToBoundary = (text, index, minIndex) => {
+	if (index >= text.length) {
+		return text.length;
+	}
+	for (let i = index; i > minIndex; i--) {
+		if (/\s/.test(text[i])) {
+			return i;
+		}
+	}
+	return index;
+};
+
+/**
+ * Split page texts into overlapping chunks. Chunks never cross a page
+ * boundary, so every chunk belongs to exactly one page, and `start`/`end`
+ * are character offsets into that page's text.
+ * @param {Array<{page: number, text: string}>} pageTexts
+ * @param {{chunkSize?: number, overlap?: number}} [options]
+ * @returns {Array<{id: string, page: number, start: number, end: number, text: string}>}
+ */
+const chunkPages = (pageTexts, options = {}) => {
+	const chunkSize = options.chunkSize || DEFAULT_CHUNK_SIZE;
+	const overlap = Math.min(options.overlap ?? DEFAULT_CHUNK_OVERLAP, Math.floor(chunkSize / 2));
+	const chunks = [];
+
+	for (const { page, text } of pageTexts) {
+		let start = 0;
+		let index = 0;
+
+		while (start < text.length) {
+			const end = backToBoundary(text, start + chunkSize, start + Math.floor(chunkSize / 2));
+			const chunkText = text.slice(start, end);
+
+			if (chunkText.trim()) {
+				chunks.push({ id: `p${page}-c${index}`, page, start, end, text: chunkText });
+				index++;
+			}
+
+			if (end >= text.length) {
+				break;
+			}
+			start = Math.max(backToBoundary(text, end - overlap, start), start + 1);
+		}
+	}
+
+	return chunks;
+};
+
+module.exports = {
+	chunkPages,
+};
@@ -0,0 +1,176 @@
+// A run of citation markers such as "[2]", "[1, 3]" or "[1][4]"
+const MARKER_RUN_PATTERN = /(?:\[\d+(?:\s*,\s*\d+)*\]\s*)+/g;
+
+// A quoted span that ends right where the markers start
+const TRAILING_QUOTE_PATTERN = /["“]([^"“”]+)["”][.,;:]?\s*$/;
+
+// Punctuation the model may add inside or around a quote that is not part of the source
+const EDGE_PUNCTUATION_PATTERN = /^[\s.,;:!?'"-]+|[\s.,;:!?'"-]+$/g;
+
+/**
+ * Number retrieved passages so the model can cite them as [1], [2], ...
+ * Surrounding whitespace is trimmed from the passages and their offsets.
+ * @param {Array<{pdfId: string, filename: string, page: number, start: number, end: number, text: string, score: number}>} chunks - Ranked passages
+ * @returns {Array<{id: number, pdfId: string, filename: string, page: number, start: number, end: number, text: string, score: number}>}
+ */
+const numberSources = (chunks) =>
+	chunks.map((chunk, index) => {
+		const leadingWhitespace = chunk.text.length - chunk.text.trimStart().length;
+		return {
+			id: index + 1,
+			pdfId: chunk.pdfId,
+			filename: chunk.filename,
+			page: chunk.page,
+			start: chunk.start + leadingWhitespace,
+			end: chunk.start + chunk.text.trimEnd().length,
+			text: chunk.text.trim(),
+			score: Number(chunk.score.toFixed(4)),
+		};
+	});
+
+/**
+ * Format numbered sources as the context block of a prompt.
+ * @param {Array<{id: number, filename: string, page: number, text: string}>} sources
+ * @returns {string}
+ */
+const formatSources = (sources) => sources.map((source) => `[${source.id}] ${source.filename}, page ${source.page}\n${source.text}`).join("\n\n");
+
+// Lowercase the text and fold whitespace, quotes and dashes, remembering where every
+// character of the result came from in the original text
+const normalizeWithMap = (text) => {
+	let normalized = "";
+	const map = [];
+
+	for (let i = 0; i < text.length; i++) {
+		let char = text[i];
+		if (/\s/.test(char)) {
+			if (normalized === "" || normalized.endsWith(" ")) {
+				continue;
+			}
+			char = " ";
+		} else {
+			char = char.toLowerCase().replace(/[‘’]/g, "'").replace(/[“”]/g, '"').replace(/[‐‑‒–—]/g, "-");
+		}
+
+		for (const normalizedChar of char) {
+			normalized += normalizedChar;
+			map.push(i);
+		}
+	}
+
+	return { normalized, map };
+};
+
+/**
+ * Find a quote in a source text, ignoring case, whitespace and typographic
+ * differences. Quotes shortened with an ellipsis match when their parts occur
+ * in order.
+ * @param {string} quote
+ * @param {string} text
+ * @returns {{start: number, end: number}|null} offsets of the quoted span in `text`
+ */
+const findQuote = (quote, text) => {
+	const parts = quote
+		.split(/\.\.\.|…/)
+		.map((part) => normalizeWithMap(part).normalized.replace(EDGE_PUNCTUATION_PATTERN, ""))
+		.filter(Boolean);
+	if (parts.length === 0) {
+		return null;
+	}
+
+	const { normalized, map } = normalizeWithMap(text);
+	let searchFrom = 0;
+	let start = null;
+	let end = null;
+
+	for (const part of parts) {
+		const index = normalized.indexOf(part, searchFrom);
+		if (index === -1) {
+			return null;
+		}
+		if (start === null) {
+			start = map[index];
+		}
+		end = map[index + part.length - 1] + 1;
+		searchFrom = index + part.length;
+	}
+
+	return { start, end };
+};
+
+/**
+ * Turn the citation markers of an answer into citations of the numbered
+ * sources. A quote right before a marker ("..." [2]) is checked against the
+ * text of the cited source and, when found, the citation points at the quoted
+ * span instead of the whole passage. Offsets are character offsets into the
+ * text of the cited page.
+ *
+ * A citation is `verified` when its source exists and its quote, if any, was
+ * found in that source. Unverified citations carry a `reason` and are left
+ * out with `dropUnverified`.
+ * @param {string} answer - Model answer
+ * @param {Array} sources - Sources from numberSources()
+ * @param {{dropUnverified?: boolean}} [options]
+ * @returns {Array<object>} citations in order of first appearance
+ */
+const groundCitations = (answer, sources, { dropUnverified = false } = {}) => {
+	const citations = [];
+	const seen = new Set();
+
+	for (const match of (answer || "").matchAll(MARKER_RUN_PATTERN)) {
+		const ids = [...new Set((match[0].match(/\d+/g) || []).map(Number))];
+		const quoteMatch = answer.slice(0, match.index).match(TRAILING_QUOTE_PATTERN);
+		const quote = quoteMatch ? quoteMatch[1].trim() : null;
+
+		for (const id of ids) {
+			const key = `${id}\n${quote}`;
+			if (seen.has(key)) {
+				continue;
+			}
+			seen.add(key);
+
+			const source = sources.find((candidate) => candidate.id === id);
+			if (!source) {
+				citations.push({ source: id, quote, verified: false, reason: "unknown-source" });
+				continue;
+			}
+
+			const citation = {
+				source: id,
+				pdfId: source.pdfId,
+				filename: source.filename,
+				page: source.page,
+				start: source.start,
+				end: source.end,
+				text: source.text,
+				quote,
+				score: source.score,
+				confidence: source.score,
+				verified: true,
+			};
+
+			if (quote) {
+				const span = findQuote(quote, source.text);
+				if (span) {
+					citation.start = source.start + span.start;
+					citation.end = source.start + span.end;
+					citation.text = source.text.slice(span.start, span.end);
+				} else {
+					citation.verified = false;
+					citation.reason = "quote-not-found";
+				}
+			}
+
+			citations.push(citation);
+		}
+	}
+
+	return dropUnverified ? citations.filter((citation) => citation.verified) : citations;
+};
+
+module.exports = {
+	numberSources,
+	formatSources,
+	findQuote,
+	groundCitations,
+};
@@ -0,0 +1,315 @@
+// Paragraphs longer than this many words times words are compared as a whole instead of word by word
+const MAX_WORD_DIFF_CELLS = 1000000;
+
+// Revised paragraphs at least this similar to a removed one are reported as changed instead of removed and added
+const CHANGED_SIMILARITY = 0.5;
+
+// Lines starting like a list item or a numbered clause begin a new paragraph
+const LIST_ITEM_PATTERN = /^\s*(?:[•\-–*]\s|\(?[0-9]+(?:\.[0-9]+)*[.)]\s|\(?[a-z][.)]\s|\([ivx]+\)\s)/i;
+
+// Text compared with case, whitespace and typographic quotes and dashes folded
+const normalizeText = (text) =>
+	text
+		.toLowerCase()
+		.replace(/[‘’]/g, "'")
+		.replace(/[“”]/g, '"')
+		.replace(/[‐‑‒–—]/g, "-")
+		.replace(/\s+/g, " ")
+		.trim();
+
+const words = (text) => text.split(/\s+/).filter(Boolean);
+
+/**
+ * Split the pages of a document into paragraphs. Extracted text has no
+ * paragraph marks, so a paragraph ends at a blank line, before a list item,
+ * or after a sentence that stops short of the full line width.
+ * @param {Array<{page: number, text: string}>} pageTexts
+ * @returns {Array<{page: number, start: number, end: number, text: string}>} offsets into the text of the page
+ */
+const splitParagraphs = (pageTexts) => {
+	const paragraphs = [];
+
+	for (const { page, text } of pageTexts) {
+		const lines = [];
+		let offset = 0;
+		for (const line of text.split("\n")) {
+			lines.push({ start: offset, end: offset + line.length, text: line });
+			offset += line.length + 1;
+		}
+		const fullWidth = Math.max(...lines.map((line) => line.text.trim().length));
+
+		let current = null;
+		const close = () => {
+			if (current) {
+				paragraphs.push({ page, start: current.start, end: current.end, text: text.slice(current.start, current.end) });
+				current = null;
+			}
+		};
+
+		for (const line of lines) {
+			const trimmed = line.text.trim();
+			if (!trimmed) {
+				close();
+				continue;
+			}
+			if (current && LIST_ITEM_PATTERN.test(line.text)) {
+				close();
+			}
+
+			const start = line.start + (line.text.length - line.text.trimStart().length);
+			const end = line.start + line.text.trimEnd().length;
+			if (current) {
+				current.end = end;
+			} else {
+				current = { start, end };
+			}
+
+			if (/[.!?:;]["')\]]?$/.test(trimmed) && trimmed.length < fullWidth * 0.8) {
+				close();
+			}
+		}
+		close();
+	}
+
+	return paragraphs;
+};
+
+// Dice coefficient of the word multisets of two normalized texts
+const similarity = (a, b) => {
+	const counts = new Map();
+	const wordsA = words(a);
+	const wordsB = words(b);
+	for (const word of wordsA) {
+		counts.set(word, (counts.get(word) || 0) + 1);
+	}
+
+	let shared = 0;
+	for (const word of wordsB) {
+		if (counts.get(word) > 0) {
+			shared++;
+			counts.set(word, counts.get(word) - 1);
+		}
+	}
+	return wordsA.length + wordsB.length === 0 ? 1 : (2 * shared) / (wordsA.length + wordsB.length);
+};
+
+/**
+ * Longest common subsequence of two sequences, as pairs of matching indexes.
+ * Uses a table of `a.length * b.length` cells, so callers keep the inputs small.
+ * @param {Array} a
+ * @param {Array} b
+ * @param {(x: any, y: any) => boolean} [equals]
+ * @returns {Array<[number, number]>}
+ */
+const longestCommonSubsequence = (a, b, equals = (x, y) => x === y) => {
+	const width = b.length + 1;
+	const lengths = new Uint32Array((a.length + 1) * width);
+
+	for (let i = a.length - 1; i >= 0; i--) {
+		for (let j = b.length - 1; j >= 0; j--) {
+			lengths[i * width + j] = equals(a[i], b[j]) ? lengths[(i + 1) * width + j + 1] + 1 : Math.max(lengths[(i + 1) * width + j], lengths[i * width + j + 1]);
+		}
+	}
+
+	const pairs = [];
+	let i = 0;
+	let j = 0;
+	while (i < a.length && j < b.length) {
+		if (equals(a[i], b[j])) {
+			pairs.push([i, j]);
+			i++;
+			j++;
+		} else if (lengths[(i + 1) * width + j] >= lengths[i * width + j + 1]) {
+			i++;
+		} else {
+			j++;
+		}
+	}
+	return pairs;
+};
+
+/**
+ * Word-level differences between two versions of a paragraph.
+ * @param {string} original
+ * @param {string} revised
+ * @returns {Array<{type: "equal"|"removed"|"added", text: string}>}
+ */
+const diffWords = (original, revised) => {
+	const a = words(original);
+	const b = words(revised);
+	if (a.length * b.length > MAX_WORD_DIFF_CELLS) {
+		return [
+			{ type: "removed", text: a.join(" ") },
+			{ type: "added", text: b.join(" ") },
+		];
+	}
+
+	const segments = [];
+	const push = (type, word) => {
+		const last = segments[segments.length - 1];
+		if (last && last.type === type) {
+			last.text += ` ${word}`;
+		} else {
+			segments.push({ type, text: word });
+		}
+	};
+
+	let i = 0;
+	let j = 0;
+	for (const [matchA, matchB] of [...longestCommonSubsequence(a, b, (x, y) => normalizeText(x) === normalizeText(y)), [a.length, b.length]]) {
+		for (; i < matchA; i++) {
+			push("removed", a[i]);
+		}
+		for (; j < matchB; j++) {
+			push("added", b[j]);
+		}
+		if (matchA < a.length) {
+			push("equal", b[matchB]);
+			i++;
+			j++;
+		}
+	}
+	return segments;
+};
+
+const side = (paragraph) => ({ page: paragraph.page, start: paragraph.start, end: paragraph.end, text: paragraph.text });
+
+// Report a run of removed and added paragraphs that sit between the same unchanged ones. Removed and
+// added paragraphs that are similar enough, in the same order, are paired up as changed paragraphs.
+const describeRun = (removed, added) => {
+	const changes = [];
+	let next = 0;
+
+	for (const paragraph of removed) {
+		let best = null;
+		for (let j = next; j < added.length; j++) {
+			const score = similarity(paragraph.normalized, added[j].normalized);
+			if (score >= CHANGED_SIMILARITY && (!best || score > best.score)) {
+				best = { index: j, score };
+			}
+		}
+
+		if (!best) {
+			changes.push({ type: "removed", original: side(paragraph), revised: null });
+			continue;
+		}
+
+		for (; next < best.index; next++) {
+			changes.push({ type: "added", original: null, revised: side(added[next]) });
+		}
+		changes.push({
+			type: "changed",
+			original: side(paragraph),
+			revised: side(added[best.index]),
+			similarity: Number(best.score.toFixed(4)),
+			diff: diffWords(paragraph.text, added[best.index].text),
+		});
+		next = best.index + 1;
+	}
+
+	for (; next < added.length; next++) {
+		changes.push({ type: "added", original: null, revised: side(added[next]) });
+	}
+	return changes;
+};
+
+/**
+ * Compare two documents paragraph by paragraph. Paragraphs are matched on
+ * their normalized text, so reflowed lines and moved page breaks do not
+ * count as changes; a paragraph that moved to another page is unchanged.
+ * Common leading and trailing paragraphs are skipped before the rest is
+ * diffed, which has to fit in `maxCells` (paragraphs of one side times
+ * paragraphs of the other).
+ * @param {Array<{page: number, text: string}>} originalPages
+ * @param {Array<{page: number, text: string}>} revisedPages
+ * @param {{maxCells?: number}} [options]
+ * @returns {{changes: Array<object>, stats: {unchanged: number, added: number, removed: number, changed: number}, paragraphs: {original: number, revised: number}}}
+ * @throws {Error} with code TOO_LARGE when the documents differ in too many paragraphs to diff
+ */
+const compareDocuments = (originalPages, revisedPages, { maxCells = 16000000 } = {}) => {
+	const normalize = (paragraph) => ({ ...paragraph, normalized: normalizeText(paragraph.text) });
+	const original = splitParagraphs(originalPages).map(normalize);
+	const revised = splitParagraphs(revisedPages).map(normalize);
+
+	let prefix = 0;
+	while (prefix < original.length && prefix < revised.length && original[prefix].normalized === revised[prefix].normalized) {
+		prefix++;
+	}
+	let suffix = 0;
+	while (
+		suffix < original.length - prefix &&
+		suffix < revised.length - prefix &&
+		original[original.length - 1 - suffix].normalized === revised[revised.length - 1 - suffix].normalized
+	) {
+		suffix++;
+	}
+
+	const middleOriginal = original.slice(prefix, original.length - suffix);
+	const middleRevised = revised.slice(prefix, revised.length - suffix);
+	if (middleOriginal.length * middleRevised.length > maxCells) {
+		const error = new Error("The documents differ in too many paragraphs to compare");
+		error.code = "TOO_LARGE";
+		throw error;
+	}
+
+	const matches = longestCommonSubsequence(
+		middleOriginal.map((paragraph) => paragraph.normalized),
+		middleRevised.map((paragraph) => paragraph.normalized),
+	);
+
+	const changes = [];
+	let i = 0;
+	let j = 0;
+	for (const [matchA, matchB] of [...matches, [middleOriginal.length, middleRevised.length]]) {
+		changes.push(...describeRun(middleOriginal.slice(i, matchA), middleRevised.slice(j, matchB)));
+		i = matchA + 1;
+		j = matchB + 1;
+	}
+
+	const count = (type) => changes.filter((change) => change.type === type).length;
+	return {
+		changes,
+		stats: { unchanged: prefix + suffix + matches.length, added: count("added"), removed: count("removed"), changed: count("changed") },
+		paragraphs: { original: original.length, revised: revised.length },
+	};
+};
+
+/**
+ * Describe the changes of a comparison as text for the model, one change per
+ * block with the pages on both sides. Stops once `maxTokens` is reached.
+ * @param {Array<object>} changes - From compareDocuments()
+ * @param {(text: string) => number} estimateTokens
+ * @param {number} maxTokens
+ * @returns {{text: string, included: number}}
+ */
+const formatChanges = (changes, estimateTokens, maxTokens) => {
+	const blocks = [];
+	let used = 0;
+
+	for (const change of changes) {
+		let block;
+		if (change.type === "added") {
+			block = `ADDED (revised p. ${change.revised.page}):\n${change.revised.text}`;
+		} else if (change.type === "removed") {
+			block = `REMOVED (original p. ${change.original.page}):\n${change.original.text}`;
+		} else {
+			block = `CHANGED (original p. ${change.original.page}, revised p. ${change.revised.page}):\nBefore: ${change.original.text}\nAfter: ${change.revised.text}`;
+		}
+
+		const cost = estimateTokens(block);
+		if (used + cost > maxTokens) {
+			break;
+		}
+		blocks.push(block);
+		used += cost;
+	}
+
+	return { text: blocks.join("\n\n"), included: blocks.length };
+};
+
+module.exports = {
+	splitParagraphs,
+	diffWords,
+	compareDocuments,
+	formatChanges,
+};
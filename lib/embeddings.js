@@ -0,0 +1,125 @@
+const OpenAI = require("openai");
+
+const LOCAL_DIMENSIONS = 512;
+const OPENAI_BATCH_SIZE = 100;
+
+const STOPWORDS = new Set(
+	"a an and are as at be but by for from has have he her his i in is it its of on or our she that the their them they this to was we were what when where which who why will with you your".split(" "),
+);
+
+const tokenize = (text) =>
+	text
+		.toLowerCase()
+		.split(/[^\p{L}\p{N}]+/u)
+		.filter((token) => token && !STOPWORDS.has(token));
+
+// 32-bit FNV-1a, stable across runs and platforms
+const hashToken = (token) => {
+	let hash = 0x811c9dc5;
+	for (let i = 0; i < token.length; i++) {
+		hash ^= token.charCodeAt(i);
+		hash = Math.imul(hash, 0x01000193);
+	}
+	return hash >>> 0;
+};
+
+const normalize = (vector) => {
+	const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+	return norm === 0 ? vector : vector.map((value) => value / norm);
+};
+
+/**
+ * Deterministic bag-of-words embedder based on feature hashing. It needs no
+ * network access, which makes it suitable for development and tests.
+ */
+const createLocalEmbedder = (dimensions = LOCAL_DIMENSIONS) => ({
+	provider: "local",
+	model: `local-hash-${dimensions}`,
+	embed: async (texts) =>
+		texts.map((text) => {
+			const vector = new Array(dimensions).fill(0);
+			for (const token of tokenize(text)) {
+				const hash = hashToken(token);
+				vector[hash % dimensions] += hash & 0x80000000 ? -1 : 1;
+			}
+			return normalize(vector);
+		}),
+});
+
+const createOpenAIEmbedder = (openai, model) => ({
+	provider: "openai",
+	model,
+	embed: async (texts) => {
+		const vectors = [];
+		for (let i = 0; i < texts.length; i += OPENAI_BATCH_SIZE) {
+			const response = await openai.embeddings.create({
+				model,
+				input: texts.slice(i, i + OPENAI_BATCH_SIZE),
+			});
+			response.data.sort((a, b) => a.index - b.index).forEach((item) => vectors.push(item.embedding));
+		}
+		return vectors;
+	},
+});
+
+/**
+ * Create the embedder selected by EMBEDDING_PROVIDER ("openai" or "local").
+ * Defaults to OpenAI when an API key is configured, otherwise to the local embedder.
+ * EMBEDDING_BASE_URL points the "openai" provider at an OpenAI-compatible server.
+ * @returns {{provider: string, model: string, embed: (texts: string[]) => Promise<number[][]>}}
+ */
+const createEmbedder = () => {
+	const provider = process.env.EMBEDDING_PROVIDER || (process.env.OPENAI_API_KEY ? "openai" : "local");
+
+	switch (provider) {
+		case "local":
+			return createLocalEmbedder();
+		case "openai": {
+			const baseURL = process.env.EMBEDDING_BASE_URL || undefined;
+			const apiKey = process.env.OPENAI_API_KEY;
+
+			if (!apiKey && !baseURL) {
+				throw new Error('EMBEDDING_PROVIDER "openai" requires OPENAI_API_KEY. Use EMBEDDING_PROVIDER=local to run offline.');
+			}
+
+			const openai = new OpenAI({ apiKey: apiKey || "not-needed", baseURL });
+			return createOpenAIEmbedder(openai, process.env.EMBEDDING_MODEL || "text-embedding-3-small");
+		}
+		default:
+			throw new Error(`Unknown EMBEDDING_PROVIDER "${provider}". Use "openai" or "local".`);
+	}
+};
+
+const cosineSimilarity = (a, b) => {
+	let dot = 0;
+	let normA = 0;
+	let normB = 0;
+	for (let i = 0; i < a.length; i++) {
+		dot += a[i] * b[i];
+		normA += a[i] * a[i];
+		normB += b[i] * b[i];
+	}
+	return normA === 0 || normB === 0 ? 0 : dot / Math.sqrt(normA * normB);
+};
+
+/**
+ * Rank chunks by similarity to the query vector.
+ * @param {Array<{embedding: number[]}>} chunks
+ * @param {number[]} queryVector
+ * @param {number} topK
+ * @returns {Array<object>} the best chunks, each with a `score` field
+ */
+const rankChunks = (chunks, queryVector, topK) =>
+	chunks
+		.filter((chunk) => Array.isArray(chunk.embedding))
+		.map((chunk) => ({ ...chunk, score: cosineSimilarity(chunk.embedding, queryVector) }))
+		.sort((a, b) => b.score - a.score)
+		.slice(0, topK);
+
+module.exports = {
+	createEmbedder,
+	createLocalEmbedder,
+	cosineSimilarity,
+	rankChunks,
+	tokenize,
+};
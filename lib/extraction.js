@@ -0,0 +1,152 @@
+const Ajv = require("ajv");
+const addFormats = require("ajv-formats");
+const { findQuote } = require("./citations");
+
+const SYSTEM_PROMPT =
+	"You extract structured data from documents. Only use facts stated in the document text you are given, whose pages are marked with [Page N]. Answer with a single JSON object and nothing else.";
+
+/**
+ * Compile a JSON Schema supplied by a client. Every schema gets its own Ajv
+ * instance so that schemas with the same `$id` do not clash and compiled
+ * schemas are not kept around after the request.
+ * @param {object} schema
+ * @returns {import("ajv").ValidateFunction}
+ * @throws {Error} when the schema itself is invalid
+ */
+const compileSchema = (schema) => {
+	if (!schema || typeof schema !== "object" || Array.isArray(schema)) {
+		throw new Error("schema must be a JSON Schema object");
+	}
+
+	const ajv = new Ajv({ allErrors: true, strict: false });
+	addFormats(ajv);
+	return ajv.compile(schema);
+};
+
+/**
+ * Collect the property names, titles and descriptions of a schema, used as
+ * the retrieval query when a document is too long to send whole.
+ * @param {object} schema
+ * @returns {string}
+ */
+const describeSchema = (schema) => {
+	const words = [];
+	const visit = (node) => {
+		if (!node || typeof node !== "object") {
+			return;
+		}
+		for (const key of ["title", "description"]) {
+			if (typeof node[key] === "string") {
+				words.push(node[key]);
+			}
+		}
+		if (node.properties && typeof node.properties === "object") {
+			for (const [name, property] of Object.entries(node.properties)) {
+				// invoiceNumber and invoice_number both become "invoice number"
+				words.push(name.replace(/([a-z])([A-Z])/g, "$1 $2").replace(/[_-]+/g, " "));
+				visit(property);
+			}
+		}
+		visit(node.items);
+	};
+
+	visit(schema);
+	return words.join("\n");
+};
+
+// Validation errors as short readable lines, e.g. "/total must be number"
+const formatValidationErrors = (errors) => (errors || []).map((error) => `${error.instancePath || "/"} ${error.message}`);
+
+// Check a citation against the page the model named first, then against every other page
+const verifyFieldCitation = (citation, pageTexts) => {
+	const result = { field: citation.field, page: Number.isInteger(citation.page) ? citation.page : null, quote: citation.quote || null, verified: false };
+	if (typeof result.quote !== "string" || !result.quote.trim()) {
+		return result;
+	}
+
+	const candidates = [...pageTexts].sort((a, b) => (a.page === result.page ? -1 : b.page === result.page ? 1 : 0));
+	for (const { page, text } of candidates) {
+		const span = findQuote(result.quote, text);
+		if (span) {
+			return { ...result, page, start: span.start, end: span.end, verified: true };
+		}
+	}
+	return result;
+};
+
+/**
+ * Fill a JSON Schema from a document with the chat model in JSON mode.
+ * The model returns the data together with a page and quote for every field;
+ * when the data does not validate, the model is asked again with the
+ * validation errors, up to `maxAttempts` times in total.
+ * @param {object} params
+ * @param {object} params.llm - Provider from createLLMProvider()
+ * @param {{model: string, temperature: number, maxTokens: number}} params.options - Completion options
+ * @param {object} params.schema - JSON Schema of the data to extract
+ * @param {import("ajv").ValidateFunction} params.validate - compileSchema(schema)
+ * @param {string} params.context - Document text, pages marked with [Page N]
+ * @param {Array<{page: number, text: string}>} params.pageTexts - Pages used to verify the citations
+ * @param {string} [params.instructions] - Extra guidance from the client
+ * @param {number} [params.maxAttempts]
+ * @param {AbortSignal} [params.signal]
+ * @returns {Promise<{valid: boolean, data: any, citations: Array<object>, errors: string[], attempts: number, tokenUsage: number}>}
+ */
+const extractStructuredData = async ({ llm, options, schema, validate, context, pageTexts, instructions, maxAttempts = 3, signal }) => {
+	const messages = [
+		{ role: "system", content: SYSTEM_PROMPT },
+		{
+			role: "user",
+			content: [
+				"Extract the data described by this JSON Schema from the document below.",
+				`JSON Schema:\n${JSON.stringify(schema)}`,
+				instructions ? `Instructions: ${instructions}` : null,
+				'Respond with {"data": <the data, valid against the schema>, "citations": [{"field": "<path of the field, e.g. total or items.0.price>", "page": <page number>, "quote": "<exact words from the page the value comes from>"}]}. Give a citation for every field you fill. Use null for values the document does not contain, if the schema allows it.',
+				`Document:\n${context}`,
+			]
+				.filter(Boolean)
+				.join("\n\n"),
+		},
+	];
+
+	let tokenUsage = 0;
+	let data = null;
+	let citations = [];
+	let errors = [];
+
+	for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+		const completion = await llm.complete({ ...options, messages, responseFormat: { type: "json_object" }, signal });
+		tokenUsage += completion.tokenUsage || 0;
+
+		// JSON.parse never returns undefined, so it marks a response that could not be parsed
+		let parsed;
+		try {
+			parsed = JSON.parse(completion.content);
+		} catch (parseError) {
+			errors = [`Response is not valid JSON: ${parseError.message}`];
+		}
+
+		if (parsed !== undefined) {
+			const hasEnvelope = parsed && typeof parsed === "object" && !Array.isArray(parsed) && "data" in parsed;
+			data = hasEnvelope ? parsed.data : parsed;
+			citations = hasEnvelope && Array.isArray(parsed.citations) ? parsed.citations.filter((citation) => citation && typeof citation.field === "string") : [];
+			errors = validate(data) ? [] : formatValidationErrors(validate.errors);
+		}
+
+		if (errors.length === 0) {
+			return { valid: true, data, citations: citations.map((citation) => verifyFieldCitation(citation, pageTexts)), errors, attempts: attempt, tokenUsage };
+		}
+
+		messages.push(
+			{ role: "assistant", content: completion.content },
+			{ role: "user", content: `That response is not valid:\n${errors.join("\n")}\nRespond again with the corrected JSON object.` },
+		);
+	}
+
+	return { valid: false, data, citations: citations.map((citation) => verifyFieldCitation(citation, pageTexts)), errors, attempts: maxAttempts, tokenUsage };
+};
+
+module.exports = {
+	compileSchema,
+	describeSchema,
+	extractStructuredData,
+};
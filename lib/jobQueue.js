@@ -0,0 +1,50 @@
+/**
+ * Minimal in-process job queue. Jobs are keyed by id so the same document is
+ * never queued twice, and at most `concurrency` jobs run at the same time.
+ */
+class JobQueue {
+	constructor(concurrency = 1) {
+		this.concurrency = concurrency;
+		this.pending = [];
+		this.running = new Set();
+	}
+
+	has(id) {
+		return this.running.has(id) || this.pending.some((job) => job.id === id);
+	}
+
+	/**
+	 * Queue a job.
+	 * @param {string} id - Job id, usually the id of the document being processed
+	 * @param {() => Promise<void>} run - Work to do. Errors are logged, so jobs should record their own failures.
+	 * @returns {boolean} false when a job with this id is already queued or running
+	 */
+	push(id, run) {
+		if (this.has(id)) {
+			return false;
+		}
+
+		this.pending.push({ id, run });
+		this.next();
+		return true;
+	}
+
+	next() {
+		while (this.running.size < this.concurrency && this.pending.length > 0) {
+			const job = this.pending.shift();
+			this.running.add(job.id);
+
+			Promise.resolve()
+				.then(job.run)
+				.catch((error) => console.error(`Job ${job.id} failed:`, error))
+				.finally(() => {
+					this.running.delete(job.id);
+					this.next();
+				});
+		}
+	}
+}
+
+module.exports = {
+	JobQueue,
+};
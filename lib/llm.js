@@ -0,0 +1,164 @@
+const OpenAI = require("openai");
+const { estimateTokens } = require("./tokens");
+
+const MAX_TEMPERATURE = 2;
+
+// Defaults for every chat completion, overridable per request
+const getDefaultOptions = () => ({
+	model: process.env.LLM_MODEL || "gpt-3.5-turbo",
+	temperature: process.env.LLM_TEMPERATURE !== undefined ? Number(process.env.LLM_TEMPERATURE) : 0.7,
+	maxTokens: parseInt(process.env.LLM_MAX_TOKENS) || 500,
+});
+
+const createOpenAIProvider = ({ apiKey, baseURL }) => {
+	const client = new OpenAI({ apiKey, baseURL });
+
+	const toRequest = ({ messages, model, temperature, maxTokens, responseFormat }) => ({
+		model,
+		messages,
+		temperature,
+		max_tokens: maxTokens,
+		...(responseFormat ? { response_format: responseFormat } : {}),
+	});
+
+	return {
+		name: baseURL ? "openai-compatible" : "openai",
+		complete: async ({ signal, ...options }) => {
+			const completion = await client.chat.completions.create(toRequest(options), { signal });
+			return {
+				content: completion.choices[0].message.content,
+				tokenUsage: completion.usage ? completion.usage.total_tokens : 0,
+			};
+		},
+		stream: async function* ({ signal, ...options }) {
+			const stream = await client.chat.completions.create(
+				{ ...toRequest(options), stream: true, stream_options: { include_usage: true } },
+				{ signal },
+			);
+
+			for await (const chunk of stream) {
+				const delta = chunk.choices[0]?.delta?.content;
+				if (delta) {
+					yield { content: delta };
+				}
+				if (chunk.usage) {
+					yield { tokenUsage: chunk.usage.total_tokens };
+				}
+			}
+		},
+	};
+};
+
+/**
+ * Deterministic provider for offline development and tests. It answers with
+ * MOCK_LLM_RESPONSE when set, otherwise with a canned reply echoing the question
+ * (an empty JSON object in JSON mode).
+ */
+const createMockProvider = () => {
+	const respond = ({ messages, model, responseFormat }) => {
+		const lastUserMessage = [...messages].reverse().find((message) => message.role === "user");
+		const prompt = lastUserMessage ? lastUserMessage.content : "";
+		const questionMatch = prompt.match(/(?:User question|Please answer the following question): ([\s\S]*)$/);
+		const question = questionMatch ? questionMatch[1] : prompt;
+
+		const cannedReply = responseFormat && responseFormat.type === "json_object" ? "{}" : `Mock response from ${model} to: ${question.trim()}`;
+		const content = process.env.MOCK_LLM_RESPONSE || cannedReply;
+		const tokenUsage = messages.reduce((sum, message) => sum + estimateTokens(message.content), 0) + estimateTokens(content);
+
+		return { content, tokenUsage };
+	};
+
+	return {
+		name: "mock",
+		complete: async (options) => respond(options),
+		stream: async function* (options) {
+			const { content, tokenUsage } = respond(options);
+			for (const piece of content.match(/\S+\s*/g) || []) {
+				if (options.signal && options.signal.aborted) {
+					return;
+				}
+				yield { content: piece };
+			}
+			yield { tokenUsage };
+		},
+	};
+};
+
+/**
+ * Create the chat provider selected by LLM_PROVIDER ("openai" or "mock").
+ * The "openai" provider also talks to OpenAI-compatible servers (llama.cpp,
+ * Ollama, ...) when LLM_BASE_URL is set. Throws when the provider cannot work
+ * with the current configuration, so a misconfigured server fails at startup.
+ * @returns {{name: string, complete: Function, stream: Function}}
+ */
+const createLLMProvider = () => {
+	const provider = process.env.LLM_PROVIDER || "openai";
+
+	switch (provider) {
+		case "mock":
+			return createMockProvider();
+		case "openai": {
+			const baseURL = process.env.LLM_BASE_URL || undefined;
+			const apiKey = process.env.LLM_API_KEY || process.env.OPENAI_API_KEY;
+
+			// Local OpenAI-compatible servers usually do not check the key
+			if (!apiKey && !baseURL) {
+				throw new Error(
+					'LLM_PROVIDER "openai" requires OPENAI_API_KEY (or LLM_API_KEY). Set LLM_BASE_URL for a local OpenAI-compatible server, or LLM_PROVIDER=mock to run offline.',
+				);
+			}
+
+			return createOpenAIProvider({ apiKey: apiKey || "not-needed", baseURL });
+		}
+		default:
+			throw new Error(`Unknown LLM_PROVIDER "${provider}". Use "openai" or "mock".`);
+	}
+};
+
+/**
+ * Merge per-request model settings (`model`, `temperature`, `maxTokens`) into the defaults.
+ * LLM_ALLOWED_MODELS, a comma-separated list, restricts which models a request may pick.
+ * @param {object} body - Request body
+ * @returns {{options?: object, error?: string}}
+ */
+const parseChatOptions = (body = {}) => {
+	const options = getDefaultOptions();
+	const { model, temperature, maxTokens } = body;
+
+	if (model !== undefined) {
+		const allowedModels = (process.env.LLM_ALLOWED_MODELS || "")
+			.split(",")
+			.map((name) => name.trim())
+			.filter(Boolean);
+
+		if (typeof model !== "string" || !model) {
+			return { error: "model must be a non-empty string" };
+		}
+		if (allowedModels.length > 0 && !allowedModels.includes(model)) {
+			return { error: `model must be one of: ${allowedModels.join(", ")}` };
+		}
+		options.model = model;
+	}
+
+	if (temperature !== undefined) {
+		if (typeof temperature !== "number" || temperature < 0 || temperature > MAX_TEMPERATURE) {
+			return { error: `temperature must be a number between 0 and ${MAX_TEMPERATURE}` };
+		}
+		options.temperature = temperature;
+	}
+
+	if (maxTokens !== undefined) {
+		const limit = parseInt(process.env.LLM_MAX_TOKENS_LIMIT) || 4096;
+		if (!Number.isInteger(maxTokens) || maxTokens < 1 || maxTokens > limit) {
+			return { error: `maxTokens must be an integer between 1 and ${limit}` };
+		}
+		options.maxTokens = maxTokens;
+	}
+
+	return { options };
+};
+
+module.exports = {
+	createLLMProvider,
+	parseChatOptions,
+};
@@ -0,0 +1,62 @@
+const { createWorker } = require("tesseract.js");
+
+const OCR_LANG = process.env.OCR_LANG || "eng";
+
+// After the worker fails to start (e.g. language data cannot be downloaded), wait before trying again
+const RETRY_DELAY_MS = 60 * 1000;
+
+// Creating a Tesseract worker loads the language data, so one worker is shared
+let workerPromise = null;
+
+const getWorker = () => {
+	if (!workerPromise) {
+		workerPromise = new Promise((resolve, reject) => {
+			createWorker(OCR_LANG, undefined, {
+				// Language data is downloaded from a CDN unless OCR_LANG_PATH points elsewhere
+				langPath: process.env.OCR_LANG_PATH || undefined,
+				cachePath: process.env.OCR_CACHE_PATH || undefined,
+				// tesseract.js never rejects createWorker when the language data fails to load, it only
+				// reports it here. Once the worker is up, failed jobs reject their own promises instead.
+				errorHandler: (error) => reject(new Error(`Tesseract worker error: ${error}`)),
+			}).then(resolve, reject);
+		});
+
+		// Keep the failure around for a while so every page of a scanned PDF does not spawn a new worker
+		workerPromise.catch(() => {
+			setTimeout(() => {
+				workerPromise = null;
+			}, RETRY_DELAY_MS).unref();
+		});
+	}
+	return workerPromise;
+};
+
+// OCR is on unless OCR_ENABLED is set to "false"
+const isOcrEnabled = () => process.env.OCR_ENABLED !== "false";
+
+/**
+ * Recognize the text in an image.
+ * @param {Buffer} image - PNG or JPEG bytes
+ * @returns {Promise<string>}
+ */
+const recognizeText = async (image) => {
+	const worker = await getWorker();
+	const { data } = await worker.recognize(image);
+	return data.text;
+};
+
+const terminateOcr = async () => {
+	if (workerPromise) {
+		const worker = await workerPromise.catch(() => null);
+		workerPromise = null;
+		if (worker) {
+			await worker.terminate();
+		}
+	}
+};
+
+module.exports = {
+	isOcrEnabled,
+	recognizeText,
+	terminateOcr,
+};
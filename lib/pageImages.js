@@ -0,0 +1,101 @@
+const path = require("path");
+const fs = require("fs-extra");
+
+/**
+ * Disk cache of rendered page images, one directory per PDF. Entries are
+ * named by the caller from everything the image depends on, so they never
+ * go stale; the least recently used ones are removed once the cache grows
+ * over `maxBytes`.
+ */
+class PageImageCache {
+	/**
+	 * @param {string} directory
+	 * @param {{maxBytes: number}} options
+	 */
+	constructor(directory, { maxBytes }) {
+		this.directory = directory;
+		this.maxBytes = maxBytes;
+		// Renders in progress, so concurrent requests for the same image share one
+		this.pending = new Map();
+	}
+
+	entryPath(pdfId, name) {
+		return path.join(this.directory, encodeURIComponent(pdfId), name);
+	}
+
+	/**
+	 * Get an image from the cache, rendering and storing it when it is missing.
+	 * @param {string} pdfId
+	 * @param {string} name - File name of the entry, e.g. "<hash>.png"
+	 * @param {() => Promise<Buffer>} render
+	 * @returns {Promise<{image: Buffer, cached: boolean}>}
+	 */
+	async get(pdfId, name, render) {
+		const file = this.entryPath(pdfId, name);
+
+		try {
+			const image = await fs.readFile(file);
+			// The modification time marks when the entry was last used
+			const now = new Date();
+			await fs.utimes(file, now, now).catch(() => {});
+			return { image, cached: true };
+		} catch (error) {
+			if (error.code !== "ENOENT") {
+				throw error;
+			}
+		}
+
+		if (!this.pending.has(file)) {
+			const rendering = render()
+				.then(async (image) => {
+					await fs.outputFile(file, image);
+					await this.prune().catch((pruneError) => console.warn("Failed to prune page image cache:", pruneError.message));
+					return image;
+				})
+				.finally(() => this.pending.delete(file));
+			this.pending.set(file, rendering);
+		}
+
+		return { image: await this.pending.get(file), cached: false };
+	}
+
+	/**
+	 * Remove the least recently used images until the cache fits in `maxBytes`.
+	 */
+	async prune() {
+		const entries = [];
+		let total = 0;
+
+		for (const pdfDirectory of await fs.readdir(this.directory).catch(() => [])) {
+			for (const name of await fs.readdir(path.join(this.directory, pdfDirectory)).catch(() => [])) {
+				const file = path.join(this.directory, pdfDirectory, name);
+				const stats = await fs.stat(file).catch(() => null);
+				if (stats && stats.isFile()) {
+					entries.push({ file, size: stats.size, usedAt: stats.mtimeMs });
+					total += stats.size;
+				}
+			}
+		}
+
+		entries.sort((a, b) => a.usedAt - b.usedAt);
+		for (const entry of entries) {
+			if (total <= this.maxBytes) {
+				break;
+			}
+			await fs.remove(entry.file);
+			total -= entry.size;
+		}
+	}
+
+	/**
+	 * Remove every image of a PDF.
+	 * @param {string} pdfId
+	 */
+	async removePdf(pdfId) {
+		await fs.remove(path.join(this.directory, encodeURIComponent(pdfId)));
+	}
+}
+
+module.exports = {
+	PageImageCache,
+};
@@ -0,0 +1,420 @@
+const path = require("path");
+const { createCanvas } = require("@napi-rs/canvas");
+const { detectTables } = require("./tables");
+
+// Font data for the 14 standard PDF fonts, needed to render pages that use them
+const STANDARD_FONT_DATA_URL = path.join(path.dirname(require.resolve("pdfjs-dist/package.json")), "standard_fonts") + path.sep;
+
+// pdfjs-dist ships as an ES module, so it is loaded lazily from CommonJS
+let pdfjsPromise = null;
+
+const loadPdfjs = () => {
+	if (!pdfjsPromise) {
+		pdfjsPromise = import("pdfjs-dist/legacy/build/pdf.mjs");
+	}
+	return pdfjsPromise;
+};
+
+/**
+ * Open a PDF document from a buffer.
+ * @param {Buffer} dataBuffer - Raw PDF bytes
+ * @param {{password?: string}} [options] - `password` opens encrypted PDFs
+ * @returns {Promise<object>} pdfjs PDFDocumentProxy
+ */
+const openDocument = async (dataBuffer, { password } = {}) => {
+	const pdfjs = await loadPdfjs();
+	// pdfjs takes ownership of the array it is given, so hand it a copy
+	const data = new Uint8Array(dataBuffer.buffer.slice(dataBuffer.byteOffset, dataBuffer.byteOffset + dataBuffer.byteLength));
+
+	return pdfjs.getDocument({
+		data,
+		verbosity: 0,
+		isEvalSupported: false,
+		useSystemFonts: false,
+		disableFontFace: true,
+		standardFontDataUrl: STANDARD_FONT_DATA_URL,
+		password: password || undefined,
+	}).promise;
+};
+
+// Where the header may start; readers accept a few bytes of junk before it
+const HEADER_SEARCH_LENGTH = 1024;
+
+/**
+ * Check that a buffer holds a PDF that can be opened: it must start with the
+ * `%PDF-` header and its structure must load. Thrown errors carry a `code`:
+ * "INVALID_PDF", "PASSWORD_REQUIRED" or "INCORRECT_PASSWORD".
+ * @param {Buffer} dataBuffer - Raw file bytes
+ * @param {{password?: string}} [options]
+ * @returns {Promise<{numPages: number, encrypted: boolean}>}
+ */
+const inspectPdf = async (dataBuffer, { password } = {}) => {
+	const fail = (code, message) => Object.assign(new Error(message), { code });
+
+	if (dataBuffer.subarray(0, HEADER_SEARCH_LENGTH).indexOf("%PDF-") === -1) {
+		throw fail("INVALID_PDF", "File is not a PDF");
+	}
+
+	let doc;
+	try {
+		doc = await openDocument(dataBuffer, { password });
+	} catch (error) {
+		if (error.name === "PasswordException") {
+			const pdfjs = await loadPdfjs();
+			throw error.code === pdfjs.PasswordResponses.INCORRECT_PASSWORD
+				? fail("INCORRECT_PASSWORD", "The password of the PDF is incorrect")
+				: fail("PASSWORD_REQUIRED", "The PDF is encrypted and needs a password");
+		}
+		throw fail("INVALID_PDF", `PDF structure is invalid: ${error.message}`);
+	}
+
+	try {
+		if (doc.numPages < 1) {
+			throw fail("INVALID_PDF", "PDF has no pages");
+		}
+		// Passwords given for PDFs that open without one are not needed
+		let encrypted = false;
+		if (password) {
+			encrypted = await openDocument(dataBuffer).then(
+				(plainDoc) => plainDoc.destroy().then(() => false),
+				() => true,
+			);
+		}
+		return { numPages: doc.numPages, encrypted };
+	} finally {
+		await doc.destroy();
+	}
+};
+
+// Join text items into lines, breaking whenever the baseline moves. Also returns the range of
+// the text every item ended up at, to find where a piece of the text is drawn on the page.
+const layoutTextItems = (textContent) => {
+	let lastY;
+	let text = "";
+	const spans = [];
+
+	for (const item of textContent.items) {
+		if (typeof item.str !== "string") {
+			continue;
+		}
+
+		const y = item.transform[5];
+		if (lastY !== undefined && lastY !== y && !text.endsWith("\n")) {
+			text += "\n";
+		}
+		spans.push({ item, start: text.length, end: text.length + item.str.length });
+		text += item.str;
+		// pdf.js emits empty end-of-line items already on the next baseline, whose break was just added
+		if (item.hasEOL && !text.endsWith("\n")) {
+			text += "\n";
+		}
+		lastY = y;
+	}
+
+	return { text: text.replace(/\n+$/, ""), spans };
+};
+
+const textContentToString = (textContent) => layoutTextItems(textContent).text;
+
+// Detect the tables of a page from the positions of its text items, in points from the top left corner
+const findPageTables = (pdfjs, page, textContent) => {
+	const viewport = page.getViewport({ scale: 1 });
+	const items = textContent.items
+		.filter((item) => typeof item.str === "string")
+		.map((item) => {
+			const [, , c, d, x, y] = pdfjs.Util.transform(viewport.transform, item.transform);
+			return { text: item.str, x, y, width: item.width, height: Math.hypot(c, d) };
+		});
+
+	return detectTables(items).map((table, index) => ({ id: `p${page.pageNumber}-t${index}`, page: page.pageNumber, ...table }));
+};
+
+// Turn the PDF info dictionary into plain fields, converting PDF dates ("D:2024...") to ISO strings
+const normalizeInfo = (pdfjs, info) => {
+	if (!info) {
+		return null;
+	}
+
+	const toIsoDate = (value) => {
+		const date = typeof value === "string" ? pdfjs.PDFDateString.toDateObject(value) : null;
+		return date ? date.toISOString() : null;
+	};
+	const toText = (value) => (typeof value === "string" && value.trim() ? value.trim() : null);
+
+	return {
+		title: toText(info.Title),
+		author: toText(info.Author),
+		subject: toText(info.Subject),
+		keywords: toText(info.Keywords),
+		creator: toText(info.Creator),
+		producer: toText(info.Producer),
+		creationDate: toIsoDate(info.CreationDate),
+		modificationDate: toIsoDate(info.ModDate),
+		pdfVersion: toText(info.PDFFormatVersion),
+	};
+};
+
+// Page number (1-based) a bookmark destination points to, or null when it cannot be resolved
+const resolveDestinationPage = async (doc, dest) => {
+	try {
+		const explicitDest = typeof dest === "string" ? await doc.getDestination(dest) : dest;
+		if (!Array.isArray(explicitDest)) {
+			return null;
+		}
+
+		const [target] = explicitDest;
+		const pageIndex = Number.isInteger(target) ? target : await doc.getPageIndex(target);
+		return pageIndex + 1;
+	} catch (error) {
+		return null;
+	}
+};
+
+/**
+ * Read the outline (bookmarks) of an open document as a tree of titles and page numbers.
+ * @param {object} doc - pdfjs PDFDocumentProxy
+ * @returns {Promise<Array<{title: string, page: number|null, items: Array}>>} empty when the PDF has no outline
+ */
+const readOutline = async (doc) => {
+	const outline = await doc.getOutline().catch(() => null);
+
+	const convert = (items) =>
+		Promise.all(
+			items.map(async (item) => ({
+				title: (item.title || "").trim(),
+				page: await resolveDestinationPage(doc, item.dest),
+				items: await convert(item.items || []),
+			})),
+		);
+
+	return outline ? convert(outline) : [];
+};
+
+/**
+ * Read the outline of a PDF file without extracting its text.
+ * @param {Buffer} dataBuffer - Raw PDF bytes
+ * @param {{password?: string}} [options]
+ */
+const extractOutline = async (dataBuffer, { password } = {}) => {
+	const doc = await openDocument(dataBuffer, { password });
+	try {
+		return await readOutline(doc);
+	} finally {
+		await doc.destroy();
+	}
+};
+
+/**
+ * Detect the tables of every page of a PDF without extracting the rest of its text.
+ * @param {Buffer} dataBuffer - Raw PDF bytes
+ * @param {{password?: string}} [options]
+ * @returns {Promise<Array<{id: string, page: number, bbox: object, rows: string[][]}>>}
+ */
+const extractTables = async (dataBuffer, { password } = {}) => {
+	const pdfjs = await loadPdfjs();
+	const doc = await openDocument(dataBuffer, { password });
+	const tables = [];
+
+	try {
+		for (let pageNumber = 1; pageNumber <= doc.numPages; pageNumber++) {
+			const page = await doc.getPage(pageNumber);
+			tables.push(...findPageTables(pdfjs, page, await page.getTextContent()));
+			page.cleanup();
+		}
+		return tables;
+	} finally {
+		await doc.destroy();
+	}
+};
+
+/**
+ * Find where a range of the extracted text of a page is drawn. Every text
+ * item the range touches gives one quadrilateral; characters are taken to be
+ * equally wide to place the ends of partly covered items.
+ * @param {Buffer} dataBuffer - Raw PDF bytes
+ * @param {number} pageNumber - 1-based
+ * @param {number} start - Character offset into the text of the page
+ * @param {number} end - Offset just past the range
+ * @param {{password?: string}} [options]
+ * @returns {Promise<number[][]>} quads as [x1, y1, x2, y2, x3, y3, x4, y4] (upper left, upper right, lower left and lower right corner)
+ *   in points from the top left corner of the page; empty when the range is not on the text layer, as on OCR pages
+ */
+const locateTextRange = async (dataBuffer, pageNumber, start, end, { password } = {}) => {
+	const pdfjs = await loadPdfjs();
+	const doc = await openDocument(dataBuffer, { password });
+	const round = (value) => Math.round(value * 100) / 100;
+
+	try {
+		const page = await doc.getPage(pageNumber);
+		const viewport = page.getViewport({ scale: 1 });
+		const { spans } = layoutTextItems(await page.getTextContent());
+		const quads = [];
+
+		for (const { item, start: itemStart, end: itemEnd } of spans) {
+			const from = Math.max(start, itemStart);
+			const to = Math.min(end, itemEnd);
+			if (from >= to || !item.str.slice(from - itemStart, to - itemStart).trim()) {
+				continue;
+			}
+
+			const [, , c, d, x, y] = pdfjs.Util.transform(viewport.transform, item.transform);
+			const top = y - Math.hypot(c, d);
+			const left = x + (item.width * (from - itemStart)) / item.str.length;
+			const right = x + (item.width * (to - itemStart)) / item.str.length;
+			quads.push([left, top, right, top, left, y, right, y].map(round));
+		}
+
+		page.cleanup();
+		return quads;
+	} finally {
+		await doc.destroy();
+	}
+};
+
+/**
+ * Render a page to an image.
+ * @param {object} page - pdfjs PDFPageProxy
+ * @param {{scale?: number, format?: string, quality?: number, bbox?: {x: number, y: number, width: number, height: number}}} [options] - `format` is a
+ *   MIME type such as "image/png", `quality` (0-100) applies to lossy formats and `bbox` renders only that region, in points from the top left corner
+ * @returns {Promise<Buffer>}
+ */
+const renderPage = async (page, { scale = 1, format = "image/png", quality, bbox } = {}) => {
+	const viewport = bbox ? page.getViewport({ scale, offsetX: -bbox.x * scale, offsetY: -bbox.y * scale }) : page.getViewport({ scale });
+	const width = Math.ceil(bbox ? bbox.width * scale : viewport.width);
+	const height = Math.ceil(bbox ? bbox.height * scale : viewport.height);
+
+	const canvas = createCanvas(width, height);
+	const context = canvas.getContext("2d");
+
+	// Pages have no background of their own
+	context.fillStyle = "#ffffff";
+	context.fillRect(0, 0, width, height);
+
+	await page.render({ canvasContext: context, viewport }).promise;
+	return format === "image/png" ? canvas.toBuffer(format) : canvas.toBuffer(format, quality);
+};
+
+/**
+ * Render one page of a PDF file to an image. The image is `width` pixels wide
+ * or, without a width, rendered at `dpi`. `bbox` crops the page to a region
+ * given in points from its top left corner, clipped to the page; `width` then
+ * applies to the region. Thrown errors carry a `code`: "PAGE_NOT_FOUND",
+ * "EMPTY_REGION" when the region lies outside the page, or "TOO_LARGE" when
+ * the image would have more than `maxPixels` pixels.
+ * @param {Buffer} dataBuffer - Raw PDF bytes
+ * @param {number} pageNumber - 1-based
+ * @param {{password?: string, width?: number, dpi?: number, format?: string, quality?: number, bbox?: {x: number, y: number, width: number, height: number}, maxPixels?: number}} [options]
+ * @returns {Promise<Buffer>}
+ */
+const renderPdfPage = async (dataBuffer, pageNumber, { password, width, dpi = 72, format, quality, bbox, maxPixels = Infinity } = {}) => {
+	const fail = (code, message) => Object.assign(new Error(message), { code });
+	const doc = await openDocument(dataBuffer, { password });
+
+	try {
+		if (pageNumber < 1 || pageNumber > doc.numPages) {
+			throw fail("PAGE_NOT_FOUND", `Page ${pageNumber} not found. This PDF has ${doc.numPages} page(s).`);
+		}
+
+		const page = await doc.getPage(pageNumber);
+		const size = page.getViewport({ scale: 1 });
+
+		let region = null;
+		if (bbox) {
+			const left = Math.max(0, bbox.x);
+			const top = Math.max(0, bbox.y);
+			region = { x: left, y: top, width: Math.min(size.width, bbox.x + bbox.width) - left, height: Math.min(size.height, bbox.y + bbox.height) - top };
+			if (region.width <= 0 || region.height <= 0) {
+				throw fail("EMPTY_REGION", `The region lies outside the page, which is ${Math.round(size.width)}x${Math.round(size.height)} points`);
+			}
+		}
+
+		const scale = width ? width / (region || size).width : dpi / 72;
+		const pixels = Math.ceil((region || size).width * scale) * Math.ceil((region || size).height * scale);
+		if (pixels > maxPixels) {
+			throw fail("TOO_LARGE", `The image would have ${pixels} pixels, more than the limit of ${maxPixels}`);
+		}
+
+		const image = await renderPage(page, { scale, format, quality, bbox: region });
+		page.cleanup();
+		return image;
+	} finally {
+		await doc.destroy();
+	}
+};
+
+/**
+ * Extract the text and tables of every page of a PDF. Pages without a text
+ * layer are rendered and passed to `options.ocr` when it is given.
+ * `options.onPage` is called after every page with the page number and the
+ * page count. `options.password` opens encrypted PDFs.
+ * @param {Buffer} dataBuffer - Raw PDF bytes
+ * @param {{ocr?: (image: Buffer) => Promise<string>, ocrScale?: number, onPage?: (pageNumber: number, numPages: number) => void, password?: string}} [options]
+ * @returns {Promise<{numPages: number, pages: Array<{page: number, text: string, source: string, error?: string}>, tables: Array, info: object|null, metadata: object|null, outline: Array}>}
+ */
+const extractPages = async (dataBuffer, { ocr, ocrScale = 2, onPage, password } = {}) => {
+	const pdfjs = await loadPdfjs();
+	const doc = await openDocument(dataBuffer, { password });
+
+	try {
+		const metadata = await doc.getMetadata().catch(() => null);
+		const pages = [];
+		const tables = [];
+
+		for (let pageNumber = 1; pageNumber <= doc.numPages; pageNumber++) {
+			const pageText = { page: pageNumber, text: "", source: "text-layer" };
+			let page;
+
+			try {
+				page = await doc.getPage(pageNumber);
+				const textContent = await page.getTextContent();
+				pageText.text = textContentToString(textContent);
+				tables.push(...findPageTables(pdfjs, page, textContent));
+			} catch (pageError) {
+				console.warn(`Failed to extract text from page ${pageNumber}:`, pageError.message);
+			}
+
+			// Scanned pages have no text layer, so recognize the rendered image instead
+			if (page && ocr && !pageText.text.trim()) {
+				pageText.source = "ocr";
+				try {
+					pageText.text = (await ocr(await renderPage(page, { scale: ocrScale }))).trim();
+				} catch (ocrError) {
+					console.warn(`OCR failed for page ${pageNumber}:`, ocrError.message);
+					pageText.error = ocrError.message;
+				}
+			}
+
+			if (page) {
+				page.cleanup();
+			}
+			pages.push(pageText);
+
+			if (onPage) {
+				onPage(pageNumber, doc.numPages);
+			}
+		}
+
+		return {
+			numPages: doc.numPages,
+			pages,
+			tables,
+			info: metadata ? metadata.info : null,
+			metadata: normalizeInfo(pdfjs, metadata ? metadata.info : null),
+			outline: await readOutline(doc),
+		};
+	} finally {
+		await doc.destroy();
+	}
+};
+
+module.exports = {
+	loadPdfjs,
+	openDocument,
+	inspectPdf,
+	renderPage,
+	renderPdfPage,
+	locateTextRange,
+	extractPages,
+	extractOutline,
+	extractTables,
+};
@@ -0,0 +1,62 @@
+const { ANONYMOUS_USER } = require("./auth");
+
+// Client a request counts against: the authenticated user (one per API key or token
+// subject), or the IP address when authentication is disabled
+const clientKey = (req) => (req.user && req.user.id !== ANONYMOUS_USER.id ? `user:${req.user.id}` : `ip:${req.ip}`);
+
+/**
+ * Create a middleware that allows each client at most `max` requests per
+ * `windowMs` (fixed windows, counted in memory). Responses carry
+ * `RateLimit-Limit`, `RateLimit-Remaining` and `RateLimit-Reset` headers;
+ * requests over the limit are answered with 429 and `Retry-After`.
+ *
+ * A `max` of 0 disables the limit.
+ * @param {{name: string, windowMs: number, max: number}} options - `name` describes the limited requests in error messages
+ * @returns {import("express").RequestHandler}
+ */
+const createRateLimiter = ({ name, windowMs, max }) => {
+	const windows = new Map();
+	let nextSweep = 0;
+
+	return (req, res, next) => {
+		if (!max) {
+			return next();
+		}
+
+		const now = Date.now();
+
+		// Forget windows that have ended so idle clients do not pile up
+		if (now >= nextSweep) {
+			for (const [key, window] of windows) {
+				if (window.resetAt <= now) {
+					windows.delete(key);
+				}
+			}
+			nextSweep = now + windowMs;
+		}
+
+		const key = clientKey(req);
+		let window = windows.get(key);
+		if (!window || window.resetAt <= now) {
+			window = { count: 0, resetAt: now + windowMs };
+			windows.set(key, window);
+		}
+		window.count++;
+
+		const resetSeconds = Math.ceil((window.resetAt - now) / 1000);
+		res.setHeader("RateLimit-Limit", max);
+		res.setHeader("RateLimit-Remaining", Math.max(0, max - window.count));
+		res.setHeader("RateLimit-Reset", resetSeconds);
+
+		if (window.count > max) {
+			res.setHeader("Retry-After", resetSeconds);
+			return res.status(429).json({ error: `Too many ${name} requests, try again in ${resetSeconds} seconds`, code: "RATE_LIMITED" });
+		}
+
+		next();
+	};
+};
+
+module.exports = {
+	createRateLimiter,
+};
@@ -0,0 +1,142 @@
+const crypto = require("crypto");
+const { cosineSimilarity } = require("./embeddings");
+
+const sha256 = (value) => crypto.createHash("sha256").update(value).digest("hex");
+
+/**
+ * Normalize a question for exact-match lookups: case, Unicode forms,
+ * whitespace and trailing punctuation do not change the answer.
+ * @param {string} question
+ * @returns {string}
+ */
+const normalizeQuestion = (question) =>
+	String(question)
+		.normalize("NFKC")
+		.toLowerCase()
+		.replace(/\s+/g, " ")
+		.replace(/[\s?!.]+$/, "")
+		.trim();
+
+/**
+ * Cache of chat answers kept in a store. Entries belong to a scope (the
+ * user, the PDFs and their versions, the model and its parameters) and are
+ * found by normalized question or, when the question embedding is given and
+ * `similarity` is set, by the most similar question of the same scope.
+ */
+class ResponseCache {
+	/**
+	 * @param {import("./store").MemoryStore} store
+	 * @param {{ttlMs: number, maxEntries: number, similarity?: number}} options - `similarity` is the cosine similarity a near-duplicate question needs, 0 for exact matches only
+	 */
+	constructor(store, { ttlMs, maxEntries, similarity = 0 }) {
+		this.store = store;
+		this.ttlMs = ttlMs;
+		this.maxEntries = maxEntries;
+		this.similarity = similarity;
+	}
+
+	/**
+	 * Identify what, besides the question, an answer depends on.
+	 * @param {{userId: string, pdfs: Array<{id: string, version: string}>, params: object}} scope
+	 * @returns {string}
+	 */
+	static scopeKey({ userId, pdfs, params }) {
+		const documents = pdfs.map(({ id, version }) => `${id}@${version}`).sort();
+		return sha256(JSON.stringify([userId, documents, params]));
+	}
+
+	/**
+	 * Look up the answer to a question.
+	 * @param {string} scopeKey - From ResponseCache.scopeKey()
+	 * @param {string} question
+	 * @param {number[]} [vector] - Embedding of the question, enables near-duplicate matches
+	 * @returns {{entry: object, match: "exact"|"semantic", similarity: number}|null}
+	 */
+	get(scopeKey, question, vector) {
+		const now = Date.now();
+		const exact = this.store.get(sha256(`${scopeKey}\n${normalizeQuestion(question)}`));
+		if (exact && exact.expiresAt > now) {
+			return { entry: this.touch(exact), match: "exact", similarity: 1 };
+		}
+
+		if (!vector || !this.similarity) {
+			return null;
+		}
+
+		let best = null;
+		for (const entry of this.store.values()) {
+			if (entry.scopeKey !== scopeKey || entry.expiresAt <= now || !Array.isArray(entry.embedding)) {
+				continue;
+			}
+			const similarity = cosineSimilarity(entry.embedding, vector);
+			if (similarity >= this.similarity && (!best || similarity > best.similarity)) {
+				best = { entry, similarity };
+			}
+		}
+
+		return best ? { entry: this.touch(best.entry), match: "semantic", similarity: Number(best.similarity.toFixed(4)) } : null;
+	}
+
+	touch(entry) {
+		entry.hits = (entry.hits || 0) + 1;
+		this.store.set(entry.id, entry);
+		return entry;
+	}
+
+	/**
+	 * Store the answer to a question.
+	 * @param {string} scopeKey
+	 * @param {string} question
+	 * @param {{pdfIds: string[], response: object, vector?: number[]}} value
+	 */
+	set(scopeKey, question, { pdfIds, response, vector }) {
+		const id = sha256(`${scopeKey}\n${normalizeQuestion(question)}`);
+		const now = Date.now();
+
+		this.store.set(id, {
+			id,
+			scopeKey,
+			pdfIds,
+			question: normalizeQuestion(question),
+			embedding: vector || null,
+			response,
+			hits: 0,
+			createdAt: new Date(now).toISOString(),
+			expiresAt: now + this.ttlMs,
+		});
+		this.prune();
+	}
+
+	/**
+	 * Remove the answers that used a PDF.
+	 * @param {string} pdfId
+	 * @returns {string[]} ids of the removed entries
+	 */
+	invalidatePdf(pdfId) {
+		return this.store.prune((entry) => !entry.pdfIds.includes(pdfId));
+	}
+
+	/**
+	 * Remove expired entries, then the oldest ones above `maxEntries`.
+	 * @returns {string[]} ids of the removed entries
+	 */
+	prune() {
+		const now = Date.now();
+		const removed = this.store.prune((entry) => entry.expiresAt > now);
+
+		const overflow = this.store.size - this.maxEntries;
+		if (overflow > 0) {
+			const oldest = [...this.store.values()].sort((a, b) => a.expiresAt - b.expiresAt).slice(0, overflow);
+			for (const entry of oldest) {
+				this.store.delete(entry.id);
+				removed.push(entry.id);
+			}
+		}
+		return removed;
+	}
+}
+
+module.exports = {
+	normalizeQuestion,
+	ResponseCache,
+};
@@ -0,0 +1,291 @@
+// BM25 parameters
+const K1 = 1.2;
+const B = 0.75;
+
+const INDEX_VERSION = 1;
+
+/**
+ * Light English stemmer: folds plurals and the common -ed/-ing/-ly endings so
+ * that "prices", "priced" and "pricing" all index as "price".
+ * @param {string} word - Lowercase word
+ * @returns {string}
+ */
+const stem = (word) => {
+	if (word.length <= 3 || /\d/.test(word)) {
+		return word;
+	}
+
+	let stemmed = word;
+
+	if (stemmed.endsWith("sses")) {
+		stemmed = stemmed.slice(0, -2);
+	} else if (stemmed.endsWith("ies")) {
+		stemmed = `${stemmed.slice(0, -3)}y`;
+	} else if (stemmed.endsWith("s") && !/(ss|us|is)$/.test(stemmed)) {
+		stemmed = stemmed.slice(0, -1);
+	}
+
+	const suffix = ["ingly", "edly", "ing", "ed", "ly"].find((ending) => stemmed.endsWith(ending) && stemmed.length - ending.length >= 3);
+	if (suffix) {
+		const base = stemmed.slice(0, -suffix.length);
+		if (/[aeiouy]/.test(base)) {
+			stemmed = base;
+			if (/([^aeiouylsz])\1$/.test(stemmed)) {
+				// running -> run
+				stemmed = stemmed.slice(0, -1);
+			} else if (/[^aeiouy][aeiouy][^aeiouwxy]$/.test(stemmed) && stemmed.length <= 4) {
+				// priced -> pric -> price
+				stemmed = `${stemmed}e`;
+			} else if (/(at|bl|iz|ic|ur|uc|v)$/.test(stemmed)) {
+				// indicated -> indicat -> indicate
+				stemmed = `${stemmed}e`;
+			}
+		}
+	}
+
+	if (stemmed.endsWith("e") && stemmed.length > 4 && !/(at|bl|iz|ic|ur|uc|v|c)e$/.test(stemmed)) {
+		stemmed = stemmed.slice(0, -1);
+	}
+
+	return stemmed;
+};
+
+/**
+ * Split text into stemmed terms, keeping the character offsets of every token.
+ * @param {string} text
+ * @returns {Array<{term: string, start: number, end: number}>}
+ */
+const tokenizeWithOffsets = (text) => {
+	const tokens = [];
+	for (const match of text.matchAll(/[\p{L}\p{N}]+/gu)) {
+		tokens.push({ term: stem(match[0].toLowerCase()), start: match.index, end: match.index + match[0].length });
+	}
+	return tokens;
+};
+
+/**
+ * Build an inverted index over the pages of a document.
+ * Postings map every term to `[pageIndex, termFrequency, positions]` entries.
+ * @param {Array<{page: number, text: string}>} pageTexts
+ */
+const buildSearchIndex = (pageTexts) => {
+	// No prototype, so every word, "constructor" and "__proto__" included, is an ordinary key
+	const postings = Object.create(null);
+	const pages = [];
+
+	pageTexts.forEach(({ page, text }, pageIndex) => {
+		const tokens = tokenizeWithOffsets(text);
+		const positionsByTerm = new Map();
+
+		tokens.forEach(({ term }, position) => {
+			if (!positionsByTerm.has(term)) {
+				positionsByTerm.set(term, []);
+			}
+			positionsByTerm.get(term).push(position);
+		});
+
+		for (const [term, positions] of positionsByTerm) {
+			if (!postings[term]) {
+				postings[term] = [];
+			}
+			postings[term].push([pageIndex, positions.length, positions]);
+		}
+
+		pages.push({ page, length: tokens.length });
+	});
+
+	return { version: INDEX_VERSION, pages, postings };
+};
+
+const isIndexCurrent = (index) => Boolean(index) && index.version === INDEX_VERSION;
+
+// Postings of a term. Indexes loaded from JSON are plain objects, so terms such as "constructor" must not reach the prototype.
+const getPostings = (index, term) => (Object.hasOwn(index.postings, term) ? index.postings[term] : undefined);
+
+/**
+ * Parse a query into phrases ("exact words"), prefix terms (word*), fuzzy
+ * terms (word~) and plain terms.
+ * @param {string} query
+ * @param {{fuzzy?: boolean}} [options] - `fuzzy` makes every plain term fuzzy
+ */
+const parseQuery = (query, { fuzzy = false } = {}) => {
+	const phrases = [];
+	const terms = [];
+
+	const rest = query.replace(/"([^"]*)"/g, (match, phrase) => {
+		const phraseTerms = tokenizeWithOffsets(phrase).map((token) => token.term);
+		if (phraseTerms.length > 1) {
+			phrases.push(phraseTerms);
+		} else if (phraseTerms.length === 1) {
+			terms.push({ term: phraseTerms[0], mode: "exact" });
+		}
+		return " ";
+	});
+
+	for (const word of rest.split(/\s+/).filter(Boolean)) {
+		const mode = word.endsWith("*") ? "prefix" : word.endsWith("~") || fuzzy ? "fuzzy" : "exact";
+		// Prefixes are matched against stems, so they are not stemmed themselves
+		const tokens = tokenizeWithOffsets(word);
+		const rawTokens = word.toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+
+		tokens.forEach((token, index) => {
+			const isLast = index === tokens.length - 1;
+			terms.push({ term: mode === "prefix" && isLast ? rawTokens[index] : token.term, mode: isLast ? mode : "exact" });
+		});
+	}
+
+	return { phrases, terms };
+};
+
+// Levenshtein distance, giving up early once it exceeds `max`
+const editDistance = (a, b, max) => {
+	if (Math.abs(a.length - b.length) > max) {
+		return max + 1;
+	}
+
+	let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+	for (let i = 1; i <= a.length; i++) {
+		const current = [i];
+		let rowMin = i;
+		for (let j = 1; j <= b.length; j++) {
+			current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+			rowMin = Math.min(rowMin, current[j]);
+		}
+		if (rowMin > max) {
+			return max + 1;
+		}
+		previous = current;
+	}
+	return previous[b.length];
+};
+
+// Vocabulary terms a query term stands for
+const expandTerm = ({ term, mode }, vocabulary) => {
+	if (mode === "prefix") {
+		return vocabulary.filter((candidate) => candidate.startsWith(term));
+	}
+	if (mode === "fuzzy") {
+		const maxDistance = term.length <= 4 ? 1 : 2;
+		return vocabulary.filter((candidate) => editDistance(term, candidate, maxDistance) <= maxDistance);
+	}
+	return vocabulary.includes(term) ? [term] : [];
+};
+
+// Whether the phrase occurs on a page, given each phrase term's positions there
+const hasPhrase = (positionLists) =>
+	positionLists[0].some((start) => positionLists.every((positions, offset) => positions.includes(start + offset)));
+
+/**
+ * Search several indexed documents at once with BM25 ranking. Document
+ * frequencies are computed over all given documents, so scores are comparable
+ * across them. Phrases must match; other terms only contribute to the score.
+ * @param {Array<{id: string, index: object}>} documents
+ * @param {string} query
+ * @param {{fuzzy?: boolean}} [options]
+ * @returns {Array<{id: string, page: number, score: number, terms: string[]}>} hits sorted by score
+ */
+const searchDocuments = (documents, query, options = {}) => {
+	const { phrases, terms } = parseQuery(query, options);
+	if (phrases.length === 0 && terms.length === 0) {
+		return [];
+	}
+
+	const vocabulary = [...new Set(documents.flatMap(({ index }) => Object.keys(index.postings)))];
+	const totalPages = documents.reduce((sum, { index }) => sum + index.pages.length, 0);
+	const totalLength = documents.reduce((sum, { index }) => sum + index.pages.reduce((pageSum, page) => pageSum + page.length, 0), 0);
+	const averageLength = totalPages > 0 ? totalLength / totalPages : 0;
+
+	// Every phrase term takes part in the score too
+	const scoredTerms = [...new Set([...terms.flatMap((term) => expandTerm(term, vocabulary)), ...phrases.flat()])];
+	const documentFrequency = (term) => documents.reduce((sum, { index }) => sum + (getPostings(index, term) || []).length, 0);
+	const idf = new Map(scoredTerms.map((term) => [term, Math.log(1 + (totalPages - documentFrequency(term) + 0.5) / (documentFrequency(term) + 0.5))]));
+
+	const hits = [];
+
+	for (const { id, index } of documents) {
+		const pageHits = new Map();
+
+		for (const term of scoredTerms) {
+			for (const [pageIndex, frequency, positions] of getPostings(index, term) || []) {
+				const length = index.pages[pageIndex].length;
+				const score = idf.get(term) * ((frequency * (K1 + 1)) / (frequency + K1 * (1 - B + (B * length) / (averageLength || 1))));
+
+				if (!pageHits.has(pageIndex)) {
+					pageHits.set(pageIndex, { score: 0, positions: new Map() });
+				}
+				const pageHit = pageHits.get(pageIndex);
+				pageHit.score += score;
+				pageHit.positions.set(term, positions);
+			}
+		}
+
+		for (const [pageIndex, pageHit] of pageHits) {
+			const phrasesMatch = phrases.every((phrase) => phrase.every((term) => pageHit.positions.has(term)) && hasPhrase(phrase.map((term) => pageHit.positions.get(term))));
+			if (!phrasesMatch) {
+				continue;
+			}
+
+			hits.push({
+				id,
+				page: index.pages[pageIndex].page,
+				score: pageHit.score,
+				terms: [...pageHit.positions.keys()],
+			});
+		}
+	}
+
+	return hits.sort((a, b) => b.score - a.score);
+};
+
+/**
+ * Find where the matched terms occur in a page and cut a snippet around the
+ * densest cluster of matches.
+ * @param {string} text - Page text
+ * @param {string[]} terms - Stemmed terms to highlight
+ * @param {number} [size] - Approximate snippet length in characters
+ * @returns {{snippet: string, snippetStart: number, highlights: Array<{start: number, end: number}>, matches: Array<{start: number, end: number}>}}
+ *   `matches` are offsets in the page text, `highlights` are offsets in the snippet
+ */
+const buildSnippet = (text, terms, size = 200) => {
+	const wanted = new Set(terms);
+	const matches = tokenizeWithOffsets(text)
+		.filter((token) => wanted.has(token.term))
+		.map(({ start, end }) => ({ start, end }));
+
+	// Start the snippet at the match with the most other matches within reach
+	let anchor = matches.length > 0 ? matches[0].start : 0;
+	let best = -1;
+	for (const match of matches) {
+		const nearby = matches.filter((other) => other.start >= match.start && other.end <= match.start + size).length;
+		if (nearby > best) {
+			best = nearby;
+			anchor = match.start;
+		}
+	}
+
+	let snippetStart = Math.max(0, anchor - Math.floor(size / 4));
+	const previousBreak = text.lastIndexOf(" ", snippetStart);
+	if (snippetStart > 0 && previousBreak >= 0 && anchor - previousBreak < size / 2) {
+		snippetStart = previousBreak + 1;
+	}
+	const snippetEnd = Math.min(text.length, snippetStart + size);
+
+	return {
+		snippet: text.slice(snippetStart, snippetEnd),
+		snippetStart,
+		highlights: matches
+			.filter((match) => match.start >= snippetStart && match.end <= snippetEnd)
+			.map((match) => ({ start: match.start - snippetStart, end: match.end - snippetStart })),
+		matches,
+	};
+};
+
+module.exports = {
+	stem,
+	tokenizeWithOffsets,
+	buildSearchIndex,
+	isIndexCurrent,
+	parseQuery,
+	searchDocuments,
+	buildSnippet,
+};
@@ -0,0 +1,203 @@
+const path = require("path");
+const fs = require("fs-extra");
+
+const DATA_DIR = process.env.DATA_DIR || "data";
+
+/**
+ * Map-backed store. Every other store keeps the same get/set surface so the
+ * routes do not care where records actually live.
+ */
+class MemoryStore {
+	constructor() {
+		this.records = new Map();
+	}
+
+	get(id) {
+		return this.records.get(id);
+	}
+
+	has(id) {
+		return this.records.has(id);
+	}
+
+	set(id, record) {
+		this.records.set(id, record);
+		return this;
+	}
+
+	delete(id) {
+		return this.records.delete(id);
+	}
+
+	values() {
+		return this.records.values();
+	}
+
+	keys() {
+		return this.records.keys();
+	}
+
+	entries() {
+		return this.records.entries();
+	}
+
+	get size() {
+		return this.records.size;
+	}
+
+	/**
+	 * Wait until every change made so far is persisted. Memory stores have nothing to wait for.
+	 * @returns {Promise<void>}
+	 */
+	async flush() {}
+
+	/**
+	 * Drop every record the predicate rejects.
+	 * @param {(record: object) => boolean} isValid
+	 * @returns {string[]} ids of the removed records
+	 */
+	prune(isValid) {
+		const removed = [];
+		for (const [id, record] of this.entries()) {
+			if (!isValid(record)) {
+				removed.push(id);
+			}
+		}
+		removed.forEach((id) => this.delete(id));
+		return removed;
+	}
+}
+
+/**
+ * Store that keeps one JSON file per record under `<dataDir>/<name>/`.
+ * Records are cached in memory and written behind every set/delete, so
+ * callers that mutate a record in place must call set() again to persist it.
+ * Writes are asynchronous and coalesced: a record set several times in one
+ * tick is serialized once, and writes of the same record never overlap.
+ */
+class FileStore extends MemoryStore {
+	constructor(directory) {
+		super();
+		this.directory = directory;
+		// Records changed since they were last written, and the write queued for each record
+		this.dirty = new Set();
+		this.writes = new Map();
+		fs.ensureDirSync(directory);
+		this.load();
+	}
+
+	recordPath(id) {
+		return path.join(this.directory, `${encodeURIComponent(id)}.json`);
+	}
+
+	load() {
+		for (const entry of fs.readdirSync(this.directory)) {
+			if (!entry.endsWith(".json")) {
+				continue;
+			}
+
+			const id = decodeURIComponent(entry.slice(0, -".json".length));
+			try {
+				this.records.set(id, fs.readJsonSync(path.join(this.directory, entry)));
+			} catch (error) {
+				console.warn(`Skipping unreadable record ${entry} in ${this.directory}:`, error.message);
+			}
+		}
+	}
+
+	set(id, record) {
+		super.set(id, record);
+		this.scheduleWrite(id);
+		return this;
+	}
+
+	delete(id) {
+		const existed = super.delete(id);
+		this.scheduleWrite(id);
+		return existed;
+	}
+
+	// Queue a write of the record as it is once the current tick is over, after any write already running for it
+	scheduleWrite(id) {
+		if (this.dirty.has(id)) {
+			return;
+		}
+		this.dirty.add(id);
+
+		const write = (this.writes.get(id) || Promise.resolve())
+			.then(() => new Promise((resolve) => setImmediate(resolve)))
+			.then(() => {
+				this.dirty.delete(id);
+				return this.persist(id);
+			})
+			.catch((error) => console.error(`Failed to write record ${id} to ${this.directory}:`, error))
+			.finally(() => {
+				if (this.writes.get(id) === write) {
+					this.writes.delete(id);
+				}
+			});
+		this.writes.set(id, write);
+	}
+
+	async persist(id) {
+		const target = this.recordPath(id);
+		if (!this.records.has(id)) {
+			await fs.remove(target);
+			return;
+		}
+
+		// Write to a temporary file first so a crash never leaves half a record behind
+		const temp = `${target}.tmp`;
+		await fs.writeFile(temp, JSON.stringify(this.records.get(id)));
+		await fs.rename(temp, target);
+	}
+
+	/**
+	 * Wait until every change made so far is on disk.
+	 * @returns {Promise<void>}
+	 */
+	async flush() {
+		while (this.writes.size > 0) {
+			await Promise.all(this.writes.values());
+		}
+	}
+}
+
+// Every store made by createStore(), for flushStores()
+const stores = [];
+
+/**
+ * Create a named store using the driver configured in STORE_DRIVER.
+ * @param {string} name - Collection name, used as the directory name on disk
+ * @returns {MemoryStore}
+ */
+const createStore = (name) => {
+	const driver = process.env.STORE_DRIVER || "file";
+
+	let store;
+	switch (driver) {
+		case "memory":
+			store = new MemoryStore();
+			break;
+		case "file":
+			store = new FileStore(path.join(DATA_DIR, name));
+			break;
+		default:
+			throw new Error(`Unknown STORE_DRIVER "${driver}". Use "file" or "memory".`);
+	}
+	stores.push(store);
+	return store;
+};
+
+/**
+ * Wait until the pending writes of every store are on disk, e.g. before the process exits.
+ * @returns {Promise<void>}
+ */
+const flushStores = () => Promise.all(stores.map((store) => store.flush())).then(() => {});
+
+module.exports = {
+	MemoryStore,
+	FileStore,
+	createStore,
+	flushStores,
+};
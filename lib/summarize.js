@@ -0,0 +1,206 @@
+const { estimateTokens } = require("./tokens");
+
+// How long the final summary should be
+const SUMMARY_LENGTHS = {
+	short: "in two or three sentences",
+	medium: "in one or two paragraphs",
+	long: "in detail, in several paragraphs",
+};
+
+// How the final summary should be written
+const SUMMARY_STYLES = {
+	paragraph: "Write flowing prose.",
+	bullets: "Write a bulleted list of the key points, one point per line starting with \"- \".",
+};
+
+const SYSTEM_PROMPT =
+	"You summarize documents accurately and only use the text you are given. Excerpts are marked with [Page N]. Whenever you state a fact, keep a page reference to where it came from, written as (p. N) or (pp. N-M).";
+
+// Label for a range of pages
+const formatPages = (startPage, endPage) => (startPage === endPage ? `Page ${startPage}` : `Pages ${startPage}-${endPage}`);
+
+/**
+ * Split a document into sections to summarize separately. Top-level outline
+ * entries start a new section each; without an outline, consecutive pages are
+ * grouped until they fill `chunkTokens`.
+ * @param {Array<{page: number, text: string}>} pageTexts
+ * @param {Array<{title: string, page: number|null}>} outline
+ * @param {number} chunkTokens
+ * @returns {Array<{title: string|null, startPage: number, endPage: number, pages: Array<{page: number, text: string}>}>}
+ */
+const buildSections = (pageTexts, outline, chunkTokens) => {
+	const pages = pageTexts.filter(({ text }) => text.trim());
+	if (pages.length === 0) {
+		return [];
+	}
+
+	const lastPage = pageTexts[pageTexts.length - 1].page;
+	const starts = (outline || [])
+		.filter((entry) => Number.isInteger(entry.page) && entry.page <= lastPage)
+		.sort((a, b) => a.page - b.page)
+		.filter((entry, index, entries) => index === 0 || entry.page !== entries[index - 1].page);
+
+	if (starts.length > 0) {
+		return starts
+			.map((entry, index) => {
+				// Pages before the first bookmark belong to the first section
+				const startPage = index === 0 ? pageTexts[0].page : entry.page;
+				const endPage = index < starts.length - 1 ? starts[index + 1].page - 1 : lastPage;
+				return {
+					title: entry.title || null,
+					startPage,
+					endPage,
+					pages: pages.filter(({ page }) => page >= startPage && page <= endPage),
+				};
+			})
+			.filter((section) => section.pages.length > 0);
+	}
+
+	const sections = [];
+	let current = null;
+	for (const pageText of pages) {
+		const cost = estimateTokens(pageText.text);
+		if (!current || current.tokens + cost > chunkTokens) {
+			current = { title: null, startPage: pageText.page, endPage: pageText.page, pages: [], tokens: 0 };
+			sections.push(current);
+		}
+		current.pages.push(pageText);
+		current.endPage = pageText.page;
+		current.tokens += cost;
+	}
+	return sections.map(({ tokens, ...section }) => section);
+};
+
+// Cut the pages of a section into page-labelled excerpts of at most `chunkTokens`,
+// splitting pages that do not fit on their own
+const splitIntoExcerpts = (pages, chunkTokens) => {
+	const maxChars = chunkTokens * 4;
+	const excerpts = [];
+	let current = "";
+
+	for (const { page, text } of pages) {
+		for (let offset = 0; offset < text.length; offset += maxChars) {
+			const part = `[Page ${page}]\n${text.slice(offset, offset + maxChars)}`;
+			if (current && estimateTokens(current) + estimateTokens(part) > chunkTokens) {
+				excerpts.push(current);
+				current = "";
+			}
+			current = current ? `${current}\n\n${part}` : part;
+		}
+	}
+
+	if (current) {
+		excerpts.push(current);
+	}
+	return excerpts;
+};
+
+// Group texts into batches whose combined size fits in `chunkTokens`. Batches hold at least
+// two texts so that every round of merging shrinks the list, even when summaries come back long.
+const packIntoBatches = (texts, chunkTokens) => {
+	const batches = [];
+	let current = [];
+	let used = 0;
+
+	for (const text of texts) {
+		const cost = estimateTokens(text);
+		if (current.length > 1 && used + cost > chunkTokens) {
+			batches.push(current);
+			current = [];
+			used = 0;
+		}
+		current.push(text);
+		used += cost;
+	}
+
+	if (current.length > 0) {
+		batches.push(current);
+	}
+	return batches;
+};
+
+/**
+ * Summarize a whole document with map-reduce: every excerpt is summarized on
+ * its own, excerpt summaries are combined per section, and section summaries
+ * are combined into the final summary. Summaries that do not fit in one
+ * request are combined in several rounds.
+ * @param {object} params
+ * @param {object} params.llm - Provider from createLLMProvider()
+ * @param {{model: string, temperature: number, maxTokens: number}} params.options - Completion options
+ * @param {Array<{page: number, text: string}>} params.pageTexts
+ * @param {Array} [params.outline] - Outline from extractPages(), used to find sections
+ * @param {string} [params.title] - Document name mentioned in the prompts
+ * @param {"short"|"medium"|"long"} [params.length]
+ * @param {"paragraph"|"bullets"} [params.style]
+ * @param {number} [params.chunkTokens] - Maximum size of the text sent with one request
+ * @param {AbortSignal} [params.signal]
+ * @returns {Promise<{summary: string, sections: Array<{title: string|null, startPage: number, endPage: number, summary: string}>, tokenUsage: number}>}
+ */
+const summarizeDocument = async ({ llm, options, pageTexts, outline = [], title = "the document", length = "medium", style = "paragraph", chunkTokens = 3000, signal }) => {
+	let tokenUsage = 0;
+
+	const ask = async (instruction, text) => {
+		const completion = await llm.complete({
+			...options,
+			messages: [
+				{ role: "system", content: SYSTEM_PROMPT },
+				{ role: "user", content: `${instruction}\n\n${text}` },
+			],
+			signal,
+		});
+		tokenUsage += completion.tokenUsage || 0;
+		return (completion.content || "").trim();
+	};
+
+	// Combine summaries until a single one is left
+	const combine = async (summaries, instruction) => {
+		let remaining = summaries;
+		for (;;) {
+			const batches = packIntoBatches(remaining, chunkTokens);
+			if (batches.length === 1) {
+				return ask(instruction, batches[0].join("\n\n"));
+			}
+
+			const merged = [];
+			for (const batch of batches) {
+				merged.push(await ask(`Merge these partial summaries of ${title} into one, keeping every page reference.`, batch.join("\n\n")));
+			}
+			remaining = merged;
+		}
+	};
+
+	const sections = [];
+	for (const section of buildSections(pageTexts, outline, chunkTokens)) {
+		const label = section.title ? `the section "${section.title}" of ${title}` : `${formatPages(section.startPage, section.endPage).toLowerCase()} of ${title}`;
+
+		const partials = [];
+		for (const excerpt of splitIntoExcerpts(section.pages, chunkTokens)) {
+			partials.push(await ask(`Summarize this excerpt from ${label}, keeping page references.`, excerpt));
+		}
+
+		const summary =
+			partials.length === 1 ? partials[0] : await combine(partials, `Combine these summaries of parts of ${label} into one summary of two to four sentences, keeping page references.`);
+
+		sections.push({ title: section.title, startPage: section.startPage, endPage: section.endPage, summary });
+	}
+
+	if (sections.length === 0) {
+		return { summary: "", sections, tokenUsage };
+	}
+
+	const sectionSummaries = sections.map(
+		(section) => `${section.title ? `${section.title} (${formatPages(section.startPage, section.endPage)})` : formatPages(section.startPage, section.endPage)}:\n${section.summary}`,
+	);
+	const summary = await combine(
+		sectionSummaries,
+		`These are summaries of the sections of ${title}. Summarize the whole document ${SUMMARY_LENGTHS[length]}, keeping page references. ${SUMMARY_STYLES[style]}`,
+	);
+
+	return { summary, sections, tokenUsage };
+};
+
+module.exports = {
+	SUMMARY_LENGTHS,
+	SUMMARY_STYLES,
+	summarizeDocument,
+};
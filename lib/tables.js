@@ -0,0 +1,174 @@
+// Text items further apart than this many font heights start a new cell
+const CELL_GAP_RATIO = 1;
+
+// Rows further apart than this many font heights end a table
+const ROW_GAP_RATIO = 2.5;
+
+// Table cells are short; blocks whose typical cell is longer are columns of running text
+const MAX_MEDIAN_CELL_LENGTH = 40;
+
+const median = (values) => {
+	const sorted = [...values].sort((a, b) => a - b);
+	return sorted.length > 0 ? sorted[Math.floor(sorted.length / 2)] : 0;
+};
+
+// Group items that share a baseline into lines, top to bottom
+const groupLines = (items) => {
+	const lines = [];
+
+	for (const item of [...items].sort((a, b) => a.y - b.y || a.x - b.x)) {
+		const line = lines.find((candidate) => Math.abs(candidate.y - item.y) <= Math.min(candidate.height, item.height) / 2);
+		if (line) {
+			line.items.push(item);
+			line.height = Math.max(line.height, item.height);
+		} else {
+			lines.push({ y: item.y, height: item.height, items: [item] });
+		}
+	}
+
+	return lines.sort((a, b) => a.y - b.y);
+};
+
+// Merge the items of a line into cells, splitting wherever the horizontal gap is wide
+const splitCells = (line) => {
+	const cells = [];
+
+	for (const item of [...line.items].sort((a, b) => a.x - b.x)) {
+		const previous = cells[cells.length - 1];
+		if (previous && item.x - previous.x1 <= item.height * CELL_GAP_RATIO) {
+			previous.text += (item.x - previous.x1 > item.height * 0.1 ? " " : "") + item.text;
+			previous.x1 = Math.max(previous.x1, item.x + item.width);
+		} else {
+			cells.push({ text: item.text, x0: item.x, x1: item.x + item.width });
+		}
+	}
+
+	return cells.map((cell) => ({ ...cell, text: cell.text.trim() }));
+};
+
+// Find the columns of a block of rows by merging the horizontal extents of all its cells
+const findColumns = (rows) => {
+	const columns = [];
+
+	for (const cell of rows.flatMap((row) => row.cells).sort((a, b) => a.x0 - b.x0)) {
+		const column = columns[columns.length - 1];
+		if (column && cell.x0 <= column.x1) {
+			column.x1 = Math.max(column.x1, cell.x1);
+		} else {
+			columns.push({ x0: cell.x0, x1: cell.x1 });
+		}
+	}
+
+	return columns;
+};
+
+// Turn a block of consecutive multi-cell rows into a table, or null when it does not look like one
+const buildTable = (rows) => {
+	if (rows.length < 2) {
+		return null;
+	}
+
+	const columns = findColumns(rows);
+	if (columns.length < 2) {
+		return null;
+	}
+
+	const cellLengths = rows.flatMap((row) => row.cells.map((cell) => cell.text.length));
+	if (median(cellLengths) > MAX_MEDIAN_CELL_LENGTH) {
+		return null;
+	}
+
+	const grid = rows.map((row) => {
+		const values = columns.map(() => []);
+		for (const cell of row.cells) {
+			const center = (cell.x0 + cell.x1) / 2;
+			const index = columns.findIndex((column) => center >= column.x0 && center <= column.x1);
+			values[index === -1 ? 0 : index].push(cell.text);
+		}
+		return values.map((parts) => parts.join(" "));
+	});
+
+	const top = Math.min(...rows.map((row) => row.y - row.height));
+	const bottom = Math.max(...rows.map((row) => row.y));
+	const left = Math.min(...columns.map((column) => column.x0));
+	const right = Math.max(...columns.map((column) => column.x1));
+	const round = (value) => Math.round(value * 100) / 100;
+
+	return {
+		bbox: { x: round(left), y: round(top), width: round(right - left), height: round(bottom - top) },
+		rows: grid,
+	};
+};
+
+/**
+ * Detect tables among the positioned text items of a page. Lines made of
+ * several cells separated by wide gaps are grouped into tables when they
+ * follow each other closely; columns are found by lining up the cells.
+ * Coordinates are in PDF points with the origin at the top left of the page,
+ * `y` being the baseline of the item.
+ * @param {Array<{text: string, x: number, y: number, width: number, height: number}>} items
+ * @returns {Array<{bbox: {x: number, y: number, width: number, height: number}, rows: string[][]}>}
+ */
+const detectTables = (items) => {
+	const lines = groupLines(items.filter((item) => item.text.trim() && item.height > 0));
+	const tables = [];
+	let block = [];
+
+	const closeBlock = () => {
+		const table = buildTable(block);
+		if (table) {
+			tables.push(table);
+		}
+		block = [];
+	};
+
+	for (const line of lines) {
+		const cells = splitCells(line);
+		const previous = block[block.length - 1];
+
+		if (previous && line.y - previous.y > Math.max(line.height, previous.height) * ROW_GAP_RATIO) {
+			closeBlock();
+		}
+
+		if (cells.length >= 2) {
+			block.push({ y: line.y, height: line.height, cells });
+		} else {
+			closeBlock();
+		}
+	}
+	closeBlock();
+
+	return tables;
+};
+
+const escapeMarkdownCell = (value) => value.replace(/\|/g, "\\|").replace(/\s*\n\s*/g, " ");
+
+/**
+ * Format table rows as a Markdown table, using the first row as header.
+ * @param {string[][]} rows
+ * @returns {string}
+ */
+const tableToMarkdown = (rows) => {
+	const [header, ...body] = rows.map((row) => `| ${row.map(escapeMarkdownCell).join(" | ")} |`);
+	const separator = `|${rows[0].map(() => " --- ").join("|")}|`;
+	return [header, separator, ...body].join("\n");
+};
+
+// Spreadsheets run cells starting with these characters as formulas; plain numbers such as "-1,200" are left alone
+const neutralizeFormula = (value) => (/^[=+\-@]/.test(value) && !/^[+-]?[\d.,]*%?$/.test(value) ? `'${value}` : value);
+
+const escapeCsvCell = (value) => (/[",\r\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value);
+
+/**
+ * Format table rows as CSV (RFC 4180). Cells that a spreadsheet would read as
+ * a formula are prefixed with `'` so opening the file does not run them.
+ * @param {string[][]} rows
+ * @returns {string}
+ */
+const tableToCsv = (rows) => rows.map((row) => row.map((value) => escapeCsvCell(neutralizeFormula(value))).join(",")).join("\r\n") + "\r\n";
+
+module.exports = {
+	detectTables,
+	tableToMarkdown,
+	tableToCsv,
+};
@@ -0,0 +1,30 @@
+// Rough token estimate (about four characters per token for English text).
+// Good enough for budgeting prompts without pulling in a tokenizer.
+const estimateTokens = (text) => Math.ceil((text || "").length / 4);
+
+/**
+ * Keep the most recent messages whose combined size fits in the token budget.
+ * @param {Array<{role: string, content: string}>} messages - Oldest first
+ * @param {number} budget - Maximum number of tokens to keep
+ * @returns {Array<{role: string, content: string}>} the kept messages, oldest first
+ */
+const fitMessagesToBudget = (messages, budget) => {
+	const kept = [];
+	let used = 0;
+
+	for (let i = messages.length - 1; i >= 0; i--) {
+		const cost = estimateTokens(messages[i].content) + 4; // per-message overhead
+		if (used + cost > budget) {
+			break;
+		}
+		used += cost;
+		kept.unshift(messages[i]);
+	}
+
+	return kept;
+};
+
+module.exports = {
+	estimateTokens,
+	fitMessagesToBudget,
+};
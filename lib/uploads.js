@@ -0,0 +1,107 @@
+const crypto = require("crypto");
+const path = require("path");
+
+const MAX_FILENAME_LENGTH = 200;
+
+/**
+ * Make a client-supplied filename safe to store and show: directories,
+ * control characters and characters reserved on common filesystems are
+ * removed and the name is shortened to MAX_FILENAME_LENGTH, keeping its
+ * extension.
+ * @param {string} filename
+ * @returns {string}
+ */
+const sanitizeFilename = (filename) => {
+	const name = String(filename || "")
+		.normalize("NFC")
+		// Browsers on Windows may send the full path
+		.split(/[/\\]/)
+		.pop()
+		.replace(/[\u0000-\u001f\u007f]/g, "")
+		.replace(/[<>:"|?*]/g, "_")
+		.replace(/\s+/g, " ")
+		.replace(/^[\s.]+|[\s.]+$/g, "");
+
+	if (!name) {
+		return "document.pdf";
+	}
+
+	const extension = path.extname(name).slice(0, 16);
+	const stem = name.slice(0, name.length - path.extname(name).length);
+	return [...stem].slice(0, MAX_FILENAME_LENGTH - extension.length).join("").trim() + extension;
+};
+
+/**
+ * Recover the name of an uploaded file. Multipart parsers read plain
+ * `filename` parameters as Latin-1, while browsers send them as UTF-8 bytes;
+ * names that do not decode as UTF-8 are kept as they are.
+ * @param {string} originalname - `file.originalname` from multer
+ * @returns {string}
+ */
+const decodeUploadFilename = (originalname) => {
+	const name = String(originalname || "");
+	if (!/^[\u0000-\u00ff]*$/.test(name)) {
+		return name;
+	}
+	const decoded = Buffer.from(name, "latin1").toString("utf8");
+	return decoded.includes("\ufffd") ? name : decoded;
+};
+
+/**
+ * Build a Content-Disposition header value. The filename is sent both as an
+ * ASCII fallback and RFC 5987-encoded (`filename*`) for clients that support
+ * non-ASCII names.
+ * @param {"inline"|"attachment"} type
+ * @param {string} filename
+ * @returns {string}
+ */
+const contentDisposition = (type, filename) => {
+	const fallback = sanitizeFilename(filename).replace(/[^\x20-\x7e]/g, "_").replace(/["\\%]/g, "_");
+	const encoded = encodeURIComponent(sanitizeFilename(filename)).replace(/['()*]/g, (char) => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+	return `${type}; filename="${fallback}"; filename*=UTF-8''${encoded}`;
+};
+
+/**
+ * SHA-256 of file contents, used to recognize files that were uploaded before.
+ * @param {Buffer} dataBuffer
+ * @returns {string} hex digest
+ */
+const hashContent = (dataBuffer) => crypto.createHash("sha256").update(dataBuffer).digest("hex");
+
+/**
+ * Build the functions that encrypt the passwords of encrypted PDFs for
+ * storage and decrypt them again, with AES-256-GCM under a key derived from
+ * `secret`. Sealed passwords look like `v1.<iv>.<tag>.<ciphertext>`.
+ * @param {string} secret - Server-side key (PDF_PASSWORD_KEY), kept out of the data directory
+ * @returns {{seal: (password: string) => string, open: (sealed: string) => string}} open() throws when the key does not match
+ */
+const createPasswordSealer = (secret) => {
+	const key = crypto.createHash("sha256").update(secret).digest();
+
+	const seal = (password) => {
+		const iv = crypto.randomBytes(12);
+		const cipher = crypto.createCipheriv("aes-256-gcm", key, iv);
+		const ciphertext = Buffer.concat([cipher.update(password, "utf8"), cipher.final()]);
+		return ["v1", iv, cipher.getAuthTag(), ciphertext].map((part) => (typeof part === "string" ? part : part.toString("base64url"))).join(".");
+	};
+
+	const open = (sealed) => {
+		const [format, iv, tag, ciphertext] = String(sealed).split(".");
+		if (format !== "v1" || ciphertext === undefined) {
+			throw new Error("Unknown sealed password format");
+		}
+		const decipher = crypto.createDecipheriv("aes-256-gcm", key, Buffer.from(iv, "base64url"));
+		decipher.setAuthTag(Buffer.from(tag, "base64url"));
+		return Buffer.concat([decipher.update(Buffer.from(ciphertext, "base64url")), decipher.final()]).toString("utf8");
+	};
+
+	return { seal, open };
+};
+
+module.exports = {
+	sanitizeFilename,
+	decodeUploadFilename,
+	contentDisposition,
+	hashContent,
+	createPasswordSealer,
+};
@@ -0,0 +1,131 @@
+// Days of daily totals kept in a usage record; monthly totals are kept for good
+const DAILY_HISTORY_DAYS = 62;
+
+// Quota periods run on UTC calendar days and months
+const dayKey = (date) => date.toISOString().slice(0, 10);
+const monthKey = (date) => date.toISOString().slice(0, 7);
+const startOfNextDay = (date) => new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate() + 1));
+const startOfNextMonth = (date) => new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 1));
+
+/**
+ * Cumulative model token usage per user and per document, kept in a store
+ * with one record per user. Daily and monthly quotas (0 = unlimited) are
+ * checked against the totals of the current UTC day and month.
+ */
+class UsageTracker {
+	/**
+	 * @param {import("./store").MemoryStore} store
+	 * @param {{dailyQuota?: number, monthlyQuota?: number}} [quotas]
+	 */
+	constructor(store, { dailyQuota = 0, monthlyQuota = 0 } = {}) {
+		this.store = store;
+		this.dailyQuota = dailyQuota;
+		this.monthlyQuota = monthlyQuota;
+	}
+
+	getRecord(userId) {
+		return this.store.get(userId) || { id: userId, ownerId: userId, totalTokens: 0, requests: 0, daily: {}, monthly: {}, documents: {} };
+	}
+
+	/**
+	 * Add the tokens of one model request. Every PDF the request was about is
+	 * charged the full amount, so document totals can add up to more than the
+	 * user total when requests span several PDFs.
+	 * @param {string} userId
+	 * @param {number} tokens
+	 * @param {string[]} [pdfIds]
+	 * @param {Date} [now]
+	 */
+	record(userId, tokens, pdfIds = [], now = new Date()) {
+		const usage = this.getRecord(userId);
+		const amount = Number.isFinite(tokens) && tokens > 0 ? tokens : 0;
+		const day = dayKey(now);
+		const month = monthKey(now);
+
+		usage.totalTokens += amount;
+		usage.requests++;
+		usage.daily[day] = (usage.daily[day] || 0) + amount;
+		usage.monthly[month] = (usage.monthly[month] || 0) + amount;
+
+		for (const pdfId of new Set(pdfIds)) {
+			const document = usage.documents[pdfId] || { tokens: 0, requests: 0 };
+			document.tokens += amount;
+			document.requests++;
+			document.lastUsed = now.toISOString();
+			usage.documents[pdfId] = document;
+		}
+
+		const oldestDay = dayKey(new Date(now.getTime() - DAILY_HISTORY_DAYS * 24 * 60 * 60 * 1000));
+		for (const key of Object.keys(usage.daily)) {
+			if (key < oldestDay) {
+				delete usage.daily[key];
+			}
+		}
+
+		this.store.set(userId, usage);
+	}
+
+	/**
+	 * Find a quota the user has used up.
+	 * @param {string} userId
+	 * @param {Date} [now]
+	 * @returns {{period: "daily"|"monthly", limit: number, used: number, resetAt: string, retryAfter: number}|null} null while the user is within quota
+	 */
+	checkQuota(userId, now = new Date()) {
+		const usage = this.getRecord(userId);
+		const periods = [
+			{ period: "daily", limit: this.dailyQuota, used: usage.daily[dayKey(now)] || 0, resetAt: startOfNextDay(now) },
+			{ period: "monthly", limit: this.monthlyQuota, used: usage.monthly[monthKey(now)] || 0, resetAt: startOfNextMonth(now) },
+		];
+
+		// When both are used up the client has to wait for the later reset
+		const exceeded = periods.filter(({ limit, used }) => limit > 0 && used >= limit).pop();
+		if (!exceeded) {
+			return null;
+		}
+
+		return {
+			...exceeded,
+			resetAt: exceeded.resetAt.toISOString(),
+			retryAfter: Math.ceil((exceeded.resetAt.getTime() - now.getTime()) / 1000),
+		};
+	}
+
+	/**
+	 * Usage of a user for the current day and month, the daily history and the
+	 * totals per document, most used first.
+	 * @param {string} userId
+	 * @param {Date} [now]
+	 */
+	report(userId, now = new Date()) {
+		const usage = this.getRecord(userId);
+		const period = (key, used, limit, resetAt) => ({
+			period: key,
+			tokens: used,
+			limit: limit || null,
+			remaining: limit ? Math.max(0, limit - used) : null,
+			resetAt: resetAt.toISOString(),
+		});
+
+		return {
+			userId: userId,
+			totalTokens: usage.totalTokens,
+			requests: usage.requests,
+			today: period(dayKey(now), usage.daily[dayKey(now)] || 0, this.dailyQuota, startOfNextDay(now)),
+			month: period(monthKey(now), usage.monthly[monthKey(now)] || 0, this.monthlyQuota, startOfNextMonth(now)),
+			daily: Object.entries(usage.daily)
+				.sort(([a], [b]) => a.localeCompare(b))
+				.map(([date, tokens]) => ({ date, tokens })),
+			monthly: Object.entries(usage.monthly)
+				.sort(([a], [b]) => a.localeCompare(b))
+				.map(([month, tokens]) => ({ month, tokens })),
+			documents: Object.entries(usage.documents)
+				.map(([pdfId, document]) => ({ pdfId, ...document }))
+				.sort((a, b) => b.tokens - a.tokens),
+		};
+	}
+}
+
+module.exports = {
+	UsageTracker,
+};
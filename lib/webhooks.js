@@ -0,0 +1,319 @@
+const crypto = require("crypto");
+const dns = require("dns");
+const http = require("http");
+const https = require("https");
+const net = require("net");
+const { v4: uuidv4 } = require("uuid");
+
+// Events a webhook can subscribe to
+const WEBHOOK_EVENTS = ["document.uploaded", "document.processed", "document.failed", "document.deleted", "chat.completed"];
+
+// Addresses that are not on the public internet: this host, private and carrier-grade NAT networks,
+// link-local and unique-local ranges, and reserved, multicast and unspecified addresses
+const NON_PUBLIC_NETWORKS = [
+	["0.0.0.0", 8, "ipv4"],
+	["10.0.0.0", 8, "ipv4"],
+	["100.64.0.0", 10, "ipv4"],
+	["127.0.0.0", 8, "ipv4"],
+	["169.254.0.0", 16, "ipv4"],
+	["172.16.0.0", 12, "ipv4"],
+	["192.0.0.0", 24, "ipv4"],
+	["192.168.0.0", 16, "ipv4"],
+	["198.18.0.0", 15, "ipv4"],
+	["224.0.0.0", 4, "ipv4"],
+	["240.0.0.0", 4, "ipv4"],
+	["::", 128, "ipv6"],
+	["::1", 128, "ipv6"],
+	["fc00::", 7, "ipv6"],
+	["fe80::", 10, "ipv6"],
+	["ff00::", 8, "ipv6"],
+];
+
+const nonPublicAddresses = new net.BlockList();
+for (const [network, prefix, type] of NON_PUBLIC_NETWORKS) {
+	nonPublicAddresses.addSubnet(network, prefix, type);
+}
+
+const addressType = (address) => (net.isIPv6(address) ? "ipv6" : "ipv4");
+
+/**
+ * Build the check of the addresses webhooks may be delivered to. Public
+ * addresses are always allowed; the others only when the host name, the
+ * address or a range containing it is on the allowlist, so webhooks cannot
+ * be pointed at the server itself or its internal network.
+ * @param {string[]} [allowlist] - Host names, addresses and CIDR ranges (WEBHOOK_ALLOWED_HOSTS)
+ * @returns {(hostname: string, address: string) => boolean}
+ */
+const createAddressFilter = (allowlist = []) => {
+	const allowedHosts = new Set();
+	const allowedAddresses = new net.BlockList();
+
+	for (const entry of allowlist.map((value) => value.trim().toLowerCase()).filter(Boolean)) {
+		const [network, prefix] = entry.split("/");
+		if (!net.isIP(network)) {
+			allowedHosts.add(entry);
+		} else if (prefix === undefined) {
+			allowedAddresses.addAddress(network, addressType(network));
+		} else {
+			allowedAddresses.addSubnet(network, Number(prefix), addressType(network));
+		}
+	}
+
+	return (hostname, address) =>
+		!nonPublicAddresses.check(address, addressType(address)) || allowedHosts.has(hostname.toLowerCase()) || allowedAddresses.check(address, addressType(address));
+};
+
+const addressNotAllowed = (hostname) => Object.assign(new Error(`${hostname} resolves to an address webhooks may not be sent to`), { code: "ADDRESS_NOT_ALLOWED" });
+
+// Host name of a URL as it is resolved, without the brackets around IPv6 addresses
+const urlHostname = (url) => new URL(url).hostname.replace(/^\[(.*)\]$/, "$1");
+
+/**
+ * Resolve the host of a webhook URL and check every address it resolves to.
+ * @param {string} url
+ * @param {(hostname: string, address: string) => boolean} isAllowedAddress - From createAddressFilter()
+ * @returns {Promise<void>}
+ * @throws {Error} with code ADDRESS_NOT_ALLOWED, or the error of the DNS lookup
+ */
+const checkWebhookUrl = async (url, isAllowedAddress) => {
+	const hostname = urlHostname(url);
+	const addresses = await dns.promises.lookup(hostname, { all: true, verbatim: true });
+	if (addresses.length === 0 || addresses.some(({ address }) => !isAllowedAddress(hostname, address))) {
+		throw addressNotAllowed(hostname);
+	}
+};
+
+/**
+ * Sign a webhook payload. Receivers recompute the HMAC-SHA256 of
+ * `<timestamp>.<body>` with the webhook secret and compare it with the
+ * `X-Webhook-Signature` header; the timestamp lets them reject replays.
+ * @param {string} secret
+ * @param {string} timestamp - Unix time in seconds, as sent in `X-Webhook-Timestamp`
+ * @param {string} body - Raw request body
+ * @returns {string} `sha256=<hex digest>`
+ */
+const signPayload = (secret, timestamp, body) => `sha256=${crypto.createHmac("sha256", secret).update(`${timestamp}.${body}`).digest("hex")}`;
+
+/**
+ * Generate a secret for signing the payloads of a webhook.
+ * @returns {string}
+ */
+const createWebhookSecret = () => `whsec_${crypto.randomBytes(24).toString("hex")}`;
+
+/**
+ * Delivers events to registered webhooks. Every event is sent to each
+ * webhook of its owner that subscribes to it, as a signed JSON POST. Failed
+ * deliveries are retried with exponential backoff; every attempt is kept in
+ * the delivery log, trimmed to the last `logSize` deliveries per webhook.
+ */
+class WebhookDispatcher {
+	/**
+	 * @param {import("./store").MemoryStore} webhookStore
+	 * @param {import("./store").MemoryStore} deliveryStore
+	 * @param {{maxAttempts: number, retryBaseMs: number, timeoutMs: number, logSize: number, isAllowedAddress?: Function}} options
+	 *   `isAllowedAddress` decides which addresses deliveries may connect to (see createAddressFilter())
+	 */
+	constructor(webhookStore, deliveryStore, { maxAttempts, retryBaseMs, timeoutMs, logSize, isAllowedAddress = createAddressFilter() }) {
+		this.webhookStore = webhookStore;
+		this.deliveryStore = deliveryStore;
+		this.maxAttempts = maxAttempts;
+		this.retryBaseMs = retryBaseMs;
+		this.timeoutMs = timeoutMs;
+		this.logSize = logSize;
+		this.isAllowedAddress = isAllowedAddress;
+		this.timers = new Map();
+	}
+
+	/**
+	 * Queue an event for every webhook of the owner subscribed to it.
+	 * @param {string} ownerId
+	 * @param {string} type - One of WEBHOOK_EVENTS
+	 * @param {object} data - Event payload
+	 * @returns {string[]} ids of the queued deliveries
+	 */
+	emit(ownerId, type, data) {
+		const event = { id: uuidv4(), type, createdAt: new Date().toISOString(), data };
+		const deliveryIds = [];
+
+		for (const webhook of this.webhookStore.values()) {
+			if (webhook.ownerId !== ownerId || !webhook.events.includes(type)) {
+				continue;
+			}
+
+			const delivery = {
+				id: uuidv4(),
+				webhookId: webhook.id,
+				ownerId,
+				event: type,
+				payload: event,
+				status: "pending",
+				attempts: [],
+				nextAttemptAt: event.createdAt,
+				createdAt: event.createdAt,
+			};
+			this.deliveryStore.set(delivery.id, delivery);
+			this.trimLog(webhook.id);
+			this.schedule(delivery, 0);
+			deliveryIds.push(delivery.id);
+		}
+
+		return deliveryIds;
+	}
+
+	/**
+	 * Schedule the deliveries that were still pending when the server stopped.
+	 */
+	resume() {
+		for (const delivery of this.deliveryStore.values()) {
+			if (delivery.status === "pending") {
+				this.schedule(delivery, Math.max(0, new Date(delivery.nextAttemptAt).getTime() - Date.now()));
+			}
+		}
+	}
+
+	schedule(delivery, delayMs) {
+		const timer = setTimeout(() => {
+			this.timers.delete(delivery.id);
+			this.attempt(delivery.id).catch((error) => console.error(`Webhook delivery ${delivery.id} failed:`, error));
+		}, delayMs);
+		// Pending retries should not keep the process alive
+		timer.unref();
+		this.timers.set(delivery.id, timer);
+	}
+
+	async attempt(deliveryId) {
+		const delivery = this.deliveryStore.get(deliveryId);
+		const webhook = delivery && this.webhookStore.get(delivery.webhookId);
+		if (!delivery || delivery.status !== "pending" || !webhook) {
+			return;
+		}
+
+		const body = JSON.stringify(delivery.payload);
+		const timestamp = String(Math.floor(Date.now() / 1000));
+		const startedAt = Date.now();
+		const attempt = { at: new Date(startedAt).toISOString() };
+
+		try {
+			// The host may resolve differently than when the webhook was registered
+			await checkWebhookUrl(webhook.url, this.isAllowedAddress);
+			attempt.statusCode = await this.post(webhook.url, body, {
+				"Content-Type": "application/json",
+				"User-Agent": "pdf-chat-webhooks",
+				"X-Webhook-Id": webhook.id,
+				"X-Webhook-Event": delivery.event,
+				"X-Webhook-Delivery": delivery.id,
+				"X-Webhook-Timestamp": timestamp,
+				"X-Webhook-Signature": signPayload(webhook.secret, timestamp, body),
+			});
+			attempt.ok = attempt.statusCode >= 200 && attempt.statusCode < 300;
+		} catch (error) {
+			attempt.ok = false;
+			// Connection errors are not passed on, so the log tells nothing about hosts the server can reach
+			if (error.code === "TIMEOUT") {
+				attempt.error = `No response within ${this.timeoutMs} ms`;
+			} else if (error.code === "ADDRESS_NOT_ALLOWED") {
+				attempt.error = "The webhook URL resolves to an address webhooks may not be sent to";
+			} else {
+				attempt.error = "Could not connect to the webhook URL";
+			}
+		}
+		attempt.durationMs = Date.now() - startedAt;
+
+		// The delivery may have been removed with its webhook while the request was running
+		if (!this.deliveryStore.has(delivery.id)) {
+			return;
+		}
+
+		delivery.attempts.push(attempt);
+		if (attempt.ok) {
+			delivery.status = "delivered";
+			delivery.nextAttemptAt = null;
+		} else if (delivery.attempts.length >= this.maxAttempts) {
+			delivery.status = "failed";
+			delivery.nextAttemptAt = null;
+		} else {
+			const delayMs = this.retryBaseMs * 2 ** (delivery.attempts.length - 1);
+			delivery.nextAttemptAt = new Date(Date.now() + delayMs).toISOString();
+			this.schedule(delivery, delayMs);
+		}
+		this.deliveryStore.set(delivery.id, delivery);
+	}
+
+	/**
+	 * POST a payload and resolve with the status code of the answer. Redirects are not followed,
+	 * and the connection is only made to addresses that pass the check, whatever DNS answers by then.
+	 * @param {string} url
+	 * @param {string} body
+	 * @param {object} headers
+	 * @returns {Promise<number>}
+	 */
+	post(url, body, headers) {
+		const lookup = (hostname, options, callback) => {
+			dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+				if (error) {
+					return callback(error);
+				}
+				if (addresses.length === 0 || addresses.some(({ address }) => !this.isAllowedAddress(hostname, address))) {
+					return callback(addressNotAllowed(hostname));
+				}
+				return options.all ? callback(null, addresses) : callback(null, addresses[0].address, addresses[0].family);
+			});
+		};
+
+		return new Promise((resolve, reject) => {
+			const client = new URL(url).protocol === "https:" ? https : http;
+			const request = client.request(url, { method: "POST", headers: { ...headers, "Content-Length": Buffer.byteLength(body) }, lookup }, (response) => {
+				// The receiver's answer is not used, only read so the connection is released
+				response.resume();
+				response.on("end", () => resolve(response.statusCode));
+				response.on("error", reject);
+			});
+			const timer = setTimeout(() => request.destroy(Object.assign(new Error("Timed out"), { code: "TIMEOUT" })), this.timeoutMs);
+			request.on("error", reject);
+			request.on("close", () => clearTimeout(timer));
+			request.end(body);
+		});
+	}
+
+	/**
+	 * Deliveries of a webhook, newest first.
+	 * @param {string} webhookId
+	 * @returns {Array<object>}
+	 */
+	listDeliveries(webhookId) {
+		return [...this.deliveryStore.values()].filter((delivery) => delivery.webhookId === webhookId).sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+	}
+
+	trimLog(webhookId) {
+		for (const delivery of this.listDeliveries(webhookId).slice(this.logSize)) {
+			this.cancel(delivery.id);
+			this.deliveryStore.delete(delivery.id);
+		}
+	}
+
+	cancel(deliveryId) {
+		clearTimeout(this.timers.get(deliveryId));
+		this.timers.delete(deliveryId);
+	}
+
+	/**
+	 * Remove a webhook together with its delivery log and pending retries.
+	 * @param {string} webhookId
+	 */
+	removeWebhook(webhookId) {
+		this.webhookStore.delete(webhookId);
+		for (const delivery of this.listDeliveries(webhookId)) {
+			this.cancel(delivery.id);
+			this.deliveryStore.delete(delivery.id);
+		}
+	}
+}
+
+module.exports = {
+	WEBHOOK_EVENTS,
+	signPayload,
+	createWebhookSecret,
+	createAddressFilter,
+	checkWebhookUrl,
+	WebhookDispatcher,
+};
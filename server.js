@@ -1,14 +1,38 @@
+// Load .env before the lib modules, several of them read their settings when first required
+require("dotenv").config();
+
 const express = require("express");
 const cors = require("cors");
 const multer = require("multer");
 const path = require("path");
+const crypto = require("crypto");
+const { EventEmitter } = require("events");
 const fs = require("fs-extra");
 const { v4: uuidv4 } = require("uuid");
-const pdfParse = require("pdf-parse");
-const OpenAI = require("openai");
 const swaggerJsdoc = require("swagger-jsdoc");
 const swaggerUi = require("swagger-ui-express");
-require("dotenv").config();
+const { inspectPdf, renderPdfPage, locateTextRange, extractPages, extractOutline, extractTables } = require("./lib/pdf");
+const { isOcrEnabled, recognizeText } = require("./lib/ocr");
+const { JobQueue } = require("./lib/jobQueue");
+const { ANONYMOUS_USER, createAuthFromEnv } = require("./lib/auth");
+const { createStore, flushStores } = require("./lib/store");
+const { chunkPages } = require("./lib/chunking");
+const { buildSearchIndex, isIndexCurrent, searchDocuments, buildSnippet } = require("./lib/searchIndex");
+const { createEmbedder, rankChunks } = require("./lib/embeddings");
+const { estimateTokens, fitMessagesToBudget } = require("./lib/tokens");
+const { createLLMProvider, parseChatOptions } = require("./lib/llm");
+const { SUMMARY_LENGTHS, SUMMARY_STYLES, summarizeDocument } = require("./lib/summarize");
+const { numberSources, formatSources, groundCitations } = require("./lib/citations");
+const { compileSchema, describeSchema, extractStructuredData } = require("./lib/extraction");
+const { tableToMarkdown, tableToCsv } = require("./lib/tables");
+const { sanitizeFilename, decodeUploadFilename, contentDisposition, hashContent, createPasswordSealer } = require("./lib/uploads");
+const { createRateLimiter } = require("./lib/rateLimit");
+const { UsageTracker } = require("./lib/usage");
+const { ResponseCache } = require("./lib/responseCache");
+const { WEBHOOK_EVENTS, createWebhookSecret, createAddressFilter, checkWebhookUrl, WebhookDispatcher } = require("./lib/webhooks");
+const { compareDocuments, formatChanges } = require("./lib/compare");
+const { PageImageCache } = require("./lib/pageImages");
+const { ANNOTATION_TYPES, DEFAULT_ANNOTATION_COLOR, exportAnnotatedPdf } = require("./lib/annotations");
 
 const app = express();
 const PORT = process.env.PORT || 3001;
@@ -23,7 +47,8 @@ const swaggerOptions = {
 		info: {
 			title: "PDF Chat API",
 			version: "1.0.0",
-			description: "A RESTful API for uploading, processing, and chatting with PDF documents using AI",
+			description:
+				"A RESTful API for uploading, processing, and chatting with PDF documents using AI. When authentication is configured, every endpoint except `/api/health` requires an API key (`X-API-Key` header) or a bearer token (`Authorization: Bearer ...`) and answers 401 without one. GET requests may pass the credential as `access_token` query parameter instead, for clients such as EventSource that cannot set headers. Users only see their own documents and conversations.",
 			contact: {
 				name: "PDF Chat App",
 				email: "support@pdfchatapp.com",
@@ -43,7 +68,20 @@ const swaggerOptions = {
 				description: "Production server (Render)",
 			},
 		],
+		security: [{ ApiKeyAuth: [] }, { BearerAuth: [] }],
 		components: {
+			securitySchemes: {
+				ApiKeyAuth: {
+					type: "apiKey",
+					in: "header",
+					name: "X-API-Key",
+				},
+				BearerAuth: {
+					type: "http",
+					scheme: "bearer",
+					bearerFormat: "JWT",
+				},
+			},
 			schemas: {
 				PDFUploadResponse: {
 					type: "object",
@@ -56,22 +94,246 @@ const swaggerOptions = {
 							type: "string",
 							description: "Original filename of the uploaded PDF",
 						},
+						status: {
+							type: "string",
+							enum: ["processing", "ready"],
+							description: "Processing state of the PDF; new uploads always start out processing, duplicates report the state of the existing PDF",
+						},
+						duplicate: {
+							type: "boolean",
+							description: "True when the same file was uploaded before and the existing PDF was returned",
+						},
+						unchanged: {
+							type: "boolean",
+							description: "True when a new revision was the same file as the current one and nothing changed (`PUT /api/pdf/{id}` only)",
+						},
+						version: {
+							type: "integer",
+							description: "Revision of the PDF the file was stored as, 1 for new uploads",
+						},
+						processing: {
+							type: "object",
+							properties: {
+								stage: {
+									type: "string",
+									description: "Current processing stage",
+								},
+								percent: {
+									type: "integer",
+									description: "Percent complete",
+								},
+							},
+						},
+						uploadDate: {
+							type: "string",
+							format: "date-time",
+							description: "Timestamp when the PDF was uploaded",
+						},
+					},
+				},
+				PDFSummary: {
+					type: "object",
+					properties: {
+						id: {
+							type: "string",
+							description: "PDF ID",
+						},
+						filename: {
+							type: "string",
+							description: "Original filename of the uploaded PDF",
+						},
+						displayName: {
+							type: "string",
+							description: "Name shown in the library, defaults to the filename",
+						},
+						tags: {
+							type: "array",
+							items: { type: "string" },
+							description: "User-defined tags",
+						},
+						size: {
+							type: "integer",
+							description: "File size in bytes",
+						},
 						pages: {
 							type: "integer",
 							description: "Number of pages in the PDF",
 						},
-						text: {
+						encrypted: {
+							type: "boolean",
+							description: "Whether the PDF is password-protected",
+						},
+						status: {
 							type: "string",
-							description: "Extracted text from the PDF",
+							enum: ["processing", "ready", "failed"],
+							description: "Processing state of the PDF",
 						},
-						vectors: {
-							type: "array",
-							description: "Vector embeddings of the text (for future use)",
+						extractionStatus: {
+							type: "string",
+							enum: ["success", "no-text", "failed"],
+							description: "Outcome of text extraction",
+						},
+						metadata: {
+							$ref: "#/components/schemas/PDFMetadata",
+						},
+						version: {
+							type: "integer",
+							description: "Current revision of the PDF, incremented by every `PUT /api/pdf/{id}`",
 						},
 						uploadDate: {
 							type: "string",
 							format: "date-time",
-							description: "Timestamp when the PDF was uploaded",
+							description: "Timestamp when the PDF was first uploaded",
+						},
+						revisionDate: {
+							type: "string",
+							format: "date-time",
+							description: "Timestamp when the current revision was uploaded",
+						},
+					},
+				},
+				PDFRevision: {
+					type: "object",
+					properties: {
+						version: { type: "integer" },
+						filename: { type: "string", description: "Filename the revision was uploaded with" },
+						size: { type: "integer", description: "File size in bytes" },
+						contentHash: { type: "string", nullable: true, description: "SHA-256 of the file" },
+						pages: { type: "integer" },
+						status: { type: "string", enum: ["processing", "ready", "failed"] },
+						uploadDate: { type: "string", format: "date-time", description: "When the revision was uploaded" },
+					},
+				},
+				PDFRevisionList: {
+					type: "object",
+					properties: {
+						pdfId: { type: "string" },
+						version: { type: "integer", description: "Current revision" },
+						revisions: {
+							type: "array",
+							items: { $ref: "#/components/schemas/PDFRevision" },
+							description: "Revisions, oldest first and the current one last",
+						},
+					},
+				},
+				AnnotationRequest: {
+					type: "object",
+					required: ["type", "page"],
+					description:
+						"Highlights are anchored by character offsets into the text of the page (as returned by `/api/pdf/{id}/page/{pageNumber}`), by quads, or both; the quads of a highlight given by offsets are looked up on the text layer. Comments may be anchored the same way or to the whole page, and bookmarks to a page only.",
+					properties: {
+						type: { type: "string", enum: ["highlight", "comment", "bookmark"] },
+						page: { type: "integer", minimum: 1 },
+						start: { type: "integer", minimum: 0, description: "Offset of the first annotated character in the text of the page" },
+						end: { type: "integer", minimum: 1, description: "Offset just past the last annotated character" },
+						quads: {
+							type: "array",
+							items: { type: "array", items: { type: "number" }, minItems: 8, maxItems: 8 },
+							description: "Regions of the page as [x1, y1, x2, y2, x3, y3, x4, y4] (upper left, upper right, lower left and lower right corner), in points from the top left corner of the page",
+						},
+						note: { type: "string", description: "Text of a comment, note on a highlight or title of a bookmark; required for comments" },
+						color: { type: "string", pattern: "^#[0-9a-fA-F]{6}$", default: "#ffeb3b" },
+					},
+				},
+				Annotation: {
+					type: "object",
+					properties: {
+						id: { type: "string" },
+						pdfId: { type: "string" },
+						version: { type: "integer", description: "Revision of the PDF the annotation was made on" },
+						type: { type: "string", enum: ["highlight", "comment", "bookmark"] },
+						page: { type: "integer" },
+						start: { type: "integer", nullable: true },
+						end: { type: "integer", nullable: true },
+						quads: { type: "array", items: { type: "array", items: { type: "number" } } },
+						text: { type: "string", nullable: true, description: "Annotated text, for annotations anchored by offsets" },
+						note: { type: "string" },
+						color: { type: "string" },
+						createdAt: { type: "string", format: "date-time" },
+						updatedAt: { type: "string", format: "date-time" },
+					},
+				},
+				AnnotationList: {
+					type: "object",
+					properties: {
+						pdfId: { type: "string" },
+						version: { type: "integer" },
+						annotations: {
+							type: "array",
+							items: { $ref: "#/components/schemas/Annotation" },
+							description: "Annotations in reading order",
+						},
+					},
+				},
+				PDFMetadata: {
+					type: "object",
+					nullable: true,
+					description: "Document information embedded in the PDF. Fields the PDF does not set are null.",
+					properties: {
+						title: { type: "string", nullable: true },
+						author: { type: "string", nullable: true },
+						subject: { type: "string", nullable: true },
+						keywords: { type: "string", nullable: true },
+						creator: { type: "string", nullable: true, description: "Application that created the original document" },
+						producer: { type: "string", nullable: true, description: "Application that produced the PDF" },
+						creationDate: { type: "string", format: "date-time", nullable: true },
+						modificationDate: { type: "string", format: "date-time", nullable: true },
+						pdfVersion: { type: "string", nullable: true },
+					},
+				},
+				PDFStatus: {
+					type: "object",
+					properties: {
+						id: {
+							type: "string",
+							description: "PDF ID",
+						},
+						status: {
+							type: "string",
+							enum: ["processing", "ready", "failed"],
+							description: "Whether the PDF can be used for chat and search yet",
+						},
+						stage: {
+							type: "string",
+							enum: ["queued", "extracting", "indexing", "complete", "failed"],
+							description: "Current processing stage",
+						},
+						percent: {
+							type: "integer",
+							description: "Percent complete",
+						},
+						error: {
+							type: "string",
+							description: "Why processing failed (only when status is failed)",
+						},
+						pages: {
+							type: "integer",
+							description: "Number of pages in the PDF (once ready)",
+						},
+						extractionStatus: {
+							type: "string",
+							enum: ["success", "no-text", "failed"],
+							description: "Outcome of text extraction (once ready). `no-text` means neither the text layer nor OCR found any text; `failed` means the PDF could not be parsed",
+						},
+						pageSources: {
+							type: "array",
+							description: "Where the text of each page came from (once ready)",
+							items: {
+								type: "object",
+								properties: {
+									page: {
+										type: "integer",
+									},
+									source: {
+										type: "string",
+										enum: ["text-layer", "ocr"],
+									},
+								},
+							},
+						},
+						chunks: {
+							type: "integer",
+							description: "Number of text chunks indexed for retrieval (once ready)",
 						},
 					},
 				},
@@ -87,6 +349,137 @@ const swaggerOptions = {
 							type: "string",
 							description: "Optional PDF ID to provide context from a specific document",
 						},
+						pdfIds: {
+							type: "array",
+							items: { type: "string" },
+							description: "Optional list of PDF IDs to provide context from several documents at once",
+						},
+						model: {
+							type: "string",
+							description: "Optional model override (defaults to LLM_MODEL)",
+						},
+						temperature: {
+							type: "number",
+							minimum: 0,
+							maximum: 2,
+							description: "Optional sampling temperature override (defaults to LLM_TEMPERATURE)",
+						},
+						maxTokens: {
+							type: "integer",
+							minimum: 1,
+							description: "Optional limit on the answer length in tokens (defaults to LLM_MAX_TOKENS)",
+						},
+						dropUnverifiedCitations: {
+							type: "boolean",
+							default: false,
+							description: "Leave out citations that could not be verified instead of returning them with `verified: false`",
+						},
+						cache: {
+							type: "boolean",
+							default: true,
+							description: "Set to false to always ask the model instead of reusing the answer to the same question about the same PDFs (`/api/chat` and `/api/chat/stream` only)",
+						},
+						version: {
+							type: "integer",
+							minimum: 1,
+							description: "Revision of the PDF to answer from, the current one by default. Only with a single PDF (`/api/chat` and `/api/chat/stream` only)",
+						},
+						annotatedOnly: {
+							type: "boolean",
+							default: false,
+							description: "Answer only from the passages and pages the user annotated (see `/api/pdf/{id}/annotations`) (`/api/chat` and `/api/chat/stream` only)",
+						},
+					},
+				},
+				ChatSource: {
+					type: "object",
+					description: "Passage retrieved for a question and numbered for the model to cite",
+					properties: {
+						id: {
+							type: "integer",
+							description: "Number the model cites the passage with, as in [1]",
+						},
+						pdfId: {
+							type: "string",
+						},
+						filename: {
+							type: "string",
+						},
+						page: {
+							type: "integer",
+						},
+						start: {
+							type: "integer",
+							description: "Character offset of the passage in the text of its page",
+						},
+						end: {
+							type: "integer",
+							description: "Character offset just past the end of the passage",
+						},
+						text: {
+							type: "string",
+						},
+						score: {
+							type: "number",
+							description: "Retrieval similarity score between the question and the passage",
+						},
+					},
+				},
+				Citation: {
+					type: "object",
+					description:
+						"Source cited by a [n] marker in the answer. When the marker follows a quote, the quote is looked up in the source and the offsets point at the quoted span.",
+					properties: {
+						source: {
+							type: "integer",
+							description: "Number of the cited source",
+						},
+						pdfId: {
+							type: "string",
+							description: "ID of the PDF the citation comes from",
+						},
+						filename: {
+							type: "string",
+							description: "Filename of the PDF the citation comes from",
+						},
+						page: {
+							type: "integer",
+							description: "Page number where the cited text is",
+						},
+						start: {
+							type: "integer",
+							description: "Character offset of the cited text in the text of its page (`/api/pdf/{id}/page/{pageNumber}`)",
+						},
+						end: {
+							type: "integer",
+							description: "Character offset just past the end of the cited text",
+						},
+						text: {
+							type: "string",
+							description: "Cited text: the quoted span when the quote was verified, otherwise the whole passage",
+						},
+						quote: {
+							type: "string",
+							nullable: true,
+							description: "Quote the model gave for the citation, if any",
+						},
+						score: {
+							type: "number",
+							description: "Retrieval similarity score of the cited passage",
+						},
+						confidence: {
+							type: "number",
+							description: "Same as score, kept for older clients",
+						},
+						verified: {
+							type: "boolean",
+							description: "True when the source exists and the quote, if any, occurs in it",
+						},
+						reason: {
+							type: "string",
+							enum: ["unknown-source", "quote-not-found"],
+							description: "Why the citation could not be verified",
+						},
 					},
 				},
 				ChatResponse: {
@@ -98,27 +491,43 @@ const swaggerOptions = {
 						},
 						citations: {
 							type: "array",
+							description: "Sources the answer cites, in order of first citation",
 							items: {
-								type: "object",
-								properties: {
-									page: {
-										type: "integer",
-										description: "Page number where the citation was found",
-									},
-									text: {
-										type: "string",
-										description: "Relevant text snippet",
-									},
-									confidence: {
-										type: "number",
-										description: "Confidence score of the citation",
-									},
-								},
+								$ref: "#/components/schemas/Citation",
+							},
+						},
+						sources: {
+							type: "array",
+							description: "Every passage that was given to the model, cited or not",
+							items: {
+								$ref: "#/components/schemas/ChatSource",
 							},
 						},
 						tokenUsage: {
 							type: "integer",
-							description: "Number of tokens used in the AI request",
+							description: "Number of tokens used in the AI request (0 for cached answers)",
+						},
+						model: {
+							type: "string",
+							description: "Model that generated the response",
+						},
+						cached: {
+							type: "boolean",
+							description: "Whether the answer was served from the response cache (`/api/chat` and `/api/chat/stream` only)",
+						},
+						cacheMatch: {
+							type: "string",
+							enum: ["exact", "semantic"],
+							description: "How the cached answer was found: the same normalized question, or a question with a similar embedding (only for cached answers)",
+						},
+						cacheSimilarity: {
+							type: "number",
+							description: "Similarity of the question to the cached one, 1 for exact matches (only for cached answers)",
+						},
+						cachedAt: {
+							type: "string",
+							format: "date-time",
+							description: "When the cached answer was generated (only for cached answers)",
 						},
 					},
 				},
@@ -128,33 +537,634 @@ const swaggerOptions = {
 					properties: {
 						query: {
 							type: "string",
-							description: "Search term to find in the PDF",
+							description:
+								'Search query. Words are stemmed and ranked with BM25. Use "double quotes" for phrases that must occur, `word*` for prefix matches and `word~` for fuzzy matches that tolerate typos.',
+						},
+						fuzzy: {
+							type: "boolean",
+							default: false,
+							description: "Treat every word of the query as a fuzzy match",
+						},
+						page: {
+							type: "integer",
+							minimum: 1,
+							default: 1,
+						},
+						limit: {
+							type: "integer",
+							minimum: 1,
+							maximum: 100,
+							default: 10,
+						},
+						version: {
+							type: "integer",
+							minimum: 1,
+							description: "Revision of the PDF to search, the current one by default",
 						},
 					},
 				},
 				SearchResult: {
 					type: "object",
 					properties: {
+						pdfId: {
+							type: "string",
+							description: "ID of the PDF the match was found in",
+						},
+						filename: {
+							type: "string",
+							description: "Filename of that PDF",
+						},
+						page: {
+							type: "integer",
+							description: "Page number where the match was found",
+						},
+						score: {
+							type: "number",
+							description: "BM25 relevance score, higher is better",
+						},
+						snippet: {
+							type: "string",
+							description: "Excerpt of the page around the best cluster of matches",
+						},
+						snippetStart: {
+							type: "integer",
+							description: "Character offset of the snippet in the page text",
+						},
+						highlights: {
+							type: "array",
+							description: "Character ranges of the matched words within the snippet",
+							items: {
+								type: "object",
+								properties: {
+									start: { type: "integer" },
+									end: { type: "integer" },
+								},
+							},
+						},
+						matches: {
+							type: "array",
+							description: "Character ranges of every matched word within the page text (`/api/pdf/{id}/page/{pageNumber}`)",
+							items: {
+								type: "object",
+								properties: {
+									start: { type: "integer" },
+									end: { type: "integer" },
+								},
+							},
+						},
 						line: {
 							type: "string",
-							description: "Matching line of text",
+							description: "Line containing the first match",
 						},
 						lineNumber: {
 							type: "integer",
-							description: "Line number in the document",
+							description: "Line number of that line in the document",
+						},
+					},
+				},
+				SearchResponse: {
+					type: "object",
+					properties: {
+						query: {
+							type: "string",
+						},
+						results: {
+							type: "array",
+							items: {
+								$ref: "#/components/schemas/SearchResult",
+							},
+						},
+						total: {
+							type: "integer",
+							description: "Number of matching pages",
 						},
 						page: {
 							type: "integer",
-							description: "Estimated page number",
+						},
+						limit: {
+							type: "integer",
 						},
 					},
 				},
-				Error: {
+				TableSummary: {
 					type: "object",
 					properties: {
-						error: {
+						id: {
 							type: "string",
-							description: "Error message",
+							description: "Table ID, unique within the PDF",
+						},
+						page: {
+							type: "integer",
+						},
+						bbox: {
+							type: "object",
+							description: "Bounding box of the table in PDF points, measured from the top left corner of the page",
+							properties: {
+								x: { type: "number" },
+								y: { type: "number" },
+								width: { type: "number" },
+								height: { type: "number" },
+							},
+						},
+						rowCount: {
+							type: "integer",
+						},
+						columnCount: {
+							type: "integer",
+						},
+						header: {
+							type: "array",
+							items: { type: "string" },
+							description: "First row of the table",
+						},
+					},
+				},
+				Table: {
+					type: "object",
+					properties: {
+						pdfId: { type: "string" },
+						id: { type: "string" },
+						page: { type: "integer" },
+						bbox: {
+							type: "object",
+							properties: {
+								x: { type: "number" },
+								y: { type: "number" },
+								width: { type: "number" },
+								height: { type: "number" },
+							},
+						},
+						rows: {
+							type: "array",
+							items: {
+								type: "array",
+								items: { type: "string" },
+							},
+							description: "Cells row by row, the first row being the header",
+						},
+					},
+				},
+				OutlineEntry: {
+					type: "object",
+					properties: {
+						title: {
+							type: "string",
+							description: "Bookmark title",
+						},
+						page: {
+							type: "integer",
+							nullable: true,
+							description: "Page the bookmark points to, null when its destination cannot be resolved",
+						},
+						items: {
+							type: "array",
+							description: "Nested bookmarks",
+							items: {
+								type: "object",
+							},
+						},
+					},
+				},
+				SummaryRequest: {
+					type: "object",
+					properties: {
+						length: {
+							type: "string",
+							enum: Object.keys(SUMMARY_LENGTHS),
+							default: "medium",
+							description: "Length of the overall summary",
+						},
+						style: {
+							type: "string",
+							enum: Object.keys(SUMMARY_STYLES),
+							default: "paragraph",
+							description: "Prose or a bulleted list of key points",
+						},
+						refresh: {
+							type: "boolean",
+							default: false,
+							description: "Generate a new summary even if one is cached",
+						},
+						model: {
+							type: "string",
+							description: "Optional model override (defaults to LLM_MODEL)",
+						},
+						temperature: {
+							type: "number",
+							minimum: 0,
+							maximum: 2,
+						},
+						maxTokens: {
+							type: "integer",
+							minimum: 1,
+							description: "Limit on the length of every generated summary in tokens",
+						},
+					},
+				},
+				SummaryResponse: {
+					type: "object",
+					properties: {
+						pdfId: {
+							type: "string",
+						},
+						summary: {
+							type: "string",
+							description: "Summary of the whole document, with page references",
+						},
+						sections: {
+							type: "array",
+							description: "Summaries of the sections of the document. Sections follow the top-level bookmarks, or groups of pages when the PDF has none.",
+							items: {
+								type: "object",
+								properties: {
+									title: {
+										type: "string",
+										nullable: true,
+										description: "Bookmark title of the section",
+									},
+									startPage: { type: "integer" },
+									endPage: { type: "integer" },
+									summary: { type: "string" },
+								},
+							},
+						},
+						outline: {
+							type: "array",
+							items: {
+								$ref: "#/components/schemas/OutlineEntry",
+							},
+						},
+						length: { type: "string" },
+						style: { type: "string" },
+						model: { type: "string" },
+						tokenUsage: {
+							type: "integer",
+							description: "Tokens used to generate the summary",
+						},
+						cached: {
+							type: "boolean",
+							description: "True when the summary was generated by an earlier request and no tokens were spent",
+						},
+						createdAt: {
+							type: "string",
+							format: "date-time",
+						},
+					},
+				},
+				ExtractionRequest: {
+					type: "object",
+					required: ["schema"],
+					properties: {
+						schema: {
+							type: "object",
+							description: "JSON Schema of the data to extract. Property descriptions help the model find the right values.",
+							example: {
+								type: "object",
+								required: ["invoiceNumber", "total"],
+								properties: {
+									invoiceNumber: { type: "string" },
+									total: { type: "number", description: "Amount due including tax" },
+									issueDate: { type: "string", format: "date" },
+								},
+							},
+						},
+						instructions: {
+							type: "string",
+							description: "Optional extra guidance for the model",
+						},
+						model: {
+							type: "string",
+							description: "Optional model override (defaults to LLM_MODEL). The model must support JSON mode.",
+						},
+						temperature: {
+							type: "number",
+							minimum: 0,
+							maximum: 2,
+						},
+						maxTokens: {
+							type: "integer",
+							minimum: 1,
+						},
+					},
+				},
+				ExtractionResult: {
+					type: "object",
+					properties: {
+						pdfId: { type: "string" },
+						filename: { type: "string" },
+						valid: {
+							type: "boolean",
+							description: "True when `data` validates against the schema",
+						},
+						data: {
+							description: "Extracted data",
+						},
+						citations: {
+							type: "array",
+							description: "Where the value of each field was found",
+							items: {
+								type: "object",
+								properties: {
+									field: {
+										type: "string",
+										description: "Path of the field, e.g. `total` or `items.0.price`",
+									},
+									page: {
+										type: "integer",
+										nullable: true,
+									},
+									quote: {
+										type: "string",
+										nullable: true,
+										description: "Text the value was taken from",
+									},
+									start: {
+										type: "integer",
+										description: "Character offset of the quote in the text of the page (verified citations only)",
+									},
+									end: { type: "integer" },
+									verified: {
+										type: "boolean",
+										description: "True when the quote was found in the document. The page is corrected when the quote is on another page than the model said.",
+									},
+								},
+							},
+						},
+						errors: {
+							type: "array",
+							items: { type: "string" },
+							description: "Validation errors of the last attempt",
+						},
+						error: { type: "string" },
+						attempts: {
+							type: "integer",
+							description: "Number of requests made to the model",
+						},
+						tokenUsage: { type: "integer" },
+						model: { type: "string" },
+					},
+				},
+				Conversation: {
+					type: "object",
+					properties: {
+						id: {
+							type: "string",
+							description: "Unique identifier for the conversation",
+						},
+						title: {
+							type: "string",
+							description: "Display title of the conversation",
+						},
+						pdfIds: {
+							type: "array",
+							items: { type: "string" },
+							description: "PDFs used as context for every message in the conversation",
+						},
+						messages: {
+							type: "array",
+							items: {
+								$ref: "#/components/schemas/ConversationMessage",
+							},
+						},
+						createdAt: {
+							type: "string",
+							format: "date-time",
+						},
+						updatedAt: {
+							type: "string",
+							format: "date-time",
+						},
+					},
+				},
+				ConversationMessage: {
+					type: "object",
+					properties: {
+						role: {
+							type: "string",
+							enum: ["user", "assistant"],
+						},
+						content: {
+							type: "string",
+						},
+						citations: {
+							type: "array",
+							description: "Citations of an assistant message",
+							items: {
+								$ref: "#/components/schemas/Citation",
+							},
+						},
+						tokenUsage: {
+							type: "integer",
+							description: "Tokens used to generate an assistant message",
+						},
+						createdAt: {
+							type: "string",
+							format: "date-time",
+						},
+					},
+				},
+				WebhookRequest: {
+					type: "object",
+					required: ["url"],
+					properties: {
+						url: {
+							type: "string",
+							format: "uri",
+							description: "http or https URL the events are POSTed to",
+						},
+						events: {
+							type: "array",
+							items: {
+								type: "string",
+								enum: ["document.uploaded", "document.processed", "document.failed", "document.deleted", "chat.completed"],
+							},
+							description: "Events to send, all of them by default",
+						},
+						secret: {
+							type: "string",
+							minLength: 16,
+							description: "Key used to sign the payloads; one is generated when left out",
+						},
+						description: {
+							type: "string",
+						},
+					},
+				},
+				Webhook: {
+					type: "object",
+					properties: {
+						id: { type: "string" },
+						url: { type: "string", format: "uri" },
+						events: { type: "array", items: { type: "string" } },
+						description: { type: "string" },
+						createdAt: { type: "string", format: "date-time" },
+					},
+				},
+				WebhookDelivery: {
+					type: "object",
+					properties: {
+						id: { type: "string", description: "Delivery ID, sent as X-Webhook-Delivery" },
+						webhookId: { type: "string" },
+						event: { type: "string" },
+						payload: {
+							type: "object",
+							description: "Body sent to the webhook",
+							properties: {
+								id: { type: "string", description: "Event ID, the same for every webhook the event is sent to" },
+								type: { type: "string" },
+								createdAt: { type: "string", format: "date-time" },
+								data: { type: "object", description: "PDF library entry for document events; question, answer and citations for chat.completed" },
+							},
+						},
+						status: { type: "string", enum: ["pending", "delivered", "failed"] },
+						attempts: {
+							type: "array",
+							items: {
+								type: "object",
+								properties: {
+									at: { type: "string", format: "date-time" },
+									ok: { type: "boolean" },
+									statusCode: { type: "integer", description: "HTTP status of the answer, missing when there was none" },
+									error: { type: "string", description: "Why the request failed, e.g. a timeout" },
+									durationMs: { type: "integer" },
+								},
+							},
+						},
+						nextAttemptAt: { type: "string", format: "date-time", nullable: true, description: "When the next retry is due while the delivery is pending" },
+						createdAt: { type: "string", format: "date-time" },
+					},
+				},
+				ComparisonSide: {
+					type: "object",
+					nullable: true,
+					description: "Paragraph in one of the documents; null for the side a paragraph was added to or removed from",
+					properties: {
+						page: { type: "integer" },
+						start: { type: "integer", description: "Character offset of the paragraph in the text of the page" },
+						end: { type: "integer" },
+						text: { type: "string" },
+					},
+				},
+				Comparison: {
+					type: "object",
+					properties: {
+						original: {
+							type: "object",
+							properties: {
+								pdfId: { type: "string" },
+								filename: { type: "string" },
+								pages: { type: "integer" },
+								paragraphs: { type: "integer", description: "Number of paragraphs found in the text" },
+							},
+						},
+						revised: {
+							type: "object",
+							description: "Same fields as original",
+						},
+						stats: {
+							type: "object",
+							properties: {
+								unchanged: { type: "integer" },
+								added: { type: "integer" },
+								removed: { type: "integer" },
+								changed: { type: "integer" },
+							},
+						},
+						changes: {
+							type: "array",
+							description: "Changes in document order",
+							items: {
+								type: "object",
+								properties: {
+									type: { type: "string", enum: ["added", "removed", "changed"] },
+									original: { $ref: "#/components/schemas/ComparisonSide" },
+									revised: { $ref: "#/components/schemas/ComparisonSide" },
+									similarity: { type: "number", description: "Word overlap of the two versions of a changed paragraph" },
+									diff: {
+										type: "array",
+										description: "Word-level diff of a changed paragraph",
+										items: {
+											type: "object",
+											properties: {
+												type: { type: "string", enum: ["equal", "removed", "added"] },
+												text: { type: "string" },
+											},
+										},
+									},
+								},
+							},
+						},
+						summary: { type: "string", nullable: true, description: "Summary of the substantive differences, only with `summarize`" },
+						tokenUsage: { type: "integer" },
+						model: { type: "string", description: "Model that wrote the summary" },
+					},
+				},
+				UsagePeriod: {
+					type: "object",
+					properties: {
+						period: { type: "string", description: "UTC day (YYYY-MM-DD) or month (YYYY-MM)" },
+						tokens: { type: "integer", description: "Tokens used in the period" },
+						limit: { type: "integer", nullable: true, description: "Quota for the period, null when unlimited" },
+						remaining: { type: "integer", nullable: true, description: "Tokens left in the period, null when unlimited" },
+						resetAt: { type: "string", format: "date-time", description: "When the period ends" },
+					},
+				},
+				Usage: {
+					type: "object",
+					properties: {
+						userId: { type: "string" },
+						totalTokens: { type: "integer", description: "Tokens used since usage was first recorded" },
+						requests: { type: "integer", description: "Number of model requests" },
+						today: { $ref: "#/components/schemas/UsagePeriod" },
+						month: { $ref: "#/components/schemas/UsagePeriod" },
+						daily: {
+							type: "array",
+							description: "Tokens per UTC day, oldest first (kept for about two months)",
+							items: {
+								type: "object",
+								properties: {
+									date: { type: "string", format: "date" },
+									tokens: { type: "integer" },
+								},
+							},
+						},
+						monthly: {
+							type: "array",
+							description: "Tokens per UTC month, oldest first",
+							items: {
+								type: "object",
+								properties: {
+									month: { type: "string", example: "2024-01" },
+									tokens: { type: "integer" },
+								},
+							},
+						},
+						documents: {
+							type: "array",
+							description: "Tokens of the requests made about each PDF, most used first. A request about several PDFs counts in full for each of them.",
+							items: {
+								type: "object",
+								properties: {
+									pdfId: { type: "string" },
+									filename: { type: "string", nullable: true, description: "Null when the PDF has been deleted" },
+									tokens: { type: "integer" },
+									requests: { type: "integer" },
+									lastUsed: { type: "string", format: "date-time" },
+								},
+							},
+						},
+					},
+				},
+				Error: {
+					type: "object",
+					properties: {
+						error: {
+							type: "string",
+							description: "Error message",
+						},
+						code: {
+							type: "string",
+							description: "Machine-readable error code, e.g. INVALID_PDF, PASSWORD_REQUIRED or INCORRECT_PASSWORD",
 						},
 						details: {
 							type: "string",
@@ -168,588 +1178,4947 @@ const swaggerOptions = {
 	apis: ["./server.js"], // Path to the API docs
 };
 
-const specs = swaggerJsdoc(swaggerOptions);
+const specs = swaggerJsdoc(swaggerOptions);
+
+// Middleware
+app.use(cors());
+app.use(express.json());
+
+// Swagger UI
+app.use(
+	"/api-docs",
+	swaggerUi.serve,
+	swaggerUi.setup(specs, {
+		customCss: ".swagger-ui .topbar { display: none }",
+		customSiteTitle: "PDF Chat API Documentation",
+	}),
+);
+
+// Root route for deployment health check
+app.get("/", (req, res) => {
+	res.json({
+		message: "PDF Chat API Server",
+		version: "1.0.0",
+		status: "running",
+		endpoints: {
+			health: "/api/health",
+			docs: "/api-docs",
+			upload: "/api/upload-pdf",
+			chat: "/api/chat",
+		},
+		timestamp: new Date().toISOString(),
+	});
+});
+
+// Configure multer for file uploads
+const storage = multer.diskStorage({
+	destination: (req, file, cb) => {
+		const uploadDir = "uploads";
+		fs.ensureDirSync(uploadDir);
+		cb(null, uploadDir);
+	},
+	filename: (req, file, cb) => {
+		// The client-supplied name is only kept in the record, never on disk
+		cb(null, `${uuidv4()}.pdf`);
+	},
+});
+
+// The file type is checked from the contents once the upload is stored (see inspectPdf),
+// as the mimetype sent by the client cannot be trusted
+const upload = multer({
+	storage: storage,
+	limits: {
+		fileSize: 50 * 1024 * 1024, // 50MB limit
+	},
+});
+
+// Initialize the chat model and embedding providers (see lib/llm.js and lib/embeddings.js)
+let llm;
+let embedder;
+let authenticate;
+try {
+	llm = createLLMProvider();
+	embedder = createEmbedder();
+	authenticate = createAuthFromEnv();
+} catch (configError) {
+	console.error(`Configuration error: ${configError.message}`);
+	process.exit(1);
+}
+console.log(`Using LLM provider "${llm.name}" and embedding model "${embedder.model}"`);
+if (!authenticate.enabled) {
+	console.warn("Authentication is disabled (AUTH_REQUIRED=false or NODE_ENV=development). All requests share the anonymous user.");
+}
+
+// Every API route except the health check requires authentication (see lib/auth.js).
+// Uploaded files are only served through /api/pdf/:id/file, which checks ownership.
+const PUBLIC_API_PATHS = ["/health"];
+app.use("/api", (req, res, next) => (PUBLIC_API_PATHS.includes(req.path) ? next() : authenticate(req, res, next)));
+
+// Uploaded PDFs are processed in the background, INGESTION_CONCURRENCY at a time
+const ingestionQueue = new JobQueue(parseInt(process.env.INGESTION_CONCURRENCY) || 1);
+const ingestionEvents = new EventEmitter();
+ingestionEvents.setMaxListeners(0);
+
+// Library listing limits
+const MAX_PAGE_SIZE = 100;
+const MAX_TAGS = 50;
+
+// Webhooks a user can register
+const MAX_WEBHOOKS = 20;
+
+// Annotations per revision of a PDF, and the longest note one can carry
+const MAX_ANNOTATIONS = 1000;
+const MAX_ANNOTATION_NOTE_LENGTH = 10000;
+const MAX_ANNOTATION_QUADS = 200;
+
+// Share of the progress bar spent on text extraction, the rest is indexing
+const EXTRACTION_SHARE = 80;
+
+// Render scale used for OCR; 2 renders pages at 144 DPI
+const OCR_SCALE = Number(process.env.OCR_SCALE) || 2;
+
+// Page images and thumbnails. Rendered images are kept on disk under PAGE_IMAGE_CACHE_DIR,
+// up to PAGE_IMAGE_CACHE_MB megabytes; larger renders than PAGE_IMAGE_MAX_PIXELS are refused.
+const PAGE_IMAGE_FORMATS = { png: "image/png", webp: "image/webp" };
+const PAGE_IMAGE_DEFAULT_DPI = 96;
+const PAGE_IMAGE_MAX_DPI = 600;
+const PAGE_IMAGE_MAX_WIDTH = 4000;
+const PAGE_IMAGE_MAX_PIXELS = parseInt(process.env.PAGE_IMAGE_MAX_PIXELS) || 25000000;
+const PAGE_IMAGE_WEBP_QUALITY = 80;
+const THUMBNAIL_WIDTH = 200;
+const THUMBNAIL_MAX_WIDTH = 800;
+const pageImageCache = new PageImageCache(process.env.PAGE_IMAGE_CACHE_DIR || "cache/pages", {
+	maxBytes: (parseInt(process.env.PAGE_IMAGE_CACHE_MB) || 500) * 1024 * 1024,
+});
+
+// Embeddings are used to pick the passages of a PDF that are relevant to a question
+const RETRIEVAL_TOP_K = parseInt(process.env.RETRIEVAL_TOP_K) || 5;
+
+// Results per page of search results unless the request asks for another limit
+const SEARCH_PAGE_SIZE = 10;
+
+// Largest piece of a document sent to the model in one request while summarizing
+const SUMMARY_CHUNK_TOKENS = parseInt(process.env.SUMMARY_CHUNK_TOKENS) || 3000;
+
+// Structured extraction sends whole documents up to this size, longer ones are cut to their most relevant passages
+const EXTRACT_CONTEXT_TOKENS = parseInt(process.env.EXTRACT_CONTEXT_TOKENS) || 6000;
+const EXTRACT_MAX_ATTEMPTS = parseInt(process.env.EXTRACT_MAX_ATTEMPTS) || 3;
+const MAX_EXTRACT_BATCH = 20;
+
+// Largest list of changes sent to the model when summarizing a comparison
+const COMPARE_SUMMARY_TOKENS = parseInt(process.env.COMPARE_SUMMARY_TOKENS) || 6000;
+
+// Tables on the pages of the retrieved passages are added to the chat context as Markdown, at most this many
+const CHAT_MAX_TABLES = parseInt(process.env.CHAT_MAX_TABLES) || 3;
+
+// Requests per client and RATE_LIMIT_WINDOW_MS allowed on the upload routes and the routes calling the model (0 disables the limit)
+const RATE_LIMIT_WINDOW_MS = parseInt(process.env.RATE_LIMIT_WINDOW_MS) || 60 * 1000;
+const uploadRateLimit = createRateLimiter({ name: "upload", windowMs: RATE_LIMIT_WINDOW_MS, max: Number(process.env.UPLOAD_RATE_LIMIT ?? 10) });
+const chatRateLimit = createRateLimiter({ name: "chat", windowMs: RATE_LIMIT_WINDOW_MS, max: Number(process.env.CHAT_RATE_LIMIT ?? 30) });
+
+// Persistent storage for PDF data (see lib/store.js, driver chosen via STORE_DRIVER)
+const pdfStore = createStore("pdfs");
+
+// Forget documents whose uploaded file no longer exists
+const removedPdfIds = pdfStore.prune((pdfInfo) => Boolean(pdfInfo.filePath) && fs.existsSync(pdfInfo.filePath));
+if (removedPdfIds.length > 0) {
+	console.log(`Removed ${removedPdfIds.length} PDF record(s) whose files are missing from disk`);
+}
+console.log(`Loaded ${pdfStore.size} PDF record(s) from storage`);
+
+// Records stored before extraction status was tracked used a sentinel string in place of the text
+for (const pdfInfo of pdfStore.values()) {
+	if (!pdfInfo.extractionStatus) {
+		const failed = (pdfInfo.text || "").startsWith("Text extraction failed");
+		pdfInfo.extractionStatus = failed ? "failed" : (pdfInfo.text || "").trim() ? "success" : "no-text";
+		pdfInfo.text = failed ? "" : pdfInfo.text;
+		pdfStore.set(pdfInfo.id, pdfInfo);
+	}
+	if (!pdfInfo.status) {
+		pdfInfo.status = "ready";
+		pdfInfo.processing = { stage: "complete", percent: 100 };
+		pdfStore.set(pdfInfo.id, pdfInfo);
+	}
+}
+
+// Earlier revisions of PDFs replaced through PUT /api/pdf/:id, one record per revision
+// keyed "<pdf id>@<version>", holding the file of the revision and everything extracted from it
+const revisionStore = createStore("pdf-revisions");
+
+// Forget revisions of deleted PDFs and revisions whose file no longer exists
+revisionStore.prune((revision) => pdfStore.has(revision.pdfId) && Boolean(revision.filePath) && fs.existsSync(revision.filePath));
+
+// Highlights, comments and bookmarks on PDFs, made on a revision and anchored to its pages
+const annotationStore = createStore("annotations");
+annotationStore.prune((annotation) => pdfStore.has(annotation.pdfId));
+
+// Persistent storage for chat conversations
+const conversationStore = createStore("conversations");
+
+// Model tokens used per user and per PDF, with optional daily and monthly quotas per user (0 = unlimited)
+const usageTracker = new UsageTracker(createStore("usage"), {
+	dailyQuota: parseInt(process.env.DAILY_TOKEN_QUOTA) || 0,
+	monthlyQuota: parseInt(process.env.MONTHLY_TOKEN_QUOTA) || 0,
+});
+
+// Chat answers are reused for repeated questions for RESPONSE_CACHE_TTL_MS (0 disables the cache). With
+// RESPONSE_CACHE_SIMILARITY set (e.g. 0.95), questions whose embeddings are that similar count as repeated too.
+const RESPONSE_CACHE_TTL_MS = Number(process.env.RESPONSE_CACHE_TTL_MS ?? 24 * 60 * 60 * 1000);
+const responseCache = new ResponseCache(createStore("responses"), {
+	ttlMs: RESPONSE_CACHE_TTL_MS,
+	maxEntries: parseInt(process.env.RESPONSE_CACHE_MAX_ENTRIES) || 1000,
+	similarity: Number(process.env.RESPONSE_CACHE_SIMILARITY) || 0,
+});
+responseCache.prune();
+
+// Webhooks registered through /api/webhooks and the log of their deliveries. Failed deliveries are
+// retried WEBHOOK_MAX_ATTEMPTS times in total, waiting WEBHOOK_RETRY_BASE_MS and twice as long after every attempt.
+// Webhooks are only delivered to public addresses, plus the hosts and ranges listed in WEBHOOK_ALLOWED_HOSTS
+// (e.g. "hooks.internal,10.1.0.0/16").
+const webhookStore = createStore("webhooks");
+const isAllowedWebhookAddress = createAddressFilter((process.env.WEBHOOK_ALLOWED_HOSTS || "").split(","));
+const webhooks = new WebhookDispatcher(webhookStore, createStore("webhook-deliveries"), {
+	isAllowedAddress: isAllowedWebhookAddress,
+	maxAttempts: parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 5,
+	retryBaseMs: parseInt(process.env.WEBHOOK_RETRY_BASE_MS) || 10 * 1000,
+	timeoutMs: parseInt(process.env.WEBHOOK_TIMEOUT_MS) || 10 * 1000,
+	logSize: parseInt(process.env.WEBHOOK_LOG_SIZE) || 100,
+});
+webhooks.resume();
+
+// Records created before documents had owners belong to LEGACY_OWNER_ID (the anonymous user by default)
+const LEGACY_OWNER_ID = process.env.LEGACY_OWNER_ID || ANONYMOUS_USER.id;
+for (const store of [pdfStore, conversationStore]) {
+	for (const record of store.values()) {
+		if (!record.ownerId) {
+			record.ownerId = LEGACY_OWNER_ID;
+			store.set(record.id, record);
+		}
+	}
+}
+
+// Passwords of encrypted PDFs are needed to read the files again, so they are stored encrypted under
+// PDF_PASSWORD_KEY. Without the key, encrypted PDFs that need a password cannot be uploaded.
+const passwordSealer = process.env.PDF_PASSWORD_KEY ? createPasswordSealer(process.env.PDF_PASSWORD_KEY) : null;
+
+// Records written before passwords were sealed keep them in plaintext: seal them, or drop them without a key
+for (const store of [pdfStore, revisionStore]) {
+	for (const record of store.values()) {
+		if (record.password === undefined) {
+			continue;
+		}
+		if (passwordSealer) {
+			record.sealedPassword = passwordSealer.seal(record.password);
+		} else {
+			console.warn(`Dropping the stored password of ${record.id}: set PDF_PASSWORD_KEY to keep passwords of encrypted PDFs`);
+		}
+		delete record.password;
+		store.set(record.id, record);
+	}
+}
+
+// Password of an encrypted PDF (or one of its revisions), undefined when it needs none or it cannot be unsealed
+const getPdfPassword = (pdfInfo) => {
+	if (!pdfInfo.sealedPassword) {
+		return undefined;
+	}
+	if (!passwordSealer) {
+		console.warn(`Cannot read the password of PDF ${pdfInfo.id}: PDF_PASSWORD_KEY is not set`);
+		return undefined;
+	}
+
+	try {
+		return passwordSealer.open(pdfInfo.sealedPassword);
+	} catch (error) {
+		console.warn(`Cannot read the password of PDF ${pdfInfo.id}: PDF_PASSWORD_KEY has changed`);
+		return undefined;
+	}
+};
+
+// Look up records on behalf of a user. Records owned by someone else are reported as missing.
+const getUserPdf = (user, pdfId) => {
+	const pdfInfo = pdfStore.get(pdfId);
+	return pdfInfo && pdfInfo.ownerId === user.id ? pdfInfo : undefined;
+};
+
+const getUserConversation = (user, conversationId) => {
+	const conversation = conversationStore.get(conversationId);
+	return conversation && conversation.ownerId === user.id ? conversation : undefined;
+};
+
+// Fields of a PDF record that belong to one revision: the uploaded file and everything extracted from it
+const REVISION_FIELDS = [
+	"filename",
+	"size",
+	"contentHash",
+	"filePath",
+	"sealedPassword",
+	"status",
+	"text",
+	"pageTexts",
+	"pages",
+	"extractionStatus",
+	"extractionError",
+	"metadata",
+	"outline",
+	"tables",
+	"chunks",
+	"embeddingModel",
+	"searchIndex",
+];
+
+const pickRevisionFields = (record) => Object.fromEntries(REVISION_FIELDS.filter((field) => record[field] !== undefined).map((field) => [field, record[field]]));
+
+const revisionKey = (pdfId, version) => `${pdfId}@${version}`;
+
+// Version of the current contents of a PDF. PDFs uploaded before revisions were kept are at version 1.
+const currentVersion = (pdfInfo) => pdfInfo.version || 1;
+
+// Archived revisions of a PDF, oldest first
+const getArchivedRevisions = (pdfId) => [...revisionStore.values()].filter((revision) => revision.pdfId === pdfId).sort((a, b) => a.version - b.version);
+
+// Revision history of a PDF, oldest first and the current contents last
+const listRevisions = (pdfInfo) =>
+	[...getArchivedRevisions(pdfInfo.id), pdfInfo].map((revision) => ({
+		version: currentVersion(revision),
+		filename: revision.filename,
+		size: revision.size,
+		contentHash: revision.contentHash || null,
+		pages: revision.pages,
+		status: revision.status,
+		uploadDate: revision.revisionDate || revision.uploadDate,
+	}));
+
+// A PDF as it was at an earlier version: a copy of the record carrying the fields of the archived
+// revision, saved back to the revision by savePdf(). The current version is the record itself.
+const getPdfRevision = (pdfInfo, version) => {
+	if (version === currentVersion(pdfInfo)) {
+		return pdfInfo;
+	}
+
+	const revision = revisionStore.get(revisionKey(pdfInfo.id, version));
+	if (!revision) {
+		return undefined;
+	}
+	return { ...pdfInfo, ...pickRevisionFields(revision), version: revision.version, revisionDate: revision.revisionDate, summaries: {}, revisionKey: revision.id };
+};
+
+// Resolve the `version` parameter of a request, the current version when it is omitted.
+// Returns `{ pdfInfo }` or `{ status, error }`.
+const resolvePdfVersion = (pdfInfo, version) => {
+	if (version === undefined) {
+		return { pdfInfo };
+	}
+
+	const number = typeof version === "number" || typeof version === "string" ? Number(version) : NaN;
+	if (!Number.isInteger(number) || number < 1) {
+		return { status: 400, error: "version must be a positive integer" };
+	}
+
+	const revision = getPdfRevision(pdfInfo, number);
+	return revision ? { pdfInfo: revision } : { status: 404, error: `PDF ${pdfInfo.id} has no version ${number}` };
+};
+
+// Save a PDF record, or the archived revision a copy from getPdfRevision() was made of
+const savePdf = (pdfInfo) => {
+	if (!pdfInfo.revisionKey) {
+		pdfStore.set(pdfInfo.id, pdfInfo);
+		return;
+	}
+
+	// The revision is gone when its PDF was deleted in the meantime
+	const revision = revisionStore.get(pdfInfo.revisionKey);
+	if (revision) {
+		revisionStore.set(revision.id, { ...revision, ...pickRevisionFields(pdfInfo) });
+	}
+};
+
+// Keep the current contents of a PDF as an archived revision before they are replaced
+const archiveRevision = (pdfInfo) => {
+	const version = currentVersion(pdfInfo);
+	const id = revisionKey(pdfInfo.id, version);
+
+	revisionStore.set(id, {
+		id: id,
+		pdfId: pdfInfo.id,
+		ownerId: pdfInfo.ownerId,
+		version: version,
+		revisionDate: pdfInfo.revisionDate || pdfInfo.uploadDate,
+		...pickRevisionFields(pdfInfo),
+	});
+};
+
+// Annotations made on the revision of a PDF, in reading order
+const listAnnotations = (pdfInfo) =>
+	[...annotationStore.values()]
+		.filter((annotation) => annotation.pdfId === pdfInfo.id && annotation.version === currentVersion(pdfInfo))
+		.sort((a, b) => a.page - b.page || (a.start ?? -1) - (b.start ?? -1) || a.createdAt.localeCompare(b.createdAt));
+
+const summarizeAnnotation = (annotation) => ({
+	id: annotation.id,
+	pdfId: annotation.pdfId,
+	version: annotation.version,
+	type: annotation.type,
+	page: annotation.page,
+	start: annotation.start ?? null,
+	end: annotation.end ?? null,
+	quads: annotation.quads,
+	text: annotation.text ?? null,
+	note: annotation.note,
+	color: annotation.color,
+	createdAt: annotation.createdAt,
+	updatedAt: annotation.updatedAt,
+});
+
+// How many tokens of earlier turns are replayed to the model with each new message
+const HISTORY_TOKEN_BUDGET = parseInt(process.env.HISTORY_TOKEN_BUDGET) || 2000;
+
+// Find the line containing a character offset of a page, numbering lines across the whole document
+const locateLine = (pdfInfo, page, offset) => {
+	let lineNumber = 0;
+
+	for (const pageText of pdfInfo.pageTexts || []) {
+		const lines = pageText.text.split("\n");
+		if (pageText.page !== page) {
+			lineNumber += lines.length;
+			continue;
+		}
+
+		const index = pageText.text.slice(0, offset).split("\n").length - 1;
+		return { line: lines[index].trim(), lineNumber: lineNumber + index + 1 };
+	}
+
+	return { line: "", lineNumber: null };
+};
+
+// Build the full-text index of a PDF if it is missing or was built by an older version.
+// Returns true when the record changed and needs to be saved.
+const ensureSearchIndex = (pdfInfo) => {
+	if (isIndexCurrent(pdfInfo.searchIndex)) {
+		return false;
+	}
+
+	pdfInfo.searchIndex = buildSearchIndex(pdfInfo.pageTexts || []);
+	return true;
+};
+
+// Chunk and embed a PDF if it has not been indexed with the current embedder yet.
+// Returns true when the record changed and needs to be saved.
+const ensureEmbeddings = async (pdfInfo) => {
+	if (!pdfInfo.chunks) {
+		pdfInfo.chunks = chunkPages(pdfInfo.pageTexts || []);
+	}
+
+	const upToDate = pdfInfo.embeddingModel === embedder.model && pdfInfo.chunks.every((chunk) => Array.isArray(chunk.embedding));
+	if (upToDate) {
+		return false;
+	}
+
+	const vectors = await embedder.embed(pdfInfo.chunks.map((chunk) => chunk.text));
+	pdfInfo.chunks.forEach((chunk, index) => {
+		chunk.embedding = vectors[index];
+	});
+	pdfInfo.embeddingModel = embedder.model;
+
+	return true;
+};
+
+// Find the chunks most similar to the query across one or more PDFs
+const retrieveChunks = async (pdfInfos, query, topK = RETRIEVAL_TOP_K) => {
+	const candidates = [];
+
+	for (const pdfInfo of pdfInfos) {
+		if (await ensureEmbeddings(pdfInfo)) {
+			savePdf(pdfInfo);
+		}
+		pdfInfo.chunks.forEach((chunk) => candidates.push({ ...chunk, pdfId: pdfInfo.id, filename: pdfInfo.filename }));
+	}
+
+	const [queryVector] = await embedder.embed([query]);
+	return rankChunks(candidates, queryVector, topK).filter((chunk) => chunk.score > 0);
+};
+
+// Find the annotated passages most similar to the query. Annotations anchored to text are passages of
+// their own, embedded once and kept with the annotation; those anchored to a whole page bring in its chunks.
+// Every annotated passage is a candidate, however dissimilar, as the user asked about these passages.
+const retrieveAnnotatedPassages = async (pdfInfos, query, topK = RETRIEVAL_TOP_K) => {
+	const candidates = [];
+	const passages = [];
+
+	for (const pdfInfo of pdfInfos) {
+		const annotations = listAnnotations(pdfInfo);
+		const annotatedPages = new Set(annotations.filter((annotation) => !annotation.text).map((annotation) => annotation.page));
+
+		if (annotatedPages.size > 0) {
+			if (await ensureEmbeddings(pdfInfo)) {
+				savePdf(pdfInfo);
+			}
+			pdfInfo.chunks
+				.filter((chunk) => annotatedPages.has(chunk.page))
+				.forEach((chunk) => candidates.push({ ...chunk, pdfId: pdfInfo.id, filename: pdfInfo.filename }));
+		}
+
+		annotations.filter((annotation) => annotation.text).forEach((annotation) => passages.push({ annotation, pdfInfo }));
+	}
+
+	const unembedded = passages.filter(({ annotation }) => annotation.embeddingModel !== embedder.model);
+	if (unembedded.length > 0) {
+		const vectors = await embedder.embed(unembedded.map(({ annotation }) => annotation.text));
+		unembedded.forEach(({ annotation }, index) => {
+			annotation.embedding = vectors[index];
+			annotation.embeddingModel = embedder.model;
+			annotationStore.set(annotation.id, annotation);
+		});
+	}
+
+	for (const { annotation, pdfInfo } of passages) {
+		candidates.push({
+			id: annotation.id,
+			page: annotation.page,
+			start: annotation.start,
+			end: annotation.end,
+			text: annotation.text,
+			embedding: annotation.embedding,
+			pdfId: pdfInfo.id,
+			filename: pdfInfo.filename,
+		});
+	}
+
+	const [queryVector] = await embedder.embed([query]);
+	return rankChunks(candidates, queryVector, topK);
+};
+
+// Publish progress of an ingestion job. Stage changes are persisted, per-page progress only lives in memory.
+const reportProgress = (pdfInfo, stage, percent, persist = false) => {
+	pdfInfo.processing = { ...pdfInfo.processing, stage, percent: Math.round(percent) };
+	// The PDF may have been deleted while it was being processed
+	if (persist && pdfStore.has(pdfInfo.id)) {
+		pdfStore.set(pdfInfo.id, pdfInfo);
+	}
+	ingestionEvents.emit("progress", pdfInfo);
+};
+
+// Extract, chunk and index an uploaded PDF
+const ingestPdf = async (pdfId) => {
+	const pdfInfo = pdfStore.get(pdfId);
+	if (!pdfInfo) {
+		return;
+	}
+
+	try {
+		reportProgress(pdfInfo, "extracting", 0, true);
+
+		// Answers about the previous contents of the PDF no longer apply
+		responseCache.invalidatePdf(pdfInfo.id);
+
+		const dataBuffer = await fs.readFile(pdfInfo.filePath);
+		console.log("PDF file read, size:", dataBuffer.length);
+
+		// Try to parse PDF for text extraction, but don't fail if it doesn't work
+		let text = "";
+		let pages = 1;
+		let pageTexts = [];
+		let extractionStatus = "success";
+		let extractionError;
+		let metadata = null;
+		let outline = [];
+		let tables = [];
+
+		try {
+			const pdfData = await extractPages(dataBuffer, {
+				password: getPdfPassword(pdfInfo),
+				ocr: isOcrEnabled() ? recognizeText : null,
+				ocrScale: OCR_SCALE,
+				onPage: (pageNumber, numPages) => reportProgress(pdfInfo, "extracting", (pageNumber / numPages) * EXTRACTION_SHARE),
+			});
+			pageTexts = pdfData.pages;
+			text = pageTexts.map((pageText) => pageText.text).join("\n\n");
+			pages = pdfData.numPages || 1;
+			metadata = pdfData.metadata;
+			outline = pdfData.outline;
+			tables = pdfData.tables;
+			console.log("PDF parsed successfully, pages:", pages, "OCR pages:", pageTexts.filter((pageText) => pageText.source === "ocr").length);
+
+			if (!text || text.trim().length === 0) {
+				console.warn("PDF contains no extractable text");
+				extractionStatus = "no-text";
+			}
+		} catch (parseError) {
+			console.warn("PDF parsing failed, but continuing with upload:", parseError.message);
+			// Continue with upload even if parsing fails
+			extractionStatus = "failed";
+			extractionError = parseError.message;
+			text = "";
+			pages = 1;
+			pageTexts = [];
+		}
+
+		Object.assign(pdfInfo, {
+			text: text,
+			pageTexts: pageTexts,
+			pages: pages,
+			extractionStatus: extractionStatus,
+			extractionError: extractionError,
+			metadata: metadata,
+			outline: outline,
+			tables: tables,
+			// Summaries of the previous text are stale
+			summaries: {},
+			chunks: chunkPages(pageTexts),
+			searchIndex: buildSearchIndex(pageTexts),
+		});
+		reportProgress(pdfInfo, "indexing", EXTRACTION_SHARE, true);
+
+		// Embed the chunks now so the first question does not have to wait for it
+		try {
+			await ensureEmbeddings(pdfInfo);
+			console.log("PDF indexed, chunks:", pdfInfo.chunks.length);
+		} catch (embeddingError) {
+			console.warn("PDF embedding failed, it will be retried on first chat:", embeddingError.message);
+		}
+
+		pdfInfo.status = "ready";
+		reportProgress(pdfInfo, "complete", 100, true);
+		console.log("PDF processed successfully:", pdfId);
+
+		if (pdfStore.has(pdfId)) {
+			webhooks.emit(pdfInfo.ownerId, "document.processed", summarizePdf(pdfInfo));
+		}
+	} catch (error) {
+		console.error("PDF processing error:", error);
+
+		pdfInfo.status = "failed";
+		pdfInfo.extractionStatus = "failed";
+		pdfInfo.extractionError = error.message;
+		pdfInfo.processing = { ...pdfInfo.processing, error: error.message };
+		reportProgress(pdfInfo, "failed", pdfInfo.processing.percent, true);
+
+		if (pdfStore.has(pdfId)) {
+			webhooks.emit(pdfInfo.ownerId, "document.failed", { ...summarizePdf(pdfInfo), error: error.message });
+		}
+	}
+};
+
+const queueIngestion = (pdfId) => ingestionQueue.push(pdfId, () => ingestPdf(pdfId));
+
+// Respond with 409 while a PDF is still being processed. Returns true when a response was sent.
+const rejectIfProcessing = (res, pdfInfo) => {
+	if (pdfInfo.status !== "processing") {
+		return false;
+	}
+
+	res.setHeader("Retry-After", "2");
+	res.status(409).json({
+		error: "PDF is still processing",
+		status: pdfInfo.status,
+		processing: pdfInfo.processing,
+	});
+	return true;
+};
+
+// Processing state of a PDF as reported by the status endpoints
+const getPdfStatus = (pdfInfo) => ({
+	id: pdfInfo.id,
+	status: pdfInfo.status,
+	stage: pdfInfo.processing.stage,
+	percent: pdfInfo.processing.percent,
+	error: pdfInfo.processing.error,
+	...(pdfInfo.status === "ready"
+		? {
+				pages: pdfInfo.pages,
+				extractionStatus: pdfInfo.extractionStatus,
+				pageSources: pdfInfo.pageTexts.map(({ page, source }) => ({ page, source })),
+				chunks: pdfInfo.chunks.length,
+			}
+		: {}),
+});
+
+// Library entry of a PDF, without its text and index
+const summarizePdf = (pdfInfo) => ({
+	id: pdfInfo.id,
+	filename: pdfInfo.filename,
+	displayName: pdfInfo.displayName || pdfInfo.filename,
+	tags: pdfInfo.tags || [],
+	size: pdfInfo.size,
+	pages: pdfInfo.pages,
+	encrypted: Boolean(pdfInfo.sealedPassword),
+	status: pdfInfo.status,
+	extractionStatus: pdfInfo.extractionStatus,
+	metadata: pdfInfo.metadata || null,
+	version: currentVersion(pdfInfo),
+	uploadDate: pdfInfo.uploadDate,
+	revisionDate: pdfInfo.revisionDate || pdfInfo.uploadDate,
+});
+
+// Validate the parameters shared by the search endpoints
+const parseSearchParams = ({ query, fuzzy, page, limit }) => {
+	if (typeof query !== "string" || !query.trim()) {
+		return { error: "query is required" };
+	}
+
+	const pageNumber = page === undefined ? 1 : Number(page);
+	const pageSize = limit === undefined ? SEARCH_PAGE_SIZE : Number(limit);
+
+	if (!Number.isInteger(pageNumber) || pageNumber < 1) {
+		return { error: "page must be a positive integer" };
+	}
+	if (!Number.isInteger(pageSize) || pageSize < 1 || pageSize > MAX_PAGE_SIZE) {
+		return { error: `limit must be an integer between 1 and ${MAX_PAGE_SIZE}` };
+	}
+
+	return { params: { query: query.trim(), fuzzy: fuzzy === true || fuzzy === "true", page: pageNumber, limit: pageSize } };
+};
+
+// Run a ranked full-text search over PDFs and return one page of results with snippets
+const searchPdfs = (pdfInfos, { query, fuzzy, page, limit }) => {
+	const documents = pdfInfos.map((pdfInfo) => {
+		if (ensureSearchIndex(pdfInfo)) {
+			savePdf(pdfInfo);
+		}
+		return { id: pdfInfo.id, index: pdfInfo.searchIndex };
+	});
+	const pdfInfosById = new Map(pdfInfos.map((pdfInfo) => [pdfInfo.id, pdfInfo]));
+
+	const hits = searchDocuments(documents, query, { fuzzy });
+	const results = hits.slice((page - 1) * limit, page * limit).map((hit) => {
+		const pdfInfo = pdfInfosById.get(hit.id);
+		const pageText = pdfInfo.pageTexts.find((entry) => entry.page === hit.page);
+		const { snippet, snippetStart, highlights, matches } = buildSnippet(pageText.text, hit.terms);
+
+		return {
+			pdfId: pdfInfo.id,
+			filename: pdfInfo.filename,
+			page: hit.page,
+			score: hit.score,
+			snippet: snippet,
+			snippetStart: snippetStart,
+			highlights: highlights,
+			matches: matches,
+			...locateLine(pdfInfo, hit.page, matches.length > 0 ? matches[0].start : 0),
+		};
+	});
+
+	return {
+		query: query,
+		results: results,
+		total: hits.length,
+		page: page,
+		limit: limit,
+	};
+};
+
+// Find a PDF of the user with the same contents. Only PDFs of the same size are compared;
+// records from before content hashes were stored get theirs computed on the way.
+const findDuplicatePdf = async (user, contentHash, size) => {
+	for (const pdfInfo of pdfStore.values()) {
+		if (pdfInfo.ownerId !== user.id || pdfInfo.status === "failed" || pdfInfo.size !== size) {
+			continue;
+		}
+
+		if (!pdfInfo.contentHash) {
+			try {
+				pdfInfo.contentHash = hashContent(await fs.readFile(pdfInfo.filePath));
+				pdfStore.set(pdfInfo.id, pdfInfo);
+			} catch (error) {
+				console.warn("Could not hash PDF", pdfInfo.id, error.message);
+				continue;
+			}
+		}
+
+		if (pdfInfo.contentHash === contentHash) {
+			return pdfInfo;
+		}
+	}
+	return null;
+};
+
+// Remove a PDF, its files and everything derived from them
+const deletePdf = async (pdfInfo) => {
+	pdfStore.delete(pdfInfo.id);
+	await fs.remove(pdfInfo.filePath);
+	for (const revision of getArchivedRevisions(pdfInfo.id)) {
+		revisionStore.delete(revision.id);
+		await fs.remove(revision.filePath);
+	}
+	await pageImageCache.removePdf(pdfInfo.id);
+	annotationStore.prune((annotation) => annotation.pdfId !== pdfInfo.id);
+	responseCache.invalidatePdf(pdfInfo.id);
+	webhooks.emit(pdfInfo.ownerId, "document.deleted", summarizePdf(pdfInfo));
+
+	for (const conversation of conversationStore.values()) {
+		if (conversation.pdfIds.includes(pdfInfo.id)) {
+			conversation.pdfIds = conversation.pdfIds.filter((id) => id !== pdfInfo.id);
+			conversationStore.set(conversation.id, conversation);
+		}
+	}
+};
+
+// Pick up PDFs whose processing was interrupted by a restart
+for (const pdfInfo of pdfStore.values()) {
+	if (pdfInfo.status === "processing") {
+		queueIngestion(pdfInfo.id);
+	}
+}
+
+// Abort model requests once the client of a long-running request goes away
+const abortOnClose = (res) => {
+	const abortController = new AbortController();
+	res.on("close", () => {
+		if (!res.writableEnded) {
+			abortController.abort();
+		}
+	});
+	return abortController.signal;
+};
+
+// Refuse requests that would call the model once the user has used up a token quota
+const enforceTokenQuota = (req, res, next) => {
+	const exceeded = usageTracker.checkQuota(req.user.id);
+	if (!exceeded) {
+		return next();
+	}
+
+	res.setHeader("Retry-After", exceeded.retryAfter);
+	res.status(429).json({
+		error: `The ${exceeded.period} token quota of ${exceeded.limit} tokens is used up until ${exceeded.resetAt}`,
+		code: "QUOTA_EXCEEDED",
+		quota: exceeded,
+	});
+};
+
+// Key of the response cache entries a chat request can share, or null when the request skips the cache.
+// Answers depend on the user, the contents of the PDFs, the model and its parameters and the retrieval model.
+// Answers about annotated passages also depend on the annotations.
+const getChatCacheScope = (user, pdfInfos, options, cache, annotatedOnly = false) => {
+	if (!RESPONSE_CACHE_TTL_MS || cache === false) {
+		return null;
+	}
+
+	const annotations = annotatedOnly ? [pdfInfos.flatMap((pdfInfo) => listAnnotations(pdfInfo).map((annotation) => `${annotation.id}@${annotation.updatedAt}`))] : [];
+	return ResponseCache.scopeKey({
+		userId: user.id,
+		pdfs: pdfInfos.map((pdfInfo) => ({ id: pdfInfo.id, version: pdfInfo.contentHash || pdfInfo.uploadDate })),
+		params: [llm.name, options.model, options.temperature, options.maxTokens, embedder.model, ...annotations],
+	});
+};
+
+// Validate the `annotatedOnly` flag of a chat request. Returns an error message, or null when the flag is valid.
+const checkAnnotatedOnly = (annotatedOnly, pdfInfos) => {
+	if (annotatedOnly === undefined) {
+		return null;
+	}
+	if (typeof annotatedOnly !== "boolean") {
+		return "annotatedOnly must be a boolean";
+	}
+	if (annotatedOnly && !pdfInfos.some((pdfInfo) => listAnnotations(pdfInfo).length > 0)) {
+		return "annotatedOnly needs at least one PDF with annotations";
+	}
+	return null;
+};
+
+// Look up the cached answer to a question. The question embedding is only computed for near-duplicate
+// matching and is returned so that a new answer can be stored with it.
+const findCachedAnswer = async (scope, message) => {
+	const vector = responseCache.similarity ? (await embedder.embed([message]))[0] : undefined;
+	return { hit: responseCache.get(scope, message, vector), vector };
+};
+
+// Chat response for a cached answer. Citations are grounded again as the request may drop unverified ones.
+const formatCachedAnswer = ({ entry, match, similarity }, dropUnverified) => ({
+	message: entry.response.message,
+	citations: groundCitations(entry.response.message, entry.response.sources, { dropUnverified }),
+	sources: entry.response.sources,
+	tokenUsage: 0,
+	model: entry.response.model,
+	cached: true,
+	cacheMatch: match,
+	cacheSimilarity: similarity,
+	cachedAt: entry.createdAt,
+});
+
+// Tell the user's webhooks that a question was answered. Sources are left out to keep the payload small.
+const emitChatCompleted = (user, { pdfIds, conversationId = null, question, message, citations, tokenUsage, model, cached = false }) => {
+	webhooks.emit(user.id, "chat.completed", {
+		pdfIds: pdfIds,
+		conversationId: conversationId,
+		question: question,
+		answer: message,
+		citations: citations,
+		tokenUsage: tokenUsage,
+		model: model,
+		cached: cached,
+	});
+};
+
+// Write a single Server-Sent Event
+const sendEvent = (res, event, data) => {
+	res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+};
+
+// Routes
+
+/**
+ * @swagger
+ * /api/upload-pdf:
+ *   post:
+ *     summary: Upload a PDF file
+ *     description: Upload a PDF file for processing and text extraction. Files are checked by their contents, not their declared type. Uploading a file identical to one of your PDFs returns the existing PDF instead of a copy. The request returns as soon as the file is stored; text extraction, OCR and indexing run in the background. Follow progress with `/api/pdf/{id}/status` or `/api/pdf/{id}/status/stream`. Until processing completes, chat, search and text endpoints answer with 409.
+ *     tags: [PDF Management]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               pdf:
+ *                 type: string
+ *                 format: binary
+ *                 description: PDF file to upload (max 50MB)
+ *               password:
+ *                 type: string
+ *                 description: Password of an encrypted PDF
+ *     responses:
+ *       200:
+ *         description: The same file was uploaded before; the existing PDF is returned with `duplicate` set
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/PDFUploadResponse'
+ *       202:
+ *         description: PDF uploaded and queued for processing
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/PDFUploadResponse'
+ *       400:
+ *         description: No file uploaded, or the file is empty or not a valid PDF (`code` INVALID_PDF)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       413:
+ *         description: File is larger than 50MB
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       422:
+ *         description: The PDF is encrypted and no password (`code` PASSWORD_REQUIRED) or a wrong password (`code` INCORRECT_PASSWORD) was supplied, or the server has no PDF_PASSWORD_KEY to store the password with (`code` PASSWORD_STORAGE_DISABLED)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       429:
+ *         description: Too many uploads (see `RateLimit-*` headers); retry after `Retry-After` seconds
+ *         headers:
+ *           Retry-After:
+ *             schema:
+ *               type: integer
+ *             description: Seconds until the request can be retried
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Server error during PDF processing
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+app.post("/api/upload-pdf", uploadRateLimit, upload.single("pdf"), async (req, res) => {
+	try {
+		if (!req.file) {
+			return res.status(400).json({ error: "No PDF file uploaded" });
+		}
+
+		console.log("File received:", req.file.originalname, "Size:", req.file.size);
+
+		const filePath = req.file.path;
+		const pdfId = path.basename(req.file.filename, path.extname(req.file.filename));
+		const password = typeof req.body.password === "string" && req.body.password ? req.body.password : undefined;
+
+		console.log("Processing PDF:", pdfId);
+
+		// Check if file exists
+		if (!fs.existsSync(filePath)) {
+			console.error("File not found at path:", filePath);
+			return res.status(500).json({ error: "Uploaded file not found" });
+		}
+
+		if (req.file.size === 0) {
+			await fs.remove(filePath);
+			return res.status(400).json({ error: "PDF file is empty" });
+		}
+
+		const dataBuffer = await fs.readFile(filePath);
+		const contentHash = hashContent(dataBuffer);
+
+		const duplicate = await findDuplicatePdf(req.user, contentHash, req.file.size);
+		if (duplicate) {
+			await fs.remove(filePath);
+			console.log("Duplicate of PDF", duplicate.id, "uploaded, keeping the existing one");
+			return res.status(200).json({
+				id: duplicate.id,
+				filename: duplicate.filename,
+				status: duplicate.status,
+				processing: duplicate.processing,
+				version: currentVersion(duplicate),
+				uploadDate: duplicate.uploadDate,
+				duplicate: true,
+			});
+		}
+
+		let inspection;
+		try {
+			inspection = await inspectPdf(dataBuffer, { password });
+		} catch (inspectError) {
+			await fs.remove(filePath);
+			const status = inspectError.code === "INVALID_PDF" ? 400 : 422;
+			return res.status(status).json({ error: inspectError.message, code: inspectError.code });
+		}
+
+		if (inspection.encrypted && password && !passwordSealer) {
+			await fs.remove(filePath);
+			return res.status(422).json({ error: "This server cannot store passwords of encrypted PDFs (PDF_PASSWORD_KEY is not set)", code: "PASSWORD_STORAGE_DISABLED" });
+		}
+
+		const filename = sanitizeFilename(decodeUploadFilename(req.file.originalname));
+
+		// Store a placeholder record and process the PDF in the background
+		const pdfInfo = {
+			id: pdfId,
+			ownerId: req.user.id,
+			filename: filename,
+			displayName: filename,
+			tags: [],
+			size: req.file.size,
+			contentHash: contentHash,
+			filePath: filePath,
+			text: "",
+			pageTexts: [],
+			pages: inspection.numPages,
+			status: "processing",
+			processing: { stage: "queued", percent: 0 },
+			version: 1,
+			uploadDate: new Date().toISOString(),
+		};
+
+		// Encrypted PDFs are stored as uploaded, so the password is needed to read them again later
+		if (inspection.encrypted && password) {
+			pdfInfo.sealedPassword = passwordSealer.seal(password);
+		}
+
+		pdfStore.set(pdfId, pdfInfo);
+		queueIngestion(pdfId);
+		console.log("PDF queued for processing:", pdfId);
+		webhooks.emit(req.user.id, "document.uploaded", summarizePdf(pdfInfo));
+
+		res.status(202).json({
+			id: pdfId,
+			filename: pdfInfo.filename,
+			status: pdfInfo.status,
+			processing: pdfInfo.processing,
+			version: pdfInfo.version,
+			uploadDate: pdfInfo.uploadDate,
+		});
+	} catch (error) {
+		console.error("PDF upload error:", error);
+		console.error("Error stack:", error.stack);
+
+		// Provide more specific error messages
+		let errorMessage = "Failed to process PDF";
+		if (error.message.includes("ENOENT")) {
+			errorMessage = "File system error. Please try again.";
+		} else if (error.message.includes("permission")) {
+			errorMessage = "Permission denied. Please check file permissions.";
+		}
+
+		res.status(500).json({
+			error: errorMessage,
+			details: process.env.NODE_ENV === "development" ? error.message : undefined,
+		});
+	}
+});
+
+/**
+ * @swagger
+ * /api/pdf/{id}/status:
+ *   get:
+ *     summary: Get PDF processing status
+ *     description: Report the processing stage (`queued`, `extracting`, `indexing`, `complete` or `failed`) and percent complete of an uploaded PDF.
+ *     tags: [PDF Management]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: PDF ID
+ *     responses:
+ *       200:
+ *         description: Status returned successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/PDFStatus'
+ *       404:
+ *         description: PDF not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+app.get("/api/pdf/:id/status", (req, res) => {
+	try {
+		const pdfInfo = getUserPdf(req.user, req.params.id);
+
+		if (!pdfInfo) {
+			return res.status(404).json({ error: "PDF not found" });
+		}
+
+		res.json(getPdfStatus(pdfInfo));
+	} catch (error) {
+		res.status(500).json({ error: "Failed to retrieve PDF status" });
+	}
+});
+
+/**
+ * @swagger
+ * /api/pdf/{id}/status/stream:
+ *   get:
+ *     summary: Stream PDF processing progress
+ *     description: Server-Sent Events stream of `progress` events, each carrying a PDFStatus. The stream sends the current status right away and ends with a `done` event once the PDF is ready or has failed.
+ *     tags: [PDF Management]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: PDF ID
+ *     responses:
+ *       200:
+ *         description: Event stream of processing progress
+ *         content:
+ *           text/event-stream:
+ *             schema:
+ *               type: string
+ *       404:
+ *         description: PDF not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+app.get("/api/pdf/:id/status/stream", (req, res) => {
+	const pdfId = req.params.id;
+	const pdfInfo = getUserPdf(req.user, pdfId);
+
+	if (!pdfInfo) {
+		return res.status(404).json({ error: "PDF not found" });
+	}
+
+	res.writeHead(200, {
+		"Content-Type": "text/event-stream",
+		"Cache-Control": "no-cache",
+		Connection: "keep-alive",
+		"X-Accel-Buffering": "no",
+	});
+
+	const onProgress = (updatedPdfInfo) => {
+		if (updatedPdfInfo.id !== pdfId) {
+			return;
+		}
+
+		const status = getPdfStatus(updatedPdfInfo);
+		sendEvent(res, "progress", status);
+
+		if (status.status !== "processing") {
+			sendEvent(res, "done", status);
+			res.end();
+		}
+	};
+
+	res.on("close", () => ingestionEvents.off("progress", onProgress));
+	ingestionEvents.on("progress", onProgress);
+	onProgress(pdfInfo);
+});
+
+/**
+ * @swagger
+ * /api/pdfs:
+ *   get:
+ *     summary: List uploaded PDFs
+ *     description: List the PDFs in the library with pagination, sorting by upload date and filtering by filename or tag.
+ *     tags: [PDF Management]
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *         description: Page of results (1-based)
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 20
+ *         description: Number of PDFs per page
+ *       - in: query
+ *         name: order
+ *         schema:
+ *           type: string
+ *           enum: [asc, desc]
+ *           default: desc
+ *         description: Sort order by upload date
+ *       - in: query
+ *         name: filename
+ *         schema:
+ *           type: string
+ *         description: Only PDFs whose filename or display name contains this text (case-insensitive)
+ *       - in: query
+ *         name: tag
+ *         schema:
+ *           type: string
+ *         description: Only PDFs with this tag
+ *     responses:
+ *       200:
+ *         description: PDFs returned successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 items:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/PDFSummary'
+ *                 total:
+ *                   type: integer
+ *                   description: Number of PDFs matching the filters
+ *                 page:
+ *                   type: integer
+ *                 limit:
+ *                   type: integer
+ *       400:
+ *         description: Invalid query parameters
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+app.get("/api/pdfs", (req, res) => {
+	try {
+		const page = req.query.page === undefined ? 1 : Number(req.query.page);
+		const limit = req.query.limit === undefined ? 20 : Number(req.query.limit);
+		const order = req.query.order || "desc";
+
+		if (!Number.isInteger(page) || page < 1) {
+			return res.status(400).json({ error: "page must be a positive integer" });
+		}
+		if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+			return res.status(400).json({ error: `limit must be an integer between 1 and ${MAX_PAGE_SIZE}` });
+		}
+		if (order !== "asc" && order !== "desc") {
+			return res.status(400).json({ error: 'order must be "asc" or "desc"' });
+		}
+
+		const filename = typeof req.query.filename === "string" ? req.query.filename.toLowerCase() : "";
+		const tag = typeof req.query.tag === "string" ? req.query.tag : "";
+
+		const matches = Array.from(pdfStore.values())
+			.filter((pdfInfo) => pdfInfo.ownerId === req.user.id)
+			.map(summarizePdf)
+			.filter((summary) => !filename || `${summary.filename}\n${summary.displayName}`.toLowerCase().includes(filename))
+			.filter((summary) => !tag || summary.tags.includes(tag))
+			.sort((a, b) => (order === "asc" ? 1 : -1) * a.uploadDate.localeCompare(b.uploadDate));
+
+		res.json({
+			items: matches.slice((page - 1) * limit, page * limit),
+			total: matches.length,
+			page: page,
+			limit: limit,
+		});
+	} catch (error) {
+		console.error("Error listing PDFs:", error);
+		res.status(500).json({ error: "Failed to list PDFs" });
+	}
+});
+
+/**
+ * @swagger
+ * /api/pdf/{id}:
+ *   get:
+ *     summary: Get PDF details
+ *     description: Retrieve the library entry of a PDF, including its display name, tags and the document information (title, author, dates) embedded in the file.
+ *     tags: [PDF Management]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: PDF ID
+ *     responses:
+ *       200:
+ *         description: PDF details returned successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/PDFSummary'
+ *       404:
+ *         description: PDF not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *   patch:
+ *     summary: Update PDF details
+ *     description: Change the display name and/or the tags of a PDF. Tags replace the existing ones.
+ *     tags: [PDF Management]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: PDF ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               displayName:
+ *                 type: string
+ *                 description: New display name
+ *               tags:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: New set of tags
+ *     responses:
+ *       200:
+ *         description: PDF updated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/PDFSummary'
+ *       400:
+ *         description: Invalid displayName or tags
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: PDF not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *   put:
+ *     summary: Upload a new revision of a PDF
+ *     description: Replace the contents of a PDF with a new file under the same ID. The previous contents are kept as an earlier revision, listed by `/api/pdf/{id}/revisions` and available through the `version` parameter of the file, text, search and chat endpoints. The new revision is processed in the background like an upload. Uploading the same file as the current revision changes nothing and returns the PDF with `unchanged` set. The display name follows the new filename unless it was changed.
+ *     tags: [PDF Management]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: PDF ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               pdf:
+ *                 type: string
+ *                 format: binary
+ *                 description: New revision of the PDF (max 50MB)
+ *               password:
+ *                 type: string
+ *                 description: Password of an encrypted PDF, if it differs from the one of the current revision
+ *     responses:
+ *       200:
+ *         description: The file is the same as the current revision; nothing changed and `unchanged` is set
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/PDFUploadResponse'
+ *       202:
+ *         description: Revision uploaded and queued for processing
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/PDFUploadResponse'
+ *       400:
+ *         description: No file uploaded, or the file is empty or not a valid PDF (`code` INVALID_PDF)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: PDF not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: The current revision is still processing
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       413:
+ *         description: File is larger than 50MB
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       422:
+ *         description: The PDF is encrypted and no password (`code` PASSWORD_REQUIRED) or a wrong password (`code` INCORRECT_PASSWORD) was supplied, or the server has no PDF_PASSWORD_KEY to store the password with (`code` PASSWORD_STORAGE_DISABLED)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       429:
+ *         description: Too many uploads (see `RateLimit-*` headers); retry after `Retry-After` seconds
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *   delete:
+ *     summary: Delete a PDF
+ *     description: Delete a PDF, its files on disk (including earlier revisions) and everything derived from them (text, chunks, embeddings). The PDF is also removed from conversations that used it.
+ *     tags: [PDF Management]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: PDF ID
+ *     responses:
+ *       204:
+ *         description: PDF deleted
+ *       404:
+ *         description: PDF not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+app.get("/api/pdf/:id", (req, res) => {
+	try {
+		const pdfInfo = getUserPdf(req.user, req.params.id);
+
+		if (!pdfInfo) {
+			return res.status(404).json({ error: "PDF not found" });
+		}
+
+		res.json(summarizePdf(pdfInfo));
+	} catch (error) {
+		res.status(500).json({ error: "Failed to retrieve PDF" });
+	}
+});
+
+app.patch("/api/pdf/:id", (req, res) => {
+	try {
+		const pdfInfo = getUserPdf(req.user, req.params.id);
+
+		if (!pdfInfo) {
+			return res.status(404).json({ error: "PDF not found" });
+		}
+
+		const { displayName, tags } = req.body || {};
+
+		if (displayName !== undefined && (typeof displayName !== "string" || !displayName.trim() || displayName.length > 255)) {
+			return res.status(400).json({ error: "displayName must be a non-empty string of at most 255 characters" });
+		}
+		if (tags !== undefined && (!Array.isArray(tags) || tags.length > MAX_TAGS || !tags.every((tag) => typeof tag === "string" && tag.trim()))) {
+			return res.status(400).json({ error: `tags must be an array of at most ${MAX_TAGS} non-empty strings` });
+		}
+
+		if (displayName !== undefined) {
+			pdfInfo.displayName = displayName.trim();
+		}
+		if (tags !== undefined) {
+			pdfInfo.tags = [...new Set(tags.map((tag) => tag.trim()))];
+		}
+
+		pdfStore.set(pdfInfo.id, pdfInfo);
+		res.json(summarizePdf(pdfInfo));
+	} catch (error) {
+		console.error("Error updating PDF:", error);
+		res.status(500).json({ error: "Failed to update PDF" });
+	}
+});
+
+app.put("/api/pdf/:id", uploadRateLimit, upload.single("pdf"), async (req, res) => {
+	try {
+		if (!req.file) {
+			return res.status(400).json({ error: "No PDF file uploaded" });
+		}
+
+		const filePath = req.file.path;
+		const pdfInfo = getUserPdf(req.user, req.params.id);
+
+		if (!pdfInfo) {
+			await fs.remove(filePath);
+			return res.status(404).json({ error: "PDF not found" });
+		}
+
+		// The current revision has to be processed before it can be archived
+		if (pdfInfo.status === "processing") {
+			await fs.remove(filePath);
+			return rejectIfProcessing(res, pdfInfo);
+		}
+
+		if (req.file.size === 0) {
+			await fs.remove(filePath);
+			return res.status(400).json({ error: "PDF file is empty" });
+		}
+
+		const dataBuffer = await fs.readFile(filePath);
+		const contentHash = hashContent(dataBuffer);
+
+		if (contentHash === pdfInfo.contentHash) {
+			await fs.remove(filePath);
+			return res.status(200).json({
+				id: pdfInfo.id,
+				filename: pdfInfo.filename,
+				status: pdfInfo.status,
+				processing: pdfInfo.processing,
+				version: currentVersion(pdfInfo),
+				uploadDate: pdfInfo.revisionDate || pdfInfo.uploadDate,
+				unchanged: true,
+			});
+		}
+
+		// New revisions of an encrypted PDF usually keep its password
+		const password = typeof req.body.password === "string" && req.body.password ? req.body.password : getPdfPassword(pdfInfo);
+
+		let inspection;
+		try {
+			inspection = await inspectPdf(dataBuffer, { password });
+		} catch (inspectError) {
+			await fs.remove(filePath);
+			const status = inspectError.code === "INVALID_PDF" ? 400 : 422;
+			return res.status(status).json({ error: inspectError.message, code: inspectError.code });
+		}
+
+		if (inspection.encrypted && password && !passwordSealer) {
+			await fs.remove(filePath);
+			return res.status(422).json({ error: "This server cannot store passwords of encrypted PDFs (PDF_PASSWORD_KEY is not set)", code: "PASSWORD_STORAGE_DISABLED" });
+		}
+
+		const filename = sanitizeFilename(decodeUploadFilename(req.file.originalname));
+		const renamed = pdfInfo.displayName && pdfInfo.displayName !== pdfInfo.filename;
+
+		archiveRevision(pdfInfo);
+		for (const field of REVISION_FIELDS) {
+			delete pdfInfo[field];
+		}
+
+		Object.assign(pdfInfo, {
+			filename: filename,
+			displayName: renamed ? pdfInfo.displayName : filename,
+			size: req.file.size,
+			contentHash: contentHash,
+			filePath: filePath,
+			text: "",
+			pageTexts: [],
+			pages: inspection.numPages,
+			status: "processing",
+			processing: { stage: "queued", percent: 0 },
+			summaries: {},
+			version: currentVersion(pdfInfo) + 1,
+			revisionDate: new Date().toISOString(),
+		});
+
+		if (inspection.encrypted && password) {
+			pdfInfo.sealedPassword = passwordSealer.seal(password);
+		}
+
+		pdfStore.set(pdfInfo.id, pdfInfo);
+		queueIngestion(pdfInfo.id);
+		console.log("PDF revision", pdfInfo.version, "queued for processing:", pdfInfo.id);
+		webhooks.emit(req.user.id, "document.uploaded", summarizePdf(pdfInfo));
+
+		res.status(202).json({
+			id: pdfInfo.id,
+			filename: pdfInfo.filename,
+			status: pdfInfo.status,
+			processing: pdfInfo.processing,
+			version: pdfInfo.version,
+			uploadDate: pdfInfo.revisionDate,
+		});
+	} catch (error) {
+		console.error("PDF revision upload error:", error);
+		res.status(500).json({ error: "Failed to upload PDF revision" });
+	}
+});
+
+app.delete("/api/pdf/:id", async (req, res) => {
+	try {
+		const pdfInfo = getUserPdf(req.user, req.params.id);
+
+		if (!pdfInfo) {
+			return res.status(404).json({ error: "PDF not found" });
+		}
+
+		await deletePdf(pdfInfo);
+		console.log("PDF deleted:", pdfInfo.id);
+
+		res.status(204).end();
+	} catch (error) {
+		console.error("Error deleting PDF:", error);
+		res.status(500).json({ error: "Failed to delete PDF" });
+	}
+});
+
+/**
+ * @swagger
+ * /api/pdf/{id}/revisions:
+ *   get:
+ *     summary: List the revisions of a PDF
+ *     description: Revision history of a PDF, oldest first, with the current revision last. A revision is added every time a new file is uploaded with `PUT /api/pdf/{id}`.
+ *     tags: [PDF Management]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: PDF ID
+ *     responses:
+ *       200:
+ *         description: Revisions returned successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/PDFRevisionList'
+ *       404:
+ *         description: PDF not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+app.get("/api/pdf/:id/revisions", (req, res) => {
+	try {
+		const pdfInfo = getUserPdf(req.user, req.params.id);
+
+		if (!pdfInfo) {
+			return res.status(404).json({ error: "PDF not found" });
+		}
+
+		res.json({
+			pdfId: pdfInfo.id,
+			version: currentVersion(pdfInfo),
+			revisions: listRevisions(pdfInfo),
+		});
+	} catch (error) {
+		console.error("Error listing PDF revisions:", error);
+		res.status(500).json({ error: "Failed to list PDF revisions" });
+	}
+});
+
+/**
+ * @swagger
+ * /api/pdf/{id}/file:
+ *   get:
+ *     summary: Get PDF file
+ *     description: Retrieve the actual PDF file by its ID for viewing or download. Byte ranges are supported (`Range`, answered with 206), so viewers can load large documents progressively. Responses carry `ETag` and `Last-Modified`; conditional requests with `If-None-Match` or `If-Modified-Since` are answered with 304 when the file has not changed.
+ *     tags: [PDF Management]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: PDF ID
+ *       - in: query
+ *         name: version
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         description: Revision of the PDF (see `/api/pdf/{id}/revisions`), the current one by default
+ *       - in: query
+ *         name: download
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Send the file as an attachment (`download=1`) instead of inline
+ *       - in: header
+ *         name: Range
+ *         schema:
+ *           type: string
+ *         example: bytes=0-65535
+ *         description: Byte range of the file to return
+ *     responses:
+ *       200:
+ *         description: PDF file returned successfully
+ *         headers:
+ *           Accept-Ranges:
+ *             schema:
+ *               type: string
+ *           ETag:
+ *             schema:
+ *               type: string
+ *           Last-Modified:
+ *             schema:
+ *               type: string
+ *         content:
+ *           application/pdf:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       206:
+ *         description: The requested byte range of the file
+ *         headers:
+ *           Content-Range:
+ *             schema:
+ *               type: string
+ *         content:
+ *           application/pdf:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       304:
+ *         description: The file has not changed since the `If-None-Match` ETag or `If-Modified-Since` date
+ *       412:
+ *         description: The file does not match the `If-Match` or `If-Unmodified-Since` precondition
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       416:
+ *         description: The requested range lies outside the file; `Content-Range` gives its size
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       400:
+ *         description: Invalid version
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: PDF or version not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+app.get("/api/pdf/:id/file", (req, res) => {
+	try {
+		const pdfId = req.params.id;
+		const pdf = getUserPdf(req.user, pdfId);
+
+		if (!pdf) {
+			return res.status(404).json({ error: "PDF not found" });
+		}
+
+		const { pdfInfo, status, error } = resolvePdfVersion(pdf, req.query.version);
+		if (error) {
+			return res.status(status).json({ error });
+		}
+
+		// Check if file exists
+		if (!fs.existsSync(pdfInfo.filePath)) {
+			return res.status(404).json({ error: "PDF file not found on disk" });
+		}
+
+		// Set headers for PDF download/viewing
+		const download = req.query.download === "1" || req.query.download === "true";
+		res.setHeader("Content-Type", "application/pdf");
+		res.setHeader("Content-Disposition", contentDisposition(download ? "attachment" : "inline", pdfInfo.filename));
+		res.setHeader("Cache-Control", "private, no-cache");
+		// The content hash makes a strong validator; older records fall back to the weak size and mtime ETag
+		if (pdfInfo.contentHash) {
+			res.setHeader("ETag", `"${pdfInfo.contentHash}"`);
+		}
+
+		// sendFile answers range and conditional requests and sets Content-Length and Last-Modified
+		res.sendFile(path.resolve(pdfInfo.filePath), { etag: !pdfInfo.contentHash, cacheControl: false }, (sendError) => {
+			if (!sendError || sendError.code === "ECONNABORTED" || sendError.code === "ECONNRESET") {
+				return;
+			}
+
+			if (!res.headersSent) {
+				// The error body is JSON, not the PDF the headers above announced
+				res.removeHeader("Content-Type");
+				res.removeHeader("ETag");
+				res.removeHeader("Content-Disposition");
+
+				// Unsatisfiable ranges and failed preconditions come back as errors carrying their status
+				if (sendError.status === 412 || sendError.status === 416) {
+					res.set(sendError.headers || {});
+					return res.status(sendError.status).json({ error: sendError.status === 416 ? "Requested range is outside the file" : "Precondition failed" });
+				}
+
+				console.error("Error serving PDF file:", sendError);
+				return res.status(500).json({ error: "Failed to serve PDF file" });
+			}
+
+			console.error("Error serving PDF file:", sendError);
+			// Part of the file was sent already; cut the connection so the client sees the response is incomplete
+			res.destroy();
+		});
+	} catch (error) {
+		console.error("Error serving PDF file:", error);
+		res.status(500).json({ error: "Failed to serve PDF file" });
+	}
+});
+
+/**
+ * @swagger
+ * /api/pdf/{id}/text:
+ *   get:
+ *     summary: Get PDF text content
+ *     description: Retrieve the extracted text content from a PDF by its ID.
+ *     tags: [PDF Management]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: PDF ID
+ *       - in: query
+ *         name: version
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         description: Revision of the PDF (see `/api/pdf/{id}/revisions`), the current one by default
+ *     responses:
+ *       200:
+ *         description: PDF text content returned successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: string
+ *               description: Extracted text from the PDF
+ *       400:
+ *         description: Invalid version
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: PDF or version not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: PDF is still processing
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+app.get("/api/pdf/:id/text", (req, res) => {
+	try {
+		const pdfId = req.params.id;
+		const pdf = getUserPdf(req.user, pdfId);
+
+		if (!pdf) {
+			return res.status(404).json({ error: "PDF not found" });
+		}
+
+		const { pdfInfo, status, error } = resolvePdfVersion(pdf, req.query.version);
+		if (error) {
+			return res.status(status).json({ error });
+		}
+
+		if (rejectIfProcessing(res, pdfInfo)) {
+			return;
+		}
+
+		res.json(pdfInfo.text);
+	} catch (error) {
+		res.status(500).json({ error: "Failed to retrieve PDF text" });
+	}
+});
+
+/**
+ * @swagger
+ * /api/pdf/{id}/search:
+ *   post:
+ *     summary: Search within PDF content
+ *     description: Ranked full-text search within a PDF. Every matching page is scored with BM25 and returned with a snippet, the character offsets of the matched words and the line of the first match.
+ *     tags: [PDF Search]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: PDF ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/SearchRequest'
+ *     responses:
+ *       200:
+ *         description: Search results returned successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SearchResponse'
+ *       400:
+ *         description: Missing query, invalid pagination or invalid version
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: PDF or version not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: PDF is still processing
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Search failed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+app.post("/api/pdf/:id/search", async (req, res) => {
+	try {
+		const pdfId = req.params.id;
+
+		const pdf = getUserPdf(req.user, pdfId);
+		if (!pdf) {
+			return res.status(404).json({ error: "PDF not found" });
+		}
+
+		const { params, error } = parseSearchParams(req.body || {});
+		if (error) {
+			return res.status(400).json({ error });
+		}
+
+		const { pdfInfo, status, error: versionError } = resolvePdfVersion(pdf, (req.body || {}).version);
+		if (versionError) {
+			return res.status(status).json({ error: versionError });
+		}
+
+		if (rejectIfProcessing(res, pdfInfo)) {
+			return;
+		}
+
+		res.json(searchPdfs([pdfInfo], params));
+	} catch (error) {
+		console.error("Search error:", error);
+		res.status(500).json({ error: "Search failed" });
+	}
+});
+
+/**
+ * @swagger
+ * /api/search:
+ *   get:
+ *     summary: Search all PDFs
+ *     description: Ranked full-text search across every processed PDF in your library, using the same query syntax as `/api/pdf/{id}/search`. Results from all documents are ranked together.
+ *     tags: [PDF Search]
+ *     parameters:
+ *       - in: query
+ *         name: q
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: 'Search query. Supports "phrases", prefix* and fuzzy~ terms.'
+ *       - in: query
+ *         name: fuzzy
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Treat every word of the query as a fuzzy match
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 10
+ *     responses:
+ *       200:
+ *         description: Search results returned successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SearchResponse'
+ *       400:
+ *         description: Missing query or invalid pagination
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Search failed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+app.get("/api/search", (req, res) => {
+	try {
+		const { params, error } = parseSearchParams({ ...req.query, query: req.query.q });
+		if (error) {
+			return res.status(400).json({ error });
+		}
+
+		// Documents still being processed have no index yet and are left out
+		const pdfInfos = Array.from(pdfStore.values()).filter((pdfInfo) => pdfInfo.ownerId === req.user.id && pdfInfo.status === "ready");
+
+		res.json(searchPdfs(pdfInfos, params));
+	} catch (error) {
+		console.error("Search error:", error);
+		res.status(500).json({ error: "Search failed" });
+	}
+});
+
+/**
+ * @swagger
+ * /api/pdf/{id}/page/{pageNumber}:
+ *   get:
+ *     summary: Get specific page content
+ *     description: Retrieve the text content of a specific page from a PDF document.
+ *     tags: [PDF Management]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: PDF ID
+ *       - in: path
+ *         name: pageNumber
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         description: Page number (1-based)
+ *     responses:
+ *       200:
+ *         description: Page content returned successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: string
+ *               description: Text content of the specified page
+ *       400:
+ *         description: Invalid page number
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: PDF or page not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: PDF is still processing
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Failed to get page content
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+app.get("/api/pdf/:id/page/:pageNumber", (req, res) => {
+	try {
+		const pdfId = req.params.id;
+		const pageNumber = Number(req.params.pageNumber);
+
+		if (!Number.isInteger(pageNumber)) {
+			return res.status(400).json({ error: "Invalid page number" });
+		}
+
+		const pdfInfo = getUserPdf(req.user, pdfId);
+		if (!pdfInfo) {
+			return res.status(404).json({ error: "PDF not found" });
+		}
+
+		if (rejectIfProcessing(res, pdfInfo)) {
+			return;
+		}
+
+		if (pageNumber < 1 || pageNumber > pdfInfo.pages) {
+			return res.status(404).json({ error: `Page ${pageNumber} not found. This PDF has ${pdfInfo.pages} page(s).` });
+		}
+
+		const pageText = (pdfInfo.pageTexts || []).find((entry) => entry.page === pageNumber);
+
+		res.json(pageText ? pageText.text : "");
+	} catch (error) {
+		res.status(500).json({ error: "Failed to get page content" });
+	}
+});
+
+// Validate the options of the page image endpoints. `bbox` is "x,y,width,height" in points from the top left corner of the page.
+const parsePageImageParams = ({ format = "png", width, dpi, bbox }, { maxWidth = PAGE_IMAGE_MAX_WIDTH } = {}) => {
+	if (!Object.hasOwn(PAGE_IMAGE_FORMATS, format)) {
+		return { error: `format must be one of: ${Object.keys(PAGE_IMAGE_FORMATS).join(", ")}` };
+	}
+	if (width !== undefined && dpi !== undefined) {
+		return { error: "Give either width or dpi, not both" };
+	}
+
+	const widthNumber = width === undefined ? undefined : Number(width);
+	if (width !== undefined && (!Number.isInteger(widthNumber) || widthNumber < 1 || widthNumber > maxWidth)) {
+		return { error: `width must be an integer between 1 and ${maxWidth}` };
+	}
+
+	const dpiNumber = dpi === undefined ? PAGE_IMAGE_DEFAULT_DPI : Number(dpi);
+	if (!Number.isFinite(dpiNumber) || dpiNumber < 1 || dpiNumber > PAGE_IMAGE_MAX_DPI) {
+		return { error: `dpi must be a number between 1 and ${PAGE_IMAGE_MAX_DPI}` };
+	}
+
+	let region;
+	if (bbox !== undefined) {
+		const values = String(bbox).split(",").map(Number);
+		if (values.length !== 4 || !values.every(Number.isFinite) || values[2] <= 0 || values[3] <= 0) {
+			return { error: "bbox must be x,y,width,height in points, with a positive width and height" };
+		}
+		const [x, y, regionWidth, regionHeight] = values;
+		region = { x, y, width: regionWidth, height: regionHeight };
+	}
+
+	return { params: { format, width: widthNumber, dpi: widthNumber ? undefined : dpiNumber, bbox: region } };
+};
+
+// Respond with an image of a page, from the cache or freshly rendered. The ETag is derived from the
+// file and the rendering options, so clients revalidate with If-None-Match instead of downloading again.
+const sendPageImage = async (req, res, pdfInfo, pageNumber, { format, width, dpi, bbox }) => {
+	const key = crypto
+		.createHash("sha256")
+		.update(JSON.stringify([pdfInfo.contentHash || pdfInfo.filePath, pageNumber, format, width, dpi, bbox]))
+		.digest("hex");
+
+	res.setHeader("ETag", `"${key}"`);
+	if (req.fresh) {
+		return res.status(304).end();
+	}
+
+	try {
+		const { image, cached } = await pageImageCache.get(pdfInfo.id, `${key}.${format}`, async () =>
+			renderPdfPage(await fs.readFile(pdfInfo.filePath), pageNumber, {
+				password: getPdfPassword(pdfInfo),
+				width: width,
+				dpi: dpi,
+				format: PAGE_IMAGE_FORMATS[format],
+				quality: PAGE_IMAGE_WEBP_QUALITY,
+				bbox: bbox,
+				maxPixels: PAGE_IMAGE_MAX_PIXELS,
+			}),
+		);
+
+		res.setHeader("Content-Type", PAGE_IMAGE_FORMATS[format]);
+		res.setHeader("Cache-Control", "private, no-cache");
+		res.setHeader("X-Cache", cached ? "HIT" : "MISS");
+		res.send(image);
+	} catch (error) {
+		res.removeHeader("ETag");
+		const status = { PAGE_NOT_FOUND: 404, EMPTY_REGION: 400, TOO_LARGE: 400 }[error.code];
+		if (!status) {
+			throw error;
+		}
+		res.status(status).json({ error: error.message, code: error.code });
+	}
+};
+
+/**
+ * @swagger
+ * /api/pdf/{id}/page/{pageNumber}/image:
+ *   get:
+ *     summary: Render a page as an image
+ *     description: Render a page of a PDF to PNG or WebP, `width` pixels wide or at `dpi` (96 by default). With `bbox` only that region of the page is rendered, for example to show the passage of a citation or a table by its `bbox`. Pages can be rendered while the PDF is still processing. Rendered images are cached on the server; responses carry an `ETag`, and revalidating with `If-None-Match` answers 304 when the image is unchanged.
+ *     tags: [PDF Management]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: PDF ID
+ *       - in: path
+ *         name: pageNumber
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         description: Page number (1-based)
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [png, webp]
+ *           default: png
+ *       - in: query
+ *         name: width
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 4000
+ *         description: Width of the image in pixels (of the region with `bbox`); the height follows the aspect ratio. Cannot be combined with `dpi`.
+ *       - in: query
+ *         name: dpi
+ *         schema:
+ *           type: number
+ *           minimum: 1
+ *           maximum: 600
+ *           default: 96
+ *         description: Resolution to render at when no `width` is given
+ *       - in: query
+ *         name: bbox
+ *         schema:
+ *           type: string
+ *         example: 72,144,300,120
+ *         description: Region to crop to, as x,y,width,height in points from the top left corner of the page
+ *       - in: query
+ *         name: version
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         description: Revision of the PDF (see `/api/pdf/{id}/revisions`), the current one by default
+ *     responses:
+ *       200:
+ *         description: Page image
+ *         headers:
+ *           ETag:
+ *             schema:
+ *               type: string
+ *           X-Cache:
+ *             schema:
+ *               type: string
+ *               enum: [HIT, MISS]
+ *             description: Whether the image came from the server-side cache
+ *         content:
+ *           image/png:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *           image/webp:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       304:
+ *         description: The image matches the `If-None-Match` ETag
+ *       400:
+ *         description: Invalid page number, format, size, bbox or version, a region outside the page (`code` EMPTY_REGION) or an image over the pixel limit (`code` TOO_LARGE)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: PDF, version or page not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Failed to render the page
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+app.get("/api/pdf/:id/page/:pageNumber/image", async (req, res) => {
+	try {
+		const pageNumber = Number(req.params.pageNumber);
+
+		if (!Number.isInteger(pageNumber)) {
+			return res.status(400).json({ error: "Invalid page number" });
+		}
+
+		const pdf = getUserPdf(req.user, req.params.id);
+		if (!pdf) {
+			return res.status(404).json({ error: "PDF not found" });
+		}
+
+		const { pdfInfo, status, error } = resolvePdfVersion(pdf, req.query.version);
+		if (error) {
+			return res.status(status).json({ error });
+		}
+
+		const { params, error: paramsError } = parsePageImageParams(req.query);
+		if (paramsError) {
+			return res.status(400).json({ error: paramsError });
+		}
+
+		if (pageNumber < 1 || pageNumber > pdfInfo.pages) {
+			return res.status(404).json({ error: `Page ${pageNumber} not found. This PDF has ${pdfInfo.pages} page(s).` });
+		}
+
+		await sendPageImage(req, res, pdfInfo, pageNumber, params);
+	} catch (error) {
+		console.error("Error rendering page:", error);
+		res.status(500).json({ error: "Failed to render page" });
+	}
+});
+
+/**
+ * @swagger
+ * /api/pdf/{id}/thumbnail:
+ *   get:
+ *     summary: Get a thumbnail of a PDF
+ *     description: The first page of a PDF as a small image, cached and revalidated like `/api/pdf/{id}/page/{pageNumber}/image`. Available as soon as the PDF is uploaded.
+ *     tags: [PDF Management]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: PDF ID
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [png, webp]
+ *           default: png
+ *       - in: query
+ *         name: width
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 800
+ *           default: 200
+ *         description: Width of the thumbnail in pixels
+ *       - in: query
+ *         name: version
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         description: Revision of the PDF (see `/api/pdf/{id}/revisions`), the current one by default
+ *     responses:
+ *       200:
+ *         description: Thumbnail image
+ *         content:
+ *           image/png:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *           image/webp:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       304:
+ *         description: The thumbnail matches the `If-None-Match` ETag
+ *       400:
+ *         description: Invalid format, width or version
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: PDF or version not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Failed to render the thumbnail
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+app.get("/api/pdf/:id/thumbnail", async (req, res) => {
+	try {
+		const pdf = getUserPdf(req.user, req.params.id);
+		if (!pdf) {
+			return res.status(404).json({ error: "PDF not found" });
+		}
+
+		const { pdfInfo, status, error } = resolvePdfVersion(pdf, req.query.version);
+		if (error) {
+			return res.status(status).json({ error });
+		}
+
+		const { params, error: paramsError } = parsePageImageParams(
+			{ format: req.query.format, width: req.query.width === undefined ? THUMBNAIL_WIDTH : req.query.width },
+			{ maxWidth: THUMBNAIL_MAX_WIDTH },
+		);
+		if (paramsError) {
+			return res.status(400).json({ error: paramsError });
+		}
+
+		await sendPageImage(req, res, pdfInfo, 1, params);
+	} catch (error) {
+		console.error("Error rendering thumbnail:", error);
+		res.status(500).json({ error: "Failed to render thumbnail" });
+	}
+});
+
+// Outline of a PDF, read from the file for records stored before outlines were extracted
+const getOutline = async (pdfInfo) => {
+	if (!Array.isArray(pdfInfo.outline)) {
+		pdfInfo.outline = await extractOutline(await fs.readFile(pdfInfo.filePath), { password: getPdfPassword(pdfInfo) }).catch((error) => {
+			console.warn("Failed to read PDF outline:", error.message);
+			return [];
+		});
+		savePdf(pdfInfo);
+	}
+	return pdfInfo.outline;
+};
+
+// Tables of a PDF, detected from the file for records stored before tables were extracted
+const getTables = async (pdfInfo) => {
+	if (!Array.isArray(pdfInfo.tables)) {
+		pdfInfo.tables = await extractTables(await fs.readFile(pdfInfo.filePath), { password: getPdfPassword(pdfInfo) }).catch((error) => {
+			console.warn("Failed to detect PDF tables:", error.message);
+			return [];
+		});
+		savePdf(pdfInfo);
+	}
+	return pdfInfo.tables;
+};
+
+/**
+ * @swagger
+ * /api/pdf/{id}/tables:
+ *   get:
+ *     summary: List the tables of a PDF
+ *     description: List the tables detected in the PDF from the positions of its text. Tables are only found on pages with a text layer, not on scanned pages.
+ *     tags: [PDF Management]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: PDF ID
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *         description: Only list the tables of this page
+ *     responses:
+ *       200:
+ *         description: Tables listed successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 pdfId:
+ *                   type: string
+ *                 tables:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/TableSummary'
+ *       400:
+ *         description: Invalid page number
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: PDF not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: PDF is still processing
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+app.get("/api/pdf/:id/tables", async (req, res) => {
+	try {
+		const page = req.query.page === undefined ? null : Number(req.query.page);
+		if (page !== null && !Number.isInteger(page)) {
+			return res.status(400).json({ error: "Invalid page number" });
+		}
+
+		const pdfInfo = getUserPdf(req.user, req.params.id);
+		if (!pdfInfo) {
+			return res.status(404).json({ error: "PDF not found" });
+		}
+
+		if (rejectIfProcessing(res, pdfInfo)) {
+			return;
+		}
+
+		const tables = (await getTables(pdfInfo))
+			.filter((table) => page === null || table.page === page)
+			.map((table) => ({
+				id: table.id,
+				page: table.page,
+				bbox: table.bbox,
+				rowCount: table.rows.length,
+				columnCount: table.rows[0].length,
+				header: table.rows[0],
+			}));
+
+		res.json({ pdfId: pdfInfo.id, tables });
+	} catch (error) {
+		console.error("Error listing PDF tables:", error);
+		res.status(500).json({ error: "Failed to list PDF tables" });
+	}
+});
+
+/**
+ * @swagger
+ * /api/pdf/{id}/tables/{tableId}:
+ *   get:
+ *     summary: Download a table
+ *     description: Download a table of a PDF as JSON or as CSV. The first row is the header as it appears in the document. In CSV, cells a spreadsheet would run as a formula (starting with `=`, `+`, `-` or `@`) are prefixed with `'`.
+ *     tags: [PDF Management]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: PDF ID
+ *       - in: path
+ *         name: tableId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Table ID from the table listing, e.g. p3-t0
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [json, csv]
+ *           default: json
+ *     responses:
+ *       200:
+ *         description: Table returned successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Table'
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *       400:
+ *         description: Unsupported format
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: PDF or table not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: PDF is still processing
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+app.get("/api/pdf/:id/tables/:tableId", async (req, res) => {
+	try {
+		const format = req.query.format || "json";
+		if (format !== "json" && format !== "csv") {
+			return res.status(400).json({ error: 'format must be "json" or "csv"' });
+		}
+
+		const pdfInfo = getUserPdf(req.user, req.params.id);
+		if (!pdfInfo) {
+			return res.status(404).json({ error: "PDF not found" });
+		}
+
+		if (rejectIfProcessing(res, pdfInfo)) {
+			return;
+		}
+
+		const table = (await getTables(pdfInfo)).find((candidate) => candidate.id === req.params.tableId);
+		if (!table) {
+			return res.status(404).json({ error: "Table not found" });
+		}
+
+		if (format === "csv") {
+			res.setHeader("Content-Type", "text/csv; charset=utf-8");
+			res.setHeader("Content-Disposition", contentDisposition("attachment", `${path.parse(pdfInfo.filename).name}-${table.id}.csv`));
+			return res.send(tableToCsv(table.rows));
+		}
+
+		res.json({ pdfId: pdfInfo.id, ...table });
+	} catch (error) {
+		console.error("Error getting PDF table:", error);
+		res.status(500).json({ error: "Failed to get PDF table" });
+	}
+});
+
+/**
+ * @swagger
+ * /api/pdf/{id}/outline:
+ *   get:
+ *     summary: Get the table of contents of a PDF
+ *     description: Return the outline (bookmarks) embedded in the PDF as a tree of titles and page numbers. PDFs without bookmarks return an empty list.
+ *     tags: [PDF Management]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: PDF ID
+ *     responses:
+ *       200:
+ *         description: Outline returned successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 pdfId:
+ *                   type: string
+ *                 outline:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/OutlineEntry'
+ *       404:
+ *         description: PDF not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: PDF is still processing
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+app.get("/api/pdf/:id/outline", async (req, res) => {
+	try {
+		const pdfInfo = getUserPdf(req.user, req.params.id);
+		if (!pdfInfo) {
+			return res.status(404).json({ error: "PDF not found" });
+		}
+
+		if (rejectIfProcessing(res, pdfInfo)) {
+			return;
+		}
+
+		res.json({ pdfId: pdfInfo.id, outline: await getOutline(pdfInfo) });
+	} catch (error) {
+		console.error("Error reading PDF outline:", error);
+		res.status(500).json({ error: "Failed to get PDF outline" });
+	}
+});
+
+// Validate the note and color of an annotation. Fields left out stay undefined.
+const parseAnnotationFields = ({ note, color }) => {
+	if (note !== undefined && (typeof note !== "string" || note.length > MAX_ANNOTATION_NOTE_LENGTH)) {
+		return { error: `note must be a string of at most ${MAX_ANNOTATION_NOTE_LENGTH} characters` };
+	}
+	if (color !== undefined && (typeof color !== "string" || !/^#[0-9a-f]{6}$/i.test(color))) {
+		return { error: 'color must be a hex color such as "#ffeb3b"' };
+	}
+
+	return { params: { note, color: color && color.toLowerCase() } };
+};
+
+// Validate a new annotation on the current revision of a PDF. Returns `{ params }` or `{ error }`.
+const parseAnnotationRequest = (pdfInfo, body) => {
+	const { type, page, start, end, quads } = body;
+
+	if (!ANNOTATION_TYPES.includes(type)) {
+		return { error: `type must be one of: ${ANNOTATION_TYPES.join(", ")}` };
+	}
+	if (!Number.isInteger(page) || page < 1 || page > pdfInfo.pages) {
+		return { error: `page must be an integer between 1 and ${pdfInfo.pages}` };
+	}
+
+	const hasOffsets = start !== undefined || end !== undefined;
+	if (type === "bookmark" && (hasOffsets || quads !== undefined)) {
+		return { error: "Bookmarks are anchored to a page; leave out start, end and quads" };
+	}
+
+	let text;
+	if (hasOffsets) {
+		const pageText = (pdfInfo.pageTexts || []).find((entry) => entry.page === page);
+		const length = pageText ? pageText.text.length : 0;
+		if (!Number.isInteger(start) || !Number.isInteger(end) || start < 0 || start >= end || end > length) {
+			return { error: `start and end must be integers with 0 <= start < end <= ${length}, the length of the text of page ${page}` };
+		}
+		text = pageText.text.slice(start, end);
+	}
+
+	if (
+		quads !== undefined &&
+		(!Array.isArray(quads) ||
+			quads.length === 0 ||
+			quads.length > MAX_ANNOTATION_QUADS ||
+			!quads.every((quad) => Array.isArray(quad) && quad.length === 8 && quad.every((value) => typeof value === "number" && Number.isFinite(value))))
+	) {
+		return { error: `quads must be a list of 1 to ${MAX_ANNOTATION_QUADS} arrays of 8 numbers` };
+	}
+
+	if (type === "highlight" && !hasOffsets && quads === undefined) {
+		return { error: "Highlights need start and end offsets or quads" };
+	}
+
+	const { params, error } = parseAnnotationFields(body);
+	if (error) {
+		return { error };
+	}
+	if (type === "comment" && !(params.note || "").trim()) {
+		return { error: "Comments need a note" };
+	}
+
+	return { params: { type, page, start, end, quads, text, note: params.note || "", color: params.color || DEFAULT_ANNOTATION_COLOR } };
+};
+
+/**
+ * @swagger
+ * /api/pdf/{id}/annotations:
+ *   get:
+ *     summary: List the annotations of a PDF
+ *     description: Highlights, comments and bookmarks of a revision of the PDF, in reading order. Annotations stay with the revision they were made on, so a new upload starts without any; earlier ones are listed with `version`.
+ *     tags: [Annotations]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: PDF ID
+ *       - in: query
+ *         name: version
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         description: Revision of the PDF (see `/api/pdf/{id}/revisions`), the current one by default
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           enum: [highlight, comment, bookmark]
+ *         description: Only list annotations of this type
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         description: Only list annotations on this page
+ *     responses:
+ *       200:
+ *         description: Annotations returned successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/AnnotationList'
+ *       400:
+ *         description: Invalid version, type or page
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: PDF or version not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *   post:
+ *     summary: Annotate a PDF
+ *     description: Add a highlight, comment or bookmark to the current revision of a PDF.
+ *     tags: [Annotations]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: PDF ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/AnnotationRequest'
+ *     responses:
+ *       201:
+ *         description: Annotation created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Annotation'
+ *       400:
+ *         description: Invalid anchor, note or color, or too many annotations
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: PDF not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: PDF is still processing
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+app.get("/api/pdf/:id/annotations", (req, res) => {
+	try {
+		const pdf = getUserPdf(req.user, req.params.id);
+
+		if (!pdf) {
+			return res.status(404).json({ error: "PDF not found" });
+		}
+
+		const { pdfInfo, status, error } = resolvePdfVersion(pdf, req.query.version);
+		if (error) {
+			return res.status(status).json({ error });
+		}
+
+		const { type } = req.query;
+		if (type !== undefined && !ANNOTATION_TYPES.includes(type)) {
+			return res.status(400).json({ error: `type must be one of: ${ANNOTATION_TYPES.join(", ")}` });
+		}
+		const page = req.query.page === undefined ? undefined : Number(req.query.page);
+		if (page !== undefined && (!Number.isInteger(page) || page < 1)) {
+			return res.status(400).json({ error: "page must be a positive integer" });
+		}
+
+		const annotations = listAnnotations(pdfInfo).filter(
+			(annotation) => (type === undefined || annotation.type === type) && (page === undefined || annotation.page === page),
+		);
+
+		res.json({
+			pdfId: pdfInfo.id,
+			version: currentVersion(pdfInfo),
+			annotations: annotations.map(summarizeAnnotation),
+		});
+	} catch (error) {
+		console.error("Error listing annotations:", error);
+		res.status(500).json({ error: "Failed to list annotations" });
+	}
+});
+
+app.post("/api/pdf/:id/annotations", async (req, res) => {
+	try {
+		const pdfInfo = getUserPdf(req.user, req.params.id);
+
+		if (!pdfInfo) {
+			return res.status(404).json({ error: "PDF not found" });
+		}
+
+		if (rejectIfProcessing(res, pdfInfo)) {
+			return;
+		}
+
+		const { params, error } = parseAnnotationRequest(pdfInfo, req.body || {});
+		if (error) {
+			return res.status(400).json({ error });
+		}
+
+		if (listAnnotations(pdfInfo).length >= MAX_ANNOTATIONS) {
+			return res.status(400).json({ error: `A PDF can have at most ${MAX_ANNOTATIONS} annotations` });
+		}
+
+		// Find where a passage given by offsets is drawn, so it can be highlighted in exported PDFs
+		let quads = params.quads;
+		if (quads === undefined && params.text !== undefined) {
+			quads = await locateTextRange(await fs.readFile(pdfInfo.filePath), params.page, params.start, params.end, { password: getPdfPassword(pdfInfo) }).catch((locateError) => {
+				console.warn(`Failed to locate annotated text on page ${params.page} of ${pdfInfo.id}:`, locateError.message);
+				return [];
+			});
+		}
+
+		const now = new Date().toISOString();
+		const annotation = {
+			id: uuidv4(),
+			pdfId: pdfInfo.id,
+			ownerId: req.user.id,
+			version: currentVersion(pdfInfo),
+			type: params.type,
+			page: params.page,
+			start: params.start,
+			end: params.end,
+			quads: quads || [],
+			text: params.text,
+			note: params.note,
+			color: params.color,
+			createdAt: now,
+			updatedAt: now,
+		};
+		annotationStore.set(annotation.id, annotation);
+
+		res.status(201).json(summarizeAnnotation(annotation));
+	} catch (error) {
+		console.error("Error creating annotation:", error);
+		res.status(500).json({ error: "Failed to create annotation" });
+	}
+});
+
+// Look up an annotation of a PDF of the user. Returns `{ annotation }` or `{ error }`.
+const getUserAnnotation = (user, pdfId, annotationId) => {
+	if (!getUserPdf(user, pdfId)) {
+		return { error: "PDF not found" };
+	}
+
+	const annotation = annotationStore.get(annotationId);
+	return annotation && annotation.pdfId === pdfId ? { annotation } : { error: "Annotation not found" };
+};
+
+/**
+ * @swagger
+ * /api/pdf/{id}/annotations/{annotationId}:
+ *   parameters:
+ *     - in: path
+ *       name: id
+ *       required: true
+ *       schema:
+ *         type: string
+ *       description: PDF ID
+ *     - in: path
+ *       name: annotationId
+ *       required: true
+ *       schema:
+ *         type: string
+ *       description: Annotation ID
+ *   get:
+ *     summary: Get an annotation
+ *     tags: [Annotations]
+ *     responses:
+ *       200:
+ *         description: Annotation returned successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Annotation'
+ *       404:
+ *         description: PDF or annotation not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *   patch:
+ *     summary: Update an annotation
+ *     description: Change the note or color of an annotation. Its type and anchor cannot change; delete it and annotate again instead.
+ *     tags: [Annotations]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               note:
+ *                 type: string
+ *               color:
+ *                 type: string
+ *                 pattern: "^#[0-9a-fA-F]{6}$"
+ *     responses:
+ *       200:
+ *         description: Annotation updated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Annotation'
+ *       400:
+ *         description: Invalid note or color
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: PDF or annotation not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *   delete:
+ *     summary: Delete an annotation
+ *     tags: [Annotations]
+ *     responses:
+ *       204:
+ *         description: Annotation deleted
+ *       404:
+ *         description: PDF or annotation not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+app.get("/api/pdf/:id/annotations/:annotationId", (req, res) => {
+	try {
+		const { annotation, error } = getUserAnnotation(req.user, req.params.id, req.params.annotationId);
+		if (error) {
+			return res.status(404).json({ error });
+		}
+
+		res.json(summarizeAnnotation(annotation));
+	} catch (error) {
+		console.error("Error getting annotation:", error);
+		res.status(500).json({ error: "Failed to get annotation" });
+	}
+});
+
+app.patch("/api/pdf/:id/annotations/:annotationId", (req, res) => {
+	try {
+		const { annotation, error: lookupError } = getUserAnnotation(req.user, req.params.id, req.params.annotationId);
+		if (lookupError) {
+			return res.status(404).json({ error: lookupError });
+		}
+
+		const { params, error } = parseAnnotationFields(req.body || {});
+		if (error) {
+			return res.status(400).json({ error });
+		}
+		if (annotation.type === "comment" && params.note !== undefined && !params.note.trim()) {
+			return res.status(400).json({ error: "Comments need a note" });
+		}
+
+		if (params.note !== undefined) {
+			annotation.note = params.note;
+		}
+		if (params.color !== undefined) {
+			annotation.color = params.color;
+		}
+		annotation.updatedAt = new Date().toISOString();
+		annotationStore.set(annotation.id, annotation);
+
+		res.json(summarizeAnnotation(annotation));
+	} catch (error) {
+		console.error("Error updating annotation:", error);
+		res.status(500).json({ error: "Failed to update annotation" });
+	}
+});
+
+app.delete("/api/pdf/:id/annotations/:annotationId", (req, res) => {
+	try {
+		const { annotation, error } = getUserAnnotation(req.user, req.params.id, req.params.annotationId);
+		if (error) {
+			return res.status(404).json({ error });
+		}
+
+		annotationStore.delete(annotation.id);
+		res.status(204).end();
+	} catch (error) {
+		console.error("Error deleting annotation:", error);
+		res.status(500).json({ error: "Failed to delete annotation" });
+	}
+});
+
+/**
+ * @swagger
+ * /api/pdf/{id}/export:
+ *   get:
+ *     summary: Export a PDF with its annotations
+ *     description: Download a copy of the PDF with its annotations written in as standard PDF annotations, so any viewer shows them. Highlights become highlight annotations, comments become notes and bookmarks are added to the end of the document outline. Password-protected PDFs cannot be exported.
+ *     tags: [Annotations]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: PDF ID
+ *       - in: query
+ *         name: version
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         description: Revision of the PDF to export with its annotations, the current one by default
+ *     responses:
+ *       200:
+ *         description: Annotated PDF returned successfully
+ *         content:
+ *           application/pdf:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       400:
+ *         description: Invalid version
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: PDF or version not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: PDF is still processing
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       422:
+ *         description: The PDF is encrypted
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Export failed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+app.get("/api/pdf/:id/export", async (req, res) => {
+	try {
+		const pdf = getUserPdf(req.user, req.params.id);
+
+		if (!pdf) {
+			return res.status(404).json({ error: "PDF not found" });
+		}
+
+		const { pdfInfo, status, error } = resolvePdfVersion(pdf, req.query.version);
+		if (error) {
+			return res.status(status).json({ error });
+		}
+
+		if (rejectIfProcessing(res, pdfInfo)) {
+			return;
+		}
+
+		if (pdfInfo.sealedPassword) {
+			return res.status(422).json({ error: "Password-protected PDFs cannot be exported with annotations", code: "ENCRYPTED" });
+		}
+
+		let exported;
+		try {
+			exported = await exportAnnotatedPdf(await fs.readFile(pdfInfo.filePath), listAnnotations(pdfInfo));
+		} catch (exportError) {
+			// PDFs encrypted with an empty password open without one but cannot be rewritten
+			if (exportError.name === "EncryptedPDFError") {
+				return res.status(422).json({ error: "Encrypted PDFs cannot be exported with annotations", code: "ENCRYPTED" });
+			}
+			throw exportError;
+		}
+
+		res.setHeader("Content-Type", "application/pdf");
+		res.setHeader("Content-Disposition", contentDisposition("attachment", `${path.parse(pdfInfo.filename).name}-annotated.pdf`));
+		res.send(exported);
+	} catch (error) {
+		console.error("Error exporting annotated PDF:", error);
+		res.status(500).json({ error: "Failed to export annotated PDF" });
+	}
+});
+
+/**
+ * @swagger
+ * /api/pdf/{id}/summary:
+ *   post:
+ *     summary: Summarize a PDF
+ *     description: |
+ *       Summarize the whole document. Every part of the text is summarized separately and the partial summaries are
+ *       combined, first per section (following the PDF's bookmarks, or groups of pages), then into one summary of the
+ *       requested length and style. Summaries keep page references.
+ *       The result is stored with the document, so asking again with the same options returns it without calling the model.
+ *     tags: [AI Chat]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: PDF ID
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/SummaryRequest'
+ *     responses:
+ *       200:
+ *         description: Summary returned successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SummaryResponse'
+ *       400:
+ *         description: Invalid length, style or model options
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: PDF not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: PDF is still processing
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       422:
+ *         description: The PDF has no text to summarize
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       429:
+ *         description: Rate limit or token quota exceeded; retry after `Retry-After` seconds
+ *         headers:
+ *           Retry-After:
+ *             schema:
+ *               type: integer
+ *             description: Seconds until the request can be retried
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Summarization failed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+app.post("/api/pdf/:id/summary", chatRateLimit, enforceTokenQuota, async (req, res) => {
+	try {
+		const { length = "medium", style = "paragraph", refresh = false } = req.body || {};
+
+		const pdfInfo = getUserPdf(req.user, req.params.id);
+		if (!pdfInfo) {
+			return res.status(404).json({ error: "PDF not found" });
+		}
+
+		if (!Object.hasOwn(SUMMARY_LENGTHS, length)) {
+			return res.status(400).json({ error: `length must be one of: ${Object.keys(SUMMARY_LENGTHS).join(", ")}` });
+		}
+		if (!Object.hasOwn(SUMMARY_STYLES, style)) {
+			return res.status(400).json({ error: `style must be one of: ${Object.keys(SUMMARY_STYLES).join(", ")}` });
+		}
+
+		const { options, error: optionsError } = parseChatOptions(req.body || {});
+		if (optionsError) {
+			return res.status(400).json({ error: optionsError });
+		}
+
+		if (rejectIfProcessing(res, pdfInfo)) {
+			return;
+		}
+
+		if (pdfInfo.extractionStatus !== "success") {
+			return res.status(422).json({ error: "PDF has no extractable text to summarize" });
+		}
+
+		const outline = await getOutline(pdfInfo);
+		const cacheKey = JSON.stringify([length, style, options.model, options.temperature, options.maxTokens]);
+		const cached = !refresh && pdfInfo.summaries && pdfInfo.summaries[cacheKey];
+
+		if (cached) {
+			return res.json({ pdfId: pdfInfo.id, ...cached, outline: outline, cached: true });
+		}
+
+		// Revision being summarized; the record itself stays the same object when a new revision is uploaded
+		const version = currentVersion(pdfInfo);
+		const contentHash = pdfInfo.contentHash;
+
+		const { summary, sections, tokenUsage } = await summarizeDocument({
+			llm,
+			options,
+			pageTexts: pdfInfo.pageTexts,
+			outline: outline,
+			title: `"${pdfInfo.displayName || pdfInfo.filename}"`,
+			length,
+			style,
+			chunkTokens: SUMMARY_CHUNK_TOKENS,
+			// Stop asking the model for more partial summaries once the client is gone
+			signal: abortOnClose(res),
+		});
+		usageTracker.record(req.user.id, tokenUsage, [pdfInfo.id]);
+
+		const result = {
+			summary: summary,
+			sections: sections,
+			length: length,
+			style: style,
+			model: options.model,
+			tokenUsage: tokenUsage,
+			createdAt: new Date().toISOString(),
+		};
+
+		// The PDF may have been deleted, replaced by a new revision or re-processed while the summary was generated
+		const current = pdfStore.get(pdfInfo.id);
+		if (current && currentVersion(current) === version && current.contentHash === contentHash && current.status === "ready") {
+			current.summaries = { ...current.summaries, [cacheKey]: result };
+			pdfStore.set(current.id, current);
+		}
+
+		res.json({ pdfId: pdfInfo.id, ...result, outline: outline, cached: false });
+	} catch (error) {
+		if (res.headersSent || res.destroyed) {
+			return;
+		}
+		console.error("Summary error:", error);
+		res.status(500).json({ error: "Failed to summarize PDF" });
+	}
+});
+
+// Collect the PDFs a request refers to from `pdfIds` and the single `pdfId` field.
+// Returns `{ pdfIds }`, or `{ status, error }` when the request is invalid or names a PDF the
+// user does not own. With `requireReady`, PDFs that are still being processed are rejected with a 409.
+const getRequestedPdfIds = (user, { pdfId, pdfIds } = {}, { requireReady = true } = {}) => {
+	if (pdfIds !== undefined && (!Array.isArray(pdfIds) || !pdfIds.every((id) => typeof id === "string"))) {
+		return { status: 400, error: "pdfIds must be an array of PDF IDs" };
+	}
+	if (pdfId !== undefined && typeof pdfId !== "string") {
+		return { status: 400, error: "pdfId must be a PDF ID" };
+	}
+
+	const ids = [...new Set([...(pdfIds || []), ...(pdfId ? [pdfId] : [])])];
+
+	const missingPdfId = ids.find((id) => !getUserPdf(user, id));
+	if (missingPdfId) {
+		return { status: 404, error: `PDF not found: ${missingPdfId}` };
+	}
+
+	const processingPdfId = requireReady && ids.find((id) => pdfStore.get(id).status === "processing");
+	if (processingPdfId) {
+		return { status: 409, error: `PDF is still processing: ${processingPdfId}` };
+	}
+
+	return { pdfIds: ids };
+};
+
+// Collect the PDFs of a chat request, at the revision given by `version` when the request is about a
+// single PDF. Returns `{ pdfIds, pdfInfos }` or `{ status, error }` like getRequestedPdfIds().
+const getChatPdfs = (user, body = {}) => {
+	// An earlier revision can be asked about while the current one is processing
+	const { pdfIds, status, error } = getRequestedPdfIds(user, body, { requireReady: body.version === undefined });
+	if (error) {
+		return { status, error };
+	}
+
+	if (body.version === undefined) {
+		return { pdfIds, pdfInfos: pdfIds.map((id) => pdfStore.get(id)) };
+	}
+	if (pdfIds.length !== 1) {
+		return { status: 400, error: "version can only be used with a single PDF" };
+	}
+
+	const { pdfInfo, status: versionStatus, error: versionError } = resolvePdfVersion(pdfStore.get(pdfIds[0]), body.version);
+	if (versionError) {
+		return { status: versionStatus, error: versionError };
+	}
+	if (pdfInfo.status === "processing") {
+		return { status: 409, error: `PDF is still processing: ${pdfInfo.id}` };
+	}
+
+	return { pdfIds, pdfInfos: [pdfInfo] };
+};
+
+// Tables on the pages of the sources, as Markdown, so the model sees rows and columns rather than
+// the flattened text of the passages. Each table is cited through the best source from its page.
+const formatSourceTables = async (pdfInfos, sources) => {
+	const blocks = [];
+	const seen = new Set();
+
+	for (const source of sources) {
+		const pdfInfo = pdfInfos.find((candidate) => candidate.id === source.pdfId);
+
+		for (const table of await getTables(pdfInfo)) {
+			const key = `${pdfInfo.id}/${table.id}`;
+			if (table.page !== source.page || seen.has(key) || blocks.length >= CHAT_MAX_TABLES) {
+				continue;
+			}
+			seen.add(key);
+			blocks.push(`Table on page ${table.page} of ${source.filename} (cite as [${source.id}]):\n${tableToMarkdown(table.rows)}`);
+		}
+	}
+
+	return blocks.join("\n\n");
+};
+
+// Build the messages sent to the model for a question, optionally grounded in PDFs.
+// `pdfInfos` overrides the current revisions of the PDFs in `pdfIds` (see getChatPdfs()), `annotatedOnly`
+// limits the context to annotated passages, `history` holds prior conversation turns and `retrievalQuery`
+// overrides the text used to find context.
+// Returns the messages and the numbered sources the answer can cite (see lib/citations.js).
+const buildChatRequest = async ({
+	message,
+	pdfIds = [],
+	pdfInfos = pdfIds.map((id) => pdfStore.get(id)).filter(Boolean),
+	annotatedOnly = false,
+	history = [],
+	retrievalQuery = message,
+}) => {
+	let sources = [];
+	let tables = "";
+	let extractionFailed = false;
+
+	// If PDFs are provided, get context from them
+	if (pdfInfos.length > 0) {
+		// Only PDFs whose text extraction was successful can provide context
+		const searchablePdfs = pdfInfos.filter((pdfInfo) => pdfInfo.extractionStatus === "success");
+
+		if (searchablePdfs.length > 0) {
+			// Retrieve the passages most similar to the question
+			const chunks = annotatedOnly ? await retrieveAnnotatedPassages(searchablePdfs, retrievalQuery) : await retrieveChunks(searchablePdfs, retrievalQuery);
+			sources = numberSources(chunks);
+			tables = await formatSourceTables(searchablePdfs, sources);
+		} else {
+			// Text extraction failed for every PDF, the model has to tell the user
+			extractionFailed = true;
+		}
+	}
+
+	// Prepare prompt for AI
+	let prompt = `You are a helpful AI assistant. `;
+
+	if (extractionFailed) {
+		prompt += `The user is asking about a PDF document, but text extraction failed for this PDF. This might be because the PDF is password-protected, corrupted, or contains only images that could not be recognized. Please inform them that you cannot answer questions about the content of this specific PDF, but they can still view the document. User question: ${message}`;
+	} else if (sources.length > 0) {
+		prompt += `Based on the following numbered sources from PDF documents, please answer the user's question. ${annotatedOnly ? "The sources are the passages the user highlighted, commented on or bookmarked. " : ""} Cite the sources you use by their number in square brackets, like [1] or [2, 3], right after the statement they support. When you quote a source, copy its words exactly inside double quotes and put the citation right after the closing quote, like "exact words" [2]. If the information is not in the sources, say so.\n\nSources:\n${formatSources(sources)}\n\n${tables ? `Tables from the same pages:\n${tables}\n\n` : ""}User question: ${message}`;
+	} else {
+		prompt += `Please answer the following question: ${message}`;
+	}
+
+	return {
+		sources,
+		messages: [
+			{
+				role: "system",
+				content:
+					"You are a helpful AI assistant that answers questions about PDF documents. Provide concise, accurate answers and cite the numbered sources you are given when referencing content from the PDF. If text extraction failed for a PDF, inform the user that you cannot answer questions about that specific document's content.",
+			},
+			...history.map(({ role, content }) => ({ role, content })),
+			{
+				role: "user",
+				content: prompt,
+			},
+		],
+	};
+};
+
+/**
+ * @swagger
+ * /api/chat:
+ *   post:
+ *     summary: Chat with AI about PDF content
+ *     description: Send a message to the AI assistant. If one or more PDF IDs are provided (`pdfId` or `pdfIds`), the AI will use the most relevant passages from those PDFs as numbered sources and cite them as [n] in its answer. Answers come from the current revision of each PDF; with a single PDF, `version` selects an earlier revision (see `/api/pdf/{id}/revisions`). Answers are cached, so asking the same question about the same version of the same PDFs with the same model parameters returns the earlier answer with `cached` set until it expires (RESPONSE_CACHE_TTL_MS) or one of the PDFs is deleted or processed again. The markers are turned into `citations` carrying the document, page, character offsets and retrieval score of the cited text; quotes the AI puts before a marker are checked against the source, and citations that cannot be verified have `verified` set to false (or are left out with `dropUnverifiedCitations`).
+ *     tags: [AI Chat]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ChatRequest'
+ *     responses:
+ *       200:
+ *         description: AI response generated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ChatResponse'
+ *       400:
+ *         description: Message is missing, pdfId, pdfIds or version is invalid, or version is given for several PDFs
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: One of the PDFs or the requested version was not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: PDF is still processing
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       429:
+ *         description: Rate limit or token quota exceeded; retry after `Retry-After` seconds
+ *         headers:
+ *           Retry-After:
+ *             schema:
+ *               type: integer
+ *             description: Seconds until the request can be retried
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Failed to process chat request
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+app.post("/api/chat", chatRateLimit, enforceTokenQuota, async (req, res) => {
+	try {
+		const { message } = req.body;
+
+		if (!message) {
+			return res.status(400).json({ error: "Message is required" });
+		}
+		if (typeof message !== "string") {
+			return res.status(400).json({ error: "message must be a string" });
+		}
+
+		const { pdfIds, pdfInfos, status, error } = getChatPdfs(req.user, req.body);
+		if (error) {
+			return res.status(status).json({ error });
+		}
+
+		const { options, error: optionsError } = parseChatOptions(req.body);
+		if (optionsError) {
+			return res.status(400).json({ error: optionsError });
+		}
+
+		if (req.body.cache !== undefined && typeof req.body.cache !== "boolean") {
+			return res.status(400).json({ error: "cache must be a boolean" });
+		}
+
+		const annotatedOnlyError = checkAnnotatedOnly(req.body.annotatedOnly, pdfInfos);
+		if (annotatedOnlyError) {
+			return res.status(400).json({ error: annotatedOnlyError });
+		}
+		const annotatedOnly = req.body.annotatedOnly === true;
+
+		const cacheScope = getChatCacheScope(req.user, pdfInfos, options, req.body.cache, annotatedOnly);
+		const { hit, vector } = cacheScope ? await findCachedAnswer(cacheScope, message) : {};
+		if (hit) {
+			const cachedAnswer = formatCachedAnswer(hit, req.body.dropUnverifiedCitations === true);
+			emitChatCompleted(req.user, { pdfIds, question: message, ...cachedAnswer });
+			return res.json(cachedAnswer);
+		}
+
+		const { messages, sources } = await buildChatRequest({ message, pdfIds, pdfInfos, annotatedOnly });
+
+		// Call the configured chat model
+		const completion = await llm.complete({ ...options, messages });
+		usageTracker.record(req.user.id, completion.tokenUsage, pdfIds);
+
+		if (cacheScope) {
+			responseCache.set(cacheScope, message, { pdfIds, vector, response: { message: completion.content, sources, model: options.model } });
+		}
+
+		const answer = {
+			message: completion.content,
+			citations: groundCitations(completion.content, sources, { dropUnverified: req.body.dropUnverifiedCitations === true }),
+			sources: sources,
+			tokenUsage: completion.tokenUsage,
+			model: options.model,
+			cached: false,
+		};
+		emitChatCompleted(req.user, { pdfIds, question: message, ...answer });
+
+		res.json(answer);
+	} catch (error) {
+		console.error("Chat error:", error);
+		res.status(500).json({
+			error: "Failed to process chat request",
+			message: "Sorry, I encountered an error. Please try again.",
+		});
+	}
+});
+
+/**
+ * @swagger
+ * /api/chat/stream:
+ *   post:
+ *     summary: Chat with AI about PDF content, streaming the answer
+ *     description: |
+ *       Same as `/api/chat`, but the answer is streamed as Server-Sent Events while it is generated.
+ *       Each `delta` event carries `{ "content": "..." }` with the next piece of the answer. The stream finishes
+ *       with a `done` event carrying the full ChatResponse (message, citations and tokenUsage), or an `error` event.
+ *       Closing the connection cancels the request to the model.
+ *     tags: [AI Chat]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ChatRequest'
+ *     responses:
+ *       200:
+ *         description: Event stream of answer deltas followed by a final `done` event
+ *         content:
+ *           text/event-stream:
+ *             schema:
+ *               type: string
+ *       400:
+ *         description: Message is missing, pdfId, pdfIds or version is invalid, or version is given for several PDFs
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: One of the PDFs or the requested version was not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: PDF is still processing
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       429:
+ *         description: Rate limit or token quota exceeded; retry after `Retry-After` seconds
+ *         headers:
+ *           Retry-After:
+ *             schema:
+ *               type: integer
+ *             description: Seconds until the request can be retried
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Failed to process chat request before the stream started
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+app.post("/api/chat/stream", chatRateLimit, enforceTokenQuota, async (req, res) => {
+	const { message } = req.body;
+
+	if (!message) {
+		return res.status(400).json({ error: "Message is required" });
+	}
+	if (typeof message !== "string") {
+		return res.status(400).json({ error: "message must be a string" });
+	}
+
+	const { pdfIds, pdfInfos, status, error: requestError } = getChatPdfs(req.user, req.body);
+	if (requestError) {
+		return res.status(status).json({ error: requestError });
+	}
+
+	const { options, error: optionsError } = parseChatOptions(req.body);
+	if (optionsError) {
+		return res.status(400).json({ error: optionsError });
+	}
+
+	if (req.body.cache !== undefined && typeof req.body.cache !== "boolean") {
+		return res.status(400).json({ error: "cache must be a boolean" });
+	}
+
+	const annotatedOnlyError = checkAnnotatedOnly(req.body.annotatedOnly, pdfInfos);
+	if (annotatedOnlyError) {
+		return res.status(400).json({ error: annotatedOnlyError });
+	}
+	const annotatedOnly = req.body.annotatedOnly === true;
+
+	// Abort the upstream request as soon as the client goes away
+	const signal = abortOnClose(res);
+
+	try {
+		const cacheScope = getChatCacheScope(req.user, pdfInfos, options, req.body.cache, annotatedOnly);
+		const { hit, vector } = cacheScope ? await findCachedAnswer(cacheScope, message) : {};
+		if (hit) {
+			// A cached answer is sent whole, as a single delta
+			res.writeHead(200, {
+				"Content-Type": "text/event-stream",
+				"Cache-Control": "no-cache",
+				Connection: "keep-alive",
+				"X-Accel-Buffering": "no",
+			});
+			const cachedAnswer = formatCachedAnswer(hit, req.body.dropUnverifiedCitations === true);
+			emitChatCompleted(req.user, { pdfIds, question: message, ...cachedAnswer });
+			sendEvent(res, "delta", { content: cachedAnswer.message });
+			sendEvent(res, "done", cachedAnswer);
+			return res.end();
+		}
+
+		const { messages, sources } = await buildChatRequest({ message, pdfIds, pdfInfos, annotatedOnly });
+
+		if (signal.aborted) {
+			return;
+		}
+
+		const stream = llm.stream({ ...options, messages, signal });
+
+		res.writeHead(200, {
+			"Content-Type": "text/event-stream",
+			"Cache-Control": "no-cache",
+			Connection: "keep-alive",
+			"X-Accel-Buffering": "no",
+		});
+
+		let aiResponse = "";
+		let tokenUsage = 0;
+
+		for await (const event of stream) {
+			if (event.content) {
+				aiResponse += event.content;
+				sendEvent(res, "delta", { content: event.content });
+			}
+			if (event.tokenUsage) {
+				tokenUsage = event.tokenUsage;
+			}
+		}
+
+		// Tokens streamed before an abort are billed all the same
+		usageTracker.record(req.user.id, tokenUsage, pdfIds);
+
+		// Providers end their stream quietly instead of throwing when it is aborted
+		if (signal.aborted) {
+			console.log("Chat stream aborted by client");
+			return;
+		}
+
+		if (cacheScope) {
+			responseCache.set(cacheScope, message, { pdfIds, vector, response: { message: aiResponse, sources, model: options.model } });
+		}
+
+		const answer = {
+			message: aiResponse,
+			citations: groundCitations(aiResponse, sources, { dropUnverified: req.body.dropUnverifiedCitations === true }),
+			sources: sources,
+			tokenUsage: tokenUsage,
+			model: options.model,
+			cached: false,
+		};
+		emitChatCompleted(req.user, { pdfIds, question: message, ...answer });
+
+		sendEvent(res, "done", answer);
+		res.end();
+	} catch (error) {
+		if (signal.aborted) {
+			console.log("Chat stream aborted by client");
+			return;
+		}
+
+		console.error("Chat stream error:", error);
+
+		if (!res.headersSent) {
+			return res.status(500).json({
+				error: "Failed to process chat request",
+				message: "Sorry, I encountered an error. Please try again.",
+			});
+		}
+
+		sendEvent(res, "error", { error: "Failed to process chat request" });
+		res.end();
+	}
+});
+
+// Document text for structured extraction, pages marked with [Page N]. Documents over the budget are
+// cut to the passages most similar to the fields of the schema, kept in reading order.
+const buildExtractionContext = async (pdfInfo, schema) => {
+	const pageTexts = pdfInfo.pageTexts.filter(({ text }) => text.trim());
+	if (estimateTokens(pageTexts.map(({ text }) => text).join("\n\n")) <= EXTRACT_CONTEXT_TOKENS) {
+		return pageTexts.map(({ page, text }) => `[Page ${page}]\n${text}`).join("\n\n");
+	}
+
+	const selected = [];
+	let used = 0;
+	for (const chunk of await retrieveChunks([pdfInfo], describeSchema(schema), pdfInfo.chunks.length)) {
+		const cost = estimateTokens(chunk.text);
+		if (used + cost <= EXTRACT_CONTEXT_TOKENS) {
+			selected.push(chunk);
+			used += cost;
+		}
+	}
+
+	return selected
+		.sort((a, b) => a.page - b.page || a.start - b.start)
+		.map((chunk) => `[Page ${chunk.page}]\n${chunk.text.trim()}`)
+		.join("\n\n");
+};
+
+// Validate the parameters shared by the extraction endpoints
+const parseExtractionRequest = (body) => {
+	const { schema, instructions } = body;
+
+	let validate;
+	try {
+		validate = compileSchema(schema);
+	} catch (schemaError) {
+		return { error: `Invalid schema: ${schemaError.message}` };
+	}
+
+	if (instructions !== undefined && typeof instructions !== "string") {
+		return { error: "instructions must be a string" };
+	}
+
+	const { options, error } = parseChatOptions(body);
+	if (error) {
+		return { error };
+	}
+
+	return { params: { schema, validate, instructions, options } };
+};
+
+// Extract structured data from one PDF on behalf of a user
+const extractFromPdf = async (user, pdfInfo, { schema, validate, instructions, options }, signal) => {
+	if (pdfInfo.extractionStatus !== "success") {
+		return { pdfId: pdfInfo.id, valid: false, error: "PDF has no extractable text" };
+	}
+
+	const result = await extractStructuredData({
+		llm,
+		options,
+		schema,
+		validate,
+		instructions,
+		context: await buildExtractionContext(pdfInfo, schema),
+		pageTexts: pdfInfo.pageTexts,
+		maxAttempts: EXTRACT_MAX_ATTEMPTS,
+		signal,
+	});
+	usageTracker.record(user.id, result.tokenUsage, [pdfInfo.id]);
+
+	return { pdfId: pdfInfo.id, filename: pdfInfo.filename, ...result, model: options.model };
+};
+
+/**
+ * @swagger
+ * /api/pdf/{id}/extract:
+ *   post:
+ *     summary: Extract structured data from a PDF
+ *     description: |
+ *       Fill a JSON Schema with data from the document, for example the number, total, date and parties of an invoice.
+ *       The chat model answers in JSON mode and the result is validated against the schema; when it does not validate,
+ *       the model is asked again with the validation errors (up to EXTRACT_MAX_ATTEMPTS times). Every field comes with
+ *       the page and the quote it was taken from, and quotes are checked against the text of the document.
+ *     tags: [AI Chat]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: PDF ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ExtractionRequest'
+ *     responses:
+ *       200:
+ *         description: Data extracted and validated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ExtractionResult'
+ *       400:
+ *         description: Invalid schema or options
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: PDF not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: PDF is still processing
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       422:
+ *         description: The PDF has no text, or the model did not produce data matching the schema. The last attempt is returned with its validation errors.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ExtractionResult'
+ *       429:
+ *         description: Rate limit or token quota exceeded; retry after `Retry-After` seconds
+ *         headers:
+ *           Retry-After:
+ *             schema:
+ *               type: integer
+ *             description: Seconds until the request can be retried
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Extraction failed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+app.post("/api/pdf/:id/extract", chatRateLimit, enforceTokenQuota, async (req, res) => {
+	try {
+		const pdfInfo = getUserPdf(req.user, req.params.id);
+		if (!pdfInfo) {
+			return res.status(404).json({ error: "PDF not found" });
+		}
+
+		const { params, error } = parseExtractionRequest(req.body || {});
+		if (error) {
+			return res.status(400).json({ error });
+		}
+
+		if (rejectIfProcessing(res, pdfInfo)) {
+			return;
+		}
+
+		const result = await extractFromPdf(req.user, pdfInfo, params, abortOnClose(res));
+		if (!result.valid) {
+			return res.status(422).json({ error: result.error || "Extracted data does not match the schema", ...result });
+		}
+
+		res.json(result);
+	} catch (error) {
+		if (res.destroyed) {
+			return;
+		}
+		console.error("Extraction error:", error);
+		res.status(500).json({ error: "Failed to extract data from PDF" });
+	}
+});
+
+/**
+ * @swagger
+ * /api/pdf/extract:
+ *   post:
+ *     summary: Extract structured data from several PDFs
+ *     description: Run the same extraction as `/api/pdf/{id}/extract` over several PDFs, one after the other. Every PDF gets its own result; a PDF that fails does not fail the batch.
+ *     tags: [AI Chat]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             allOf:
+ *               - $ref: '#/components/schemas/ExtractionRequest'
+ *               - type: object
+ *                 required: [pdfIds]
+ *                 properties:
+ *                   pdfIds:
+ *                     type: array
+ *                     items:
+ *                       type: string
+ *                     maxItems: 20
+ *     responses:
+ *       200:
+ *         description: One result per PDF, in the order of pdfIds
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 results:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/ExtractionResult'
+ *                 tokenUsage:
+ *                   type: integer
+ *                   description: Tokens used for the whole batch
+ *       400:
+ *         description: Invalid schema, options or pdfIds
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: One of the PDFs was not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: One of the PDFs is still processing
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       429:
+ *         description: Rate limit or token quota exceeded; retry after `Retry-After` seconds
+ *         headers:
+ *           Retry-After:
+ *             schema:
+ *               type: integer
+ *             description: Seconds until the request can be retried
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Extraction failed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+app.post("/api/pdf/extract", chatRateLimit, enforceTokenQuota, async (req, res) => {
+	try {
+		const body = req.body || {};
+		if (!Array.isArray(body.pdfIds) || body.pdfIds.length === 0 || body.pdfIds.length > MAX_EXTRACT_BATCH) {
+			return res.status(400).json({ error: `pdfIds must be an array of 1 to ${MAX_EXTRACT_BATCH} PDF IDs` });
+		}
+
+		const { pdfIds, status, error: pdfError } = getRequestedPdfIds(req.user, { pdfIds: body.pdfIds });
+		if (pdfError) {
+			return res.status(status).json({ error: pdfError });
+		}
 
-// Middleware
-app.use(cors());
-app.use(express.json());
-app.use(express.static("uploads"));
+		const { params, error } = parseExtractionRequest(body);
+		if (error) {
+			return res.status(400).json({ error });
+		}
 
-// Swagger UI
-app.use(
-	"/api-docs",
-	swaggerUi.serve,
-	swaggerUi.setup(specs, {
-		customCss: ".swagger-ui .topbar { display: none }",
-		customSiteTitle: "PDF Chat API Documentation",
-	}),
-);
+		const signal = abortOnClose(res);
+		const results = [];
 
-// Root route for deployment health check
-app.get("/", (req, res) => {
-	res.json({
-		message: "PDF Chat API Server",
-		version: "1.0.0",
-		status: "running",
-		endpoints: {
-			health: "/api/health",
-			docs: "/api-docs",
-			upload: "/api/upload-pdf",
-			chat: "/api/chat",
-		},
-		timestamp: new Date().toISOString(),
-	});
-});
+		for (const pdfId of pdfIds) {
+			try {
+				results.push(await extractFromPdf(req.user, pdfStore.get(pdfId), params, signal));
+			} catch (extractionError) {
+				if (signal.aborted) {
+					return;
+				}
+				console.error(`Extraction failed for PDF ${pdfId}:`, extractionError);
+				results.push({ pdfId, valid: false, error: "Failed to extract data from PDF" });
+			}
+		}
 
-// Configure multer for file uploads
-const storage = multer.diskStorage({
-	destination: (req, file, cb) => {
-		const uploadDir = "uploads";
-		fs.ensureDirSync(uploadDir);
-		cb(null, uploadDir);
-	},
-	filename: (req, file, cb) => {
-		const uniqueName = `${uuidv4()}-${file.originalname}`;
-		cb(null, uniqueName);
-	},
+		res.json({
+			results: results,
+			tokenUsage: results.reduce((sum, result) => sum + (result.tokenUsage || 0), 0),
+		});
+	} catch (error) {
+		console.error("Batch extraction error:", error);
+		res.status(500).json({ error: "Failed to extract data from PDFs" });
+	}
 });
 
-const upload = multer({
-	storage: storage,
-	limits: {
-		fileSize: 50 * 1024 * 1024, // 50MB limit
-	},
-	fileFilter: (req, file, cb) => {
-		if (file.mimetype === "application/pdf") {
-			cb(null, true);
-		} else {
-			cb(new Error("Only PDF files are allowed"), false);
-		}
-	},
-});
+// Ask the model what the differences between two documents amount to
+const summarizeChanges = async (original, revised, changes, options, signal) => {
+	const { text, included } = formatChanges(changes, estimateTokens, COMPARE_SUMMARY_TOKENS);
+	const omitted = changes.length - included;
 
-// Initialize OpenAI
-const openai = new OpenAI({
-	apiKey: process.env.OPENAI_API_KEY || "your-openai-api-key-here",
-});
+	return llm.complete({
+		...options,
+		messages: [
+			{
+				role: "system",
+				content:
+					"You compare two versions of a document. Summarize the substantive differences: obligations, amounts, dates, scope and anything else that changes meaning. Ignore changes of wording, formatting or numbering that do not change meaning. Give the page of every change, as (original p. N) or (revised p. N).",
+			},
+			{
+				role: "user",
+				content: `Original: ${original.filename}
+Revised: ${revised.filename}
 
-// In-memory storage for PDF data (in production, use a database)
-const pdfStore = new Map();
+Changed paragraphs:
 
-// Routes
+${text}${omitted > 0 ? `
+
+(${omitted} more changes are not listed.)` : ""}`,
+			},
+		],
+		signal,
+	});
+};
+
+// Comparisons only call the model when they are asked for a summary
+const enforceTokenQuotaForSummary = (req, res, next) => (req.body && req.body.summarize === true ? enforceTokenQuota(req, res, next) : next());
 
 /**
  * @swagger
- * /api/upload-pdf:
+ * /api/pdf/compare:
  *   post:
- *     summary: Upload a PDF file
- *     description: Upload a PDF file for processing and text extraction. The file will be stored and can be used for chat and search functionality.
+ *     summary: Compare two PDFs
+ *     description: |
+ *       Diff the extracted text of two PDFs, typically two versions of the same contract or specification, paragraph by paragraph.
+ *       Paragraphs are matched on their text with case and whitespace ignored, so reflowed lines and moved page breaks are not reported.
+ *       Every change lists the page and character offsets of the paragraph on both sides; changed paragraphs come with a word-level diff.
+ *       With `summarize`, the chat model also summarizes the substantive differences.
  *     tags: [PDF Management]
  *     requestBody:
  *       required: true
  *       content:
- *         multipart/form-data:
+ *         application/json:
  *           schema:
  *             type: object
+ *             required: [pdfIds]
  *             properties:
- *               pdf:
+ *               pdfIds:
+ *                 type: array
+ *                 minItems: 2
+ *                 maxItems: 2
+ *                 items:
+ *                   type: string
+ *                 description: The original and the revised PDF, in that order
+ *               summarize:
+ *                 type: boolean
+ *                 default: false
+ *                 description: Also ask the chat model for a summary of the substantive differences
+ *               model:
  *                 type: string
- *                 format: binary
- *                 description: PDF file to upload (max 50MB)
+ *                 description: Model used for the summary (defaults to LLM_MODEL)
+ *               temperature:
+ *                 type: number
+ *               maxTokens:
+ *                 type: integer
  *     responses:
  *       200:
- *         description: PDF uploaded successfully
+ *         description: Comparison returned successfully
  *         content:
  *           application/json:
  *             schema:
- *               $ref: '#/components/schemas/PDFUploadResponse'
+ *               $ref: '#/components/schemas/Comparison'
  *       400:
- *         description: No PDF file uploaded or invalid file type
+ *         description: pdfIds does not name two different PDFs, or invalid options
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: One of the PDFs was not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: One of the PDFs is still processing
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       422:
+ *         description: One of the PDFs has no extractable text, or the documents differ too much to compare
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       429:
+ *         description: Rate limit or token quota exceeded (the quota only when `summarize` is set); retry after `Retry-After` seconds
+ *         headers:
+ *           Retry-After:
+ *             schema:
+ *               type: integer
+ *             description: Seconds until the request can be retried
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
  *       500:
- *         description: Server error during PDF processing
+ *         description: Comparison failed
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-app.post("/api/upload-pdf", upload.single("pdf"), async (req, res) => {
+app.post("/api/pdf/compare", chatRateLimit, enforceTokenQuotaForSummary, async (req, res) => {
 	try {
-		if (!req.file) {
-			return res.status(400).json({ error: "No PDF file uploaded" });
-		}
-
-		console.log("File received:", req.file.originalname, "Size:", req.file.size);
+		const body = req.body || {};
+		const { summarize = false } = body;
 
-		const filePath = req.file.path;
-		const pdfId = path.basename(req.file.filename, path.extname(req.file.filename));
-
-		console.log("Processing PDF:", pdfId);
+		if (!Array.isArray(body.pdfIds) || body.pdfIds.length !== 2) {
+			return res.status(400).json({ error: "pdfIds must list the original and the revised PDF" });
+		}
 
-		// Check if file exists
-		if (!fs.existsSync(filePath)) {
-			console.error("File not found at path:", filePath);
-			return res.status(500).json({ error: "Uploaded file not found" });
+		const { pdfIds, status, error: pdfError } = getRequestedPdfIds(req.user, { pdfIds: body.pdfIds });
+		if (pdfError) {
+			return res.status(status).json({ error: pdfError });
+		}
+		if (pdfIds.length !== 2) {
+			return res.status(400).json({ error: "pdfIds must name two different PDFs" });
 		}
 
-		// Read the file
-		const dataBuffer = fs.readFileSync(filePath);
-		console.log("PDF file read, size:", dataBuffer.length);
+		if (typeof summarize !== "boolean") {
+			return res.status(400).json({ error: "summarize must be a boolean" });
+		}
 
-		if (dataBuffer.length === 0) {
-			return res.status(500).json({ error: "PDF file is empty" });
+		const { options, error: optionsError } = parseChatOptions(body);
+		if (optionsError) {
+			return res.status(400).json({ error: optionsError });
 		}
 
-		// Try to parse PDF for text extraction, but don't fail if it doesn't work
-		let text = "";
-		let pages = 1;
+		const [original, revised] = pdfIds.map((id) => pdfStore.get(id));
+		const withoutText = [original, revised].find((pdfInfo) => pdfInfo.extractionStatus !== "success");
+		if (withoutText) {
+			return res.status(422).json({ error: `PDF has no extractable text: ${withoutText.id}` });
+		}
 
+		let comparison;
 		try {
-			const pdfData = await pdfParse(dataBuffer);
-			text = pdfData.text || "";
-			pages = pdfData.numpages || 1;
-			console.log("PDF parsed successfully, pages:", pages);
-
-			if (!text || text.trim().length === 0) {
-				console.warn("PDF contains no extractable text");
+			comparison = compareDocuments(original.pageTexts, revised.pageTexts);
+		} catch (compareError) {
+			if (compareError.code === "TOO_LARGE") {
+				return res.status(422).json({ error: compareError.message });
 			}
-		} catch (parseError) {
-			console.warn("PDF parsing failed, but continuing with upload:", parseError.message);
-			// Continue with upload even if parsing fails
-			text = "Text extraction failed for this PDF. The file can still be viewed.";
-			pages = 1;
+			throw compareError;
 		}
 
-		// Store PDF data
-		const pdfInfo = {
-			id: pdfId,
-			filename: req.file.originalname,
-			filePath: filePath,
-			text: text,
-			pages: pages,
-			uploadDate: new Date(),
-			vectors: [], // In a real app, you'd vectorize the text here
+		const describe = (pdfInfo, paragraphs) => ({ pdfId: pdfInfo.id, filename: pdfInfo.filename, pages: pdfInfo.pages, paragraphs: paragraphs });
+		const result = {
+			original: describe(original, comparison.paragraphs.original),
+			revised: describe(revised, comparison.paragraphs.revised),
+			stats: comparison.stats,
+			changes: comparison.changes,
+			summary: null,
+			tokenUsage: 0,
 		};
 
-		pdfStore.set(pdfId, pdfInfo);
-		console.log("PDF stored successfully:", pdfId);
+		if (summarize && comparison.changes.length === 0) {
+			result.summary = "The two documents have the same text.";
+		} else if (summarize) {
+			const completion = await summarizeChanges(original, revised, comparison.changes, options, abortOnClose(res));
+			usageTracker.record(req.user.id, completion.tokenUsage, pdfIds);
+			result.summary = completion.content;
+			result.tokenUsage = completion.tokenUsage;
+			result.model = options.model;
+		}
 
-		res.json({
-			id: pdfId,
-			filename: req.file.originalname,
-			pages: pages,
-			text: text,
-			vectors: [],
-			uploadDate: new Date(),
-		});
+		res.json(result);
 	} catch (error) {
-		console.error("PDF upload error:", error);
-		console.error("Error stack:", error.stack);
+		if (res.destroyed) {
+			return;
+		}
+		console.error("Comparison error:", error);
+		res.status(500).json({ error: "Failed to compare PDFs" });
+	}
+});
 
-		// Provide more specific error messages
-		let errorMessage = "Failed to process PDF";
-		if (error.message.includes("pdf-parse")) {
-			errorMessage = "Failed to parse PDF file. The file might be corrupted or password protected.";
-		} else if (error.message.includes("ENOENT")) {
-			errorMessage = "File system error. Please try again.";
-		} else if (error.message.includes("permission")) {
-			errorMessage = "Permission denied. Please check file permissions.";
+// Conversation without its message history, used for listings
+const summarizeConversation = (conversation) => ({
+	id: conversation.id,
+	title: conversation.title,
+	pdfIds: conversation.pdfIds,
+	messageCount: conversation.messages.length,
+	createdAt: conversation.createdAt,
+	updatedAt: conversation.updatedAt,
+});
+
+/**
+ * @swagger
+ * /api/conversations:
+ *   post:
+ *     summary: Start a conversation
+ *     description: Create a conversation tied to zero or more PDFs. Messages posted to the conversation keep their history on the server, so follow-up questions are answered with the earlier turns in mind.
+ *     tags: [Conversations]
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               title:
+ *                 type: string
+ *                 description: Optional display title
+ *               pdfIds:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: PDFs used as context for the conversation
+ *     responses:
+ *       201:
+ *         description: Conversation created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Conversation'
+ *       400:
+ *         description: Invalid pdfIds
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: One of the PDFs was not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *   get:
+ *     summary: List conversations
+ *     description: List all conversations, most recently updated first. Message histories are not included.
+ *     tags: [Conversations]
+ *     responses:
+ *       200:
+ *         description: Conversations returned successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 type: object
+ *                 properties:
+ *                   id:
+ *                     type: string
+ *                   title:
+ *                     type: string
+ *                   pdfIds:
+ *                     type: array
+ *                     items:
+ *                       type: string
+ *                   messageCount:
+ *                     type: integer
+ *                   createdAt:
+ *                     type: string
+ *                     format: date-time
+ *                   updatedAt:
+ *                     type: string
+ *                     format: date-time
+ */
+app.post("/api/conversations", (req, res) => {
+	try {
+		const { title } = req.body || {};
+
+		// Conversations may be started while their PDFs are still processing
+		const { pdfIds, status, error } = getRequestedPdfIds(req.user, req.body, { requireReady: false });
+		if (error) {
+			return res.status(status).json({ error });
 		}
 
-		res.status(500).json({
-			error: errorMessage,
-			details: process.env.NODE_ENV === "development" ? error.message : undefined,
-		});
+		const now = new Date().toISOString();
+		const conversation = {
+			id: uuidv4(),
+			ownerId: req.user.id,
+			title: title || "New conversation",
+			pdfIds: pdfIds,
+			messages: [],
+			createdAt: now,
+			updatedAt: now,
+		};
+
+		conversationStore.set(conversation.id, conversation);
+		res.status(201).json(conversation);
+	} catch (error) {
+		console.error("Error creating conversation:", error);
+		res.status(500).json({ error: "Failed to create conversation" });
+	}
+});
+
+app.get("/api/conversations", (req, res) => {
+	try {
+		const conversations = Array.from(conversationStore.values())
+			.filter((conversation) => conversation.ownerId === req.user.id)
+			.sort((a, b) => b.updatedAt.localeCompare(a.updatedAt))
+			.map(summarizeConversation);
+
+		res.json(conversations);
+	} catch (error) {
+		res.status(500).json({ error: "Failed to list conversations" });
 	}
 });
 
 /**
  * @swagger
- * /api/pdf/{id}/file:
+ * /api/conversations/{id}:
  *   get:
- *     summary: Get PDF file
- *     description: Retrieve the actual PDF file by its ID. Returns the PDF file for viewing or download.
- *     tags: [PDF Management]
+ *     summary: Get a conversation
+ *     description: Retrieve a conversation with its full message history, e.g. to restore a chat after a page reload.
+ *     tags: [Conversations]
  *     parameters:
  *       - in: path
  *         name: id
  *         required: true
  *         schema:
  *           type: string
- *         description: PDF ID
+ *         description: Conversation ID
  *     responses:
  *       200:
- *         description: PDF file returned successfully
+ *         description: Conversation returned successfully
  *         content:
- *           application/pdf:
+ *           application/json:
  *             schema:
- *               type: string
- *               format: binary
+ *               $ref: '#/components/schemas/Conversation'
  *       404:
- *         description: PDF not found
+ *         description: Conversation not found
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
- *       500:
- *         description: Server error
+ *   delete:
+ *     summary: Delete a conversation
+ *     description: Delete a conversation and its message history.
+ *     tags: [Conversations]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Conversation ID
+ *     responses:
+ *       204:
+ *         description: Conversation deleted
+ *       404:
+ *         description: Conversation not found
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-app.get("/api/pdf/:id/file", (req, res) => {
+app.get("/api/conversations/:id", (req, res) => {
 	try {
-		const pdfId = req.params.id;
-		const pdfInfo = pdfStore.get(pdfId);
+		const conversation = getUserConversation(req.user, req.params.id);
 
-		if (!pdfInfo) {
-			return res.status(404).json({ error: "PDF not found" });
+		if (!conversation) {
+			return res.status(404).json({ error: "Conversation not found" });
 		}
 
-		// Check if file exists
-		if (!fs.existsSync(pdfInfo.filePath)) {
-			return res.status(404).json({ error: "PDF file not found on disk" });
+		res.json(conversation);
+	} catch (error) {
+		res.status(500).json({ error: "Failed to retrieve conversation" });
+	}
+});
+
+app.delete("/api/conversations/:id", (req, res) => {
+	try {
+		if (!getUserConversation(req.user, req.params.id)) {
+			return res.status(404).json({ error: "Conversation not found" });
 		}
 
-		// Set headers for PDF download/viewing
-		res.setHeader("Content-Type", "application/pdf");
-		res.setHeader("Content-Disposition", `inline; filename="${pdfInfo.filename}"`);
+		conversationStore.delete(req.params.id);
 
-		// Stream the file
-		const fileStream = fs.createReadStream(pdfInfo.filePath);
-		fileStream.pipe(res);
+		res.status(204).end();
 	} catch (error) {
-		console.error("Error serving PDF file:", error);
-		res.status(500).json({ error: "Failed to serve PDF file" });
+		console.error("Error deleting conversation:", error);
+		res.status(500).json({ error: "Failed to delete conversation" });
 	}
 });
 
 /**
  * @swagger
- * /api/pdf/{id}/text:
- *   get:
- *     summary: Get PDF text content
- *     description: Retrieve the extracted text content from a PDF by its ID.
- *     tags: [PDF Management]
+ * /api/conversations/{id}/messages:
+ *   post:
+ *     summary: Send a message in a conversation
+ *     description: Ask a question within a conversation. The most recent turns that fit in the history token budget are sent to the model along with context retrieved from the conversation's PDFs. Both the question and the answer are appended to the conversation.
+ *     tags: [Conversations]
  *     parameters:
  *       - in: path
  *         name: id
  *         required: true
  *         schema:
  *           type: string
- *         description: PDF ID
+ *         description: Conversation ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [message]
+ *             properties:
+ *               message:
+ *                 type: string
+ *                 description: The user's question or message
+ *               dropUnverifiedCitations:
+ *                 type: boolean
+ *                 description: Leave out citations that could not be verified
  *     responses:
  *       200:
- *         description: PDF text content returned successfully
+ *         description: AI response generated successfully
  *         content:
  *           application/json:
  *             schema:
- *               type: string
- *               description: Extracted text from the PDF
+ *               $ref: '#/components/schemas/ChatResponse'
+ *       400:
+ *         description: Message is missing
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  *       404:
- *         description: PDF not found
+ *         description: Conversation not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: PDF is still processing
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       429:
+ *         description: Rate limit or token quota exceeded; retry after `Retry-After` seconds
+ *         headers:
+ *           Retry-After:
+ *             schema:
+ *               type: integer
+ *             description: Seconds until the request can be retried
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
  *       500:
- *         description: Server error
+ *         description: Failed to process chat request
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-app.get("/api/pdf/:id/text", (req, res) => {
+app.post("/api/conversations/:id/messages", chatRateLimit, enforceTokenQuota, async (req, res) => {
 	try {
-		const pdfId = req.params.id;
-		const pdfInfo = pdfStore.get(pdfId);
+		const { message } = req.body;
 
-		if (!pdfInfo) {
-			return res.status(404).json({ error: "PDF not found" });
+		const conversation = getUserConversation(req.user, req.params.id);
+		if (!conversation) {
+			return res.status(404).json({ error: "Conversation not found" });
 		}
 
-		res.json(pdfInfo.text);
+		if (!message) {
+			return res.status(400).json({ error: "Message is required" });
+		}
+		if (typeof message !== "string") {
+			return res.status(400).json({ error: "message must be a string" });
+		}
+
+		const { options, error: optionsError } = parseChatOptions(req.body);
+		if (optionsError) {
+			return res.status(400).json({ error: optionsError });
+		}
+
+		const { status, error } = getRequestedPdfIds(req.user, { pdfIds: conversation.pdfIds.filter((id) => getUserPdf(req.user, id)) });
+		if (error) {
+			return res.status(status).json({ error });
+		}
+
+		const history = fitMessagesToBudget(conversation.messages, HISTORY_TOKEN_BUDGET);
+
+		// Follow-ups such as "what about section 3?" need the previous question to find the right passages
+		const previousQuestion = [...conversation.messages].reverse().find((entry) => entry.role === "user");
+		const retrievalQuery = previousQuestion ? `${previousQuestion.content}\n${message}` : message;
+
+		const { messages, sources } = await buildChatRequest({
+			message,
+			pdfIds: conversation.pdfIds,
+			history,
+			retrievalQuery,
+		});
+
+		const completion = await llm.complete({ ...options, messages });
+		usageTracker.record(req.user.id, completion.tokenUsage, conversation.pdfIds);
+
+		const aiResponse = completion.content;
+		const citations = groundCitations(aiResponse, sources, { dropUnverified: req.body.dropUnverifiedCitations === true });
+		const now = new Date().toISOString();
+
+		conversation.messages.push(
+			{ role: "user", content: message, createdAt: now },
+			{ role: "assistant", content: aiResponse, citations: citations, tokenUsage: completion.tokenUsage, model: options.model, createdAt: now },
+		);
+		conversation.updatedAt = now;
+		conversationStore.set(conversation.id, conversation);
+		emitChatCompleted(req.user, {
+			pdfIds: conversation.pdfIds,
+			conversationId: conversation.id,
+			question: message,
+			message: aiResponse,
+			citations: citations,
+			tokenUsage: completion.tokenUsage,
+			model: options.model,
+		});
+
+		res.json({
+			message: aiResponse,
+			citations: citations,
+			sources: sources,
+			tokenUsage: completion.tokenUsage,
+			model: options.model,
+		});
 	} catch (error) {
-		res.status(500).json({ error: "Failed to retrieve PDF text" });
+		console.error("Conversation chat error:", error);
+		res.status(500).json({
+			error: "Failed to process chat request",
+			message: "Sorry, I encountered an error. Please try again.",
+		});
 	}
 });
 
 /**
  * @swagger
- * /api/pdf/{id}/search:
+ * /api/health:
+ *   get:
+ *     summary: Health check endpoint
+ *     description: Check if the API server is running and healthy.
+ *     tags: [System]
+ *     security: []
+ *     responses:
+ *       200:
+ *         description: Server is healthy
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: "OK"
+ *                 timestamp:
+ *                   type: string
+ *                   format: date-time
+ *                   example: "2024-01-01T00:00:00.000Z"
+ */
+app.get("/api/health", (req, res) => {
+	res.json({ status: "OK", timestamp: new Date().toISOString() });
+});
+
+// Webhook as listed to its owner; the secret is only returned when the webhook is created
+const summarizeWebhook = (webhook) => ({
+	id: webhook.id,
+	url: webhook.url,
+	events: webhook.events,
+	description: webhook.description,
+	createdAt: webhook.createdAt,
+});
+
+const getUserWebhook = (user, webhookId) => {
+	const webhook = webhookStore.get(webhookId);
+	return webhook && webhook.ownerId === user.id ? webhook : null;
+};
+
+/**
+ * @swagger
+ * /api/webhooks:
  *   post:
- *     summary: Search within PDF content
- *     description: Search for specific text within a PDF document and return matching lines with their locations.
- *     tags: [PDF Search]
- *     parameters:
- *       - in: path
- *         name: id
- *         required: true
- *         schema:
- *           type: string
- *         description: PDF ID
+ *     summary: Register a webhook
+ *     description: |
+ *       Have events POSTed to a URL as they happen, instead of polling. Events are `document.uploaded`, `document.processed`,
+ *       `document.failed`, `document.deleted` and `chat.completed`; the body is `{ "id", "type", "createdAt", "data" }`.
+ *
+ *       Every request carries `X-Webhook-Timestamp` and `X-Webhook-Signature: sha256=<hex>`, the HMAC-SHA256 of
+ *       `<timestamp>.<raw body>` keyed with the webhook secret. Deliveries that do not get a 2xx answer are retried with
+ *       exponential backoff (WEBHOOK_MAX_ATTEMPTS attempts in total, starting WEBHOOK_RETRY_BASE_MS apart).
+ *
+ *       The URL has to resolve to a public address, when the webhook is registered and again before every delivery;
+ *       loopback, private and link-local hosts are refused unless they are listed in WEBHOOK_ALLOWED_HOSTS.
+ *     tags: [Webhooks]
  *     requestBody:
  *       required: true
  *       content:
  *         application/json:
  *           schema:
- *             $ref: '#/components/schemas/SearchRequest'
+ *             $ref: '#/components/schemas/WebhookRequest'
  *     responses:
- *       200:
- *         description: Search results returned successfully
+ *       201:
+ *         description: Webhook registered. The response is the only one that contains the secret.
  *         content:
  *           application/json:
  *             schema:
- *               type: array
- *               items:
- *                 $ref: '#/components/schemas/SearchResult'
- *       404:
- *         description: PDF not found
+ *               allOf:
+ *                 - $ref: '#/components/schemas/Webhook'
+ *                 - type: object
+ *                   properties:
+ *                     secret:
+ *                       type: string
+ *                       description: Key of the payload signatures
+ *       400:
+ *         description: Invalid URL, events or secret, a URL that does not resolve to a public address, or too many webhooks
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
- *       500:
- *         description: Search failed
+ *   get:
+ *     summary: List webhooks
+ *     tags: [Webhooks]
+ *     responses:
+ *       200:
+ *         description: Webhooks returned successfully
  *         content:
  *           application/json:
  *             schema:
- *               $ref: '#/components/schemas/Error'
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Webhook'
  */
-app.post("/api/pdf/:id/search", async (req, res) => {
+app.post("/api/webhooks", async (req, res) => {
 	try {
-		const pdfId = req.params.id;
-		const { query } = req.body;
+		const { url, events = WEBHOOK_EVENTS, secret, description } = req.body || {};
 
-		const pdfInfo = pdfStore.get(pdfId);
-		if (!pdfInfo) {
-			return res.status(404).json({ error: "PDF not found" });
+		let parsedUrl;
+		try {
+			parsedUrl = new URL(url);
+		} catch (urlError) {
+			parsedUrl = null;
+		}
+		if (typeof url !== "string" || !parsedUrl || !["http:", "https:"].includes(parsedUrl.protocol)) {
+			return res.status(400).json({ error: "url must be an http or https URL" });
+		}
+
+		// Lookup failures get the same answer, so registering webhooks tells nothing about the internal network
+		try {
+			await checkWebhookUrl(parsedUrl.toString(), isAllowedWebhookAddress);
+		} catch (addressError) {
+			return res.status(400).json({ error: "url must resolve to a public address (see WEBHOOK_ALLOWED_HOSTS)" });
 		}
 
-		// Simple text search (in production, use vector search)
-		const searchResults = [];
-		const lines = pdfInfo.text.split("\n");
+		if (!Array.isArray(events) || events.length === 0 || !events.every((event) => WEBHOOK_EVENTS.includes(event))) {
+			return res.status(400).json({ error: `events must be a non-empty list of: ${WEBHOOK_EVENTS.join(", ")}` });
+		}
 
-		lines.forEach((line, index) => {
-			if (line.toLowerCase().includes(query.toLowerCase())) {
-				searchResults.push({
-					line: line.trim(),
-					lineNumber: index + 1,
-					page: Math.floor(index / 50) + 1, // Rough page estimation
-				});
-			}
-		});
+		if (secret !== undefined && (typeof secret !== "string" || secret.length < 16)) {
+			return res.status(400).json({ error: "secret must be a string of at least 16 characters" });
+		}
+
+		if (description !== undefined && typeof description !== "string") {
+			return res.status(400).json({ error: "description must be a string" });
+		}
 
-		res.json(searchResults.slice(0, 10)); // Limit results
+		const registered = [...webhookStore.values()].filter((webhook) => webhook.ownerId === req.user.id).length;
+		if (registered >= MAX_WEBHOOKS) {
+			return res.status(400).json({ error: `At most ${MAX_WEBHOOKS} webhooks can be registered` });
+		}
+
+		const webhook = {
+			id: uuidv4(),
+			ownerId: req.user.id,
+			url: parsedUrl.toString(),
+			events: [...new Set(events)],
+			secret: secret || createWebhookSecret(),
+			description: description || "",
+			createdAt: new Date().toISOString(),
+		};
+		webhookStore.set(webhook.id, webhook);
+
+		res.status(201).json({ ...summarizeWebhook(webhook), secret: webhook.secret });
 	} catch (error) {
-		res.status(500).json({ error: "Search failed" });
+		console.error("Error registering webhook:", error);
+		res.status(500).json({ error: "Failed to register webhook" });
+	}
+});
+
+app.get("/api/webhooks", (req, res) => {
+	try {
+		const userWebhooks = [...webhookStore.values()]
+			.filter((webhook) => webhook.ownerId === req.user.id)
+			.sort((a, b) => a.createdAt.localeCompare(b.createdAt))
+			.map(summarizeWebhook);
+
+		res.json(userWebhooks);
+	} catch (error) {
+		res.status(500).json({ error: "Failed to retrieve webhooks" });
 	}
 });
 
 /**
  * @swagger
- * /api/pdf/{id}/page/{pageNumber}:
+ * /api/webhooks/{id}:
  *   get:
- *     summary: Get specific page content
- *     description: Retrieve the text content of a specific page from a PDF document.
- *     tags: [PDF Management]
+ *     summary: Get a webhook
+ *     tags: [Webhooks]
  *     parameters:
  *       - in: path
  *         name: id
  *         required: true
  *         schema:
  *           type: string
- *         description: PDF ID
- *       - in: path
- *         name: pageNumber
- *         required: true
- *         schema:
- *           type: integer
- *           minimum: 1
- *         description: Page number (1-based)
+ *         description: Webhook ID
  *     responses:
  *       200:
- *         description: Page content returned successfully
+ *         description: Webhook returned successfully
  *         content:
  *           application/json:
  *             schema:
- *               type: string
- *               description: Text content of the specified page
+ *               $ref: '#/components/schemas/Webhook'
  *       404:
- *         description: PDF not found
+ *         description: Webhook not found
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
- *       500:
- *         description: Failed to get page content
+ *   delete:
+ *     summary: Delete a webhook
+ *     description: Stop sending events to the webhook. Its delivery log and pending retries are removed too.
+ *     tags: [Webhooks]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Webhook ID
+ *     responses:
+ *       204:
+ *         description: Webhook deleted
+ *       404:
+ *         description: Webhook not found
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-app.get("/api/pdf/:id/page/:pageNumber", (req, res) => {
+app.get("/api/webhooks/:id", (req, res) => {
 	try {
-		const pdfId = req.params.id;
-		const pageNumber = parseInt(req.params.pageNumber);
-
-		const pdfInfo = pdfStore.get(pdfId);
-		if (!pdfInfo) {
-			return res.status(404).json({ error: "PDF not found" });
+		const webhook = getUserWebhook(req.user, req.params.id);
+		if (!webhook) {
+			return res.status(404).json({ error: "Webhook not found" });
 		}
 
-		// Simple page extraction (in production, use proper PDF page extraction)
-		const lines = pdfInfo.text.split("\n");
-		const linesPerPage = Math.ceil(lines.length / pdfInfo.pages);
-		const startIndex = (pageNumber - 1) * linesPerPage;
-		const endIndex = Math.min(startIndex + linesPerPage, lines.length);
+		res.json(summarizeWebhook(webhook));
+	} catch (error) {
+		res.status(500).json({ error: "Failed to retrieve webhook" });
+	}
+});
+
+app.delete("/api/webhooks/:id", (req, res) => {
+	try {
+		if (!getUserWebhook(req.user, req.params.id)) {
+			return res.status(404).json({ error: "Webhook not found" });
+		}
 
-		const pageContent = lines.slice(startIndex, endIndex).join("\n");
+		webhooks.removeWebhook(req.params.id);
 
-		res.json(pageContent);
+		res.status(204).end();
 	} catch (error) {
-		res.status(500).json({ error: "Failed to get page content" });
+		console.error("Error deleting webhook:", error);
+		res.status(500).json({ error: "Failed to delete webhook" });
 	}
 });
 
 /**
  * @swagger
- * /api/chat:
- *   post:
- *     summary: Chat with AI about PDF content
- *     description: Send a message to the AI assistant. If a PDF ID is provided, the AI will use the PDF content as context for answering questions.
- *     tags: [AI Chat]
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             $ref: '#/components/schemas/ChatRequest'
+ * /api/webhooks/{id}/deliveries:
+ *   get:
+ *     summary: Get the delivery log of a webhook
+ *     description: List the most recent deliveries of the webhook (up to WEBHOOK_LOG_SIZE), newest first, with every attempt made to deliver them.
+ *     tags: [Webhooks]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Webhook ID
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, delivered, failed]
+ *         description: Only list deliveries in this state
  *     responses:
  *       200:
- *         description: AI response generated successfully
+ *         description: Deliveries returned successfully
  *         content:
  *           application/json:
  *             schema:
- *               $ref: '#/components/schemas/ChatResponse'
- *       500:
- *         description: Failed to process chat request
+ *               type: object
+ *               properties:
+ *                 webhookId:
+ *                   type: string
+ *                 deliveries:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/WebhookDelivery'
+ *       400:
+ *         description: Invalid status
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Webhook not found
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-app.post("/api/chat", async (req, res) => {
+app.get("/api/webhooks/:id/deliveries", (req, res) => {
 	try {
-		const { message, pdfId } = req.body;
-
-		let context = "";
-		let citations = [];
-
-		// If PDF ID is provided, get context from PDF
-		if (pdfId) {
-			const pdfInfo = pdfStore.get(pdfId);
-			if (pdfInfo) {
-				// Check if text extraction was successful
-				if (pdfInfo.text && !pdfInfo.text.includes("Text extraction failed")) {
-					// Simple context extraction (in production, use vector search)
-					const lines = pdfInfo.text.split("\n");
-					const relevantLines = lines.filter((line) => line.toLowerCase().includes(message.toLowerCase())).slice(0, 5);
-
-					context = relevantLines.join("\n");
-
-					// Generate citations
-					relevantLines.forEach((line, index) => {
-						citations.push({
-							page: Math.floor(index / 50) + 1,
-							text: line.trim(),
-							confidence: 0.8,
-						});
-					});
-				} else {
-					// Text extraction failed, inform the user
-					context =
-						"I'm sorry, but I couldn't extract text from this PDF file. This might be because the PDF is password-protected, corrupted, or contains only images. You can still view the PDF, but I won't be able to answer questions about its content.";
-				}
-			}
+		const webhook = getUserWebhook(req.user, req.params.id);
+		if (!webhook) {
+			return res.status(404).json({ error: "Webhook not found" });
 		}
 
-		// Prepare prompt for AI
-		let prompt = `You are a helpful AI assistant. `;
-
-		if (context) {
-			if (context.includes("Text extraction failed")) {
-				prompt += `The user is asking about a PDF document, but text extraction failed for this PDF. Please inform them that you cannot answer questions about the content of this specific PDF, but they can still view the document. User question: ${message}`;
-			} else {
-				prompt += `Based on the following context from a PDF document, please answer the user's question. If the information is not in the context, say so.\n\nContext:\n${context}\n\nUser question: ${message}`;
-			}
-		} else {
-			prompt += `Please answer the following question: ${message}`;
+		const { status } = req.query;
+		if (status !== undefined && !["pending", "delivered", "failed"].includes(status)) {
+			return res.status(400).json({ error: "status must be one of: pending, delivered, failed" });
 		}
 
-		// Call OpenAI API
-		const completion = await openai.chat.completions.create({
-			model: "gpt-3.5-turbo",
-			messages: [
-				{
-					role: "system",
-					content:
-						"You are a helpful AI assistant that answers questions about PDF documents. Provide concise, accurate answers and cite specific pages when referencing content from the PDF. If text extraction failed for a PDF, inform the user that you cannot answer questions about that specific document's content.",
-				},
-				{
-					role: "user",
-					content: prompt,
-				},
-			],
-			max_tokens: 500,
-			temperature: 0.7,
-		});
-
-		const aiResponse = completion.choices[0].message.content;
+		const deliveries = webhooks.listDeliveries(webhook.id).filter((delivery) => status === undefined || delivery.status === status);
 
-		res.json({
-			message: aiResponse,
-			citations: citations,
-			tokenUsage: completion.usage.total_tokens,
-		});
+		res.json({ webhookId: webhook.id, deliveries: deliveries });
 	} catch (error) {
-		console.error("Chat error:", error);
-		res.status(500).json({
-			error: "Failed to process chat request",
-			message: "Sorry, I encountered an error. Please try again.",
-		});
+		res.status(500).json({ error: "Failed to retrieve webhook deliveries" });
 	}
 });
 
 /**
  * @swagger
- * /api/health:
+ * /api/usage:
  *   get:
- *     summary: Health check endpoint
- *     description: Check if the API server is running and healthy.
+ *     summary: Get token usage
+ *     description: Report the model tokens used by the current user today, this month and per PDF, together with the daily and monthly quotas (DAILY_TOKEN_QUOTA and MONTHLY_TOKEN_QUOTA). Once a quota is used up, requests that call the model answer 429 until the period resets.
  *     tags: [System]
  *     responses:
  *       200:
- *         description: Server is healthy
+ *         description: Usage returned successfully
  *         content:
  *           application/json:
  *             schema:
- *               type: object
- *               properties:
- *                 status:
- *                   type: string
- *                   example: "OK"
- *                 timestamp:
- *                   type: string
- *                   format: date-time
- *                   example: "2024-01-01T00:00:00.000Z"
+ *               $ref: '#/components/schemas/Usage'
  */
-app.get("/api/health", (req, res) => {
-	res.json({ status: "OK", timestamp: new Date().toISOString() });
+app.get("/api/usage", (req, res) => {
+	try {
+		const usage = usageTracker.report(req.user.id);
+
+		res.json({
+			...usage,
+			documents: usage.documents.map((document) => {
+				const pdfInfo = getUserPdf(req.user, document.pdfId);
+				return { ...document, filename: pdfInfo ? pdfInfo.filename : null };
+			}),
+		});
+	} catch (error) {
+		console.error("Usage error:", error);
+		res.status(500).json({ error: "Failed to retrieve usage" });
+	}
 });
 
 // Catch-all route for undefined endpoints
@@ -763,16 +6132,47 @@ app.use("*", (req, res) => {
 			docs: "/api-docs",
 			upload: "/api/upload-pdf",
 			chat: "/api/chat",
+			chatStream: "/api/chat/stream",
+			conversations: "/api/conversations",
+			conversation: "/api/conversations/:id",
+			conversationMessages: "/api/conversations/:id/messages",
 			pdfFile: "/api/pdf/:id/file",
 			pdfText: "/api/pdf/:id/text",
 			pdfSearch: "/api/pdf/:id/search",
+			search: "/api/search",
 			pdfPage: "/api/pdf/:id/page/:pageNumber",
+			pdfPageImage: "/api/pdf/:id/page/:pageNumber/image",
+			pdfThumbnail: "/api/pdf/:id/thumbnail",
+			pdfOutline: "/api/pdf/:id/outline",
+			pdfTables: "/api/pdf/:id/tables",
+			pdfTable: "/api/pdf/:id/tables/:tableId",
+			pdfSummary: "/api/pdf/:id/summary",
+			pdfExtract: "/api/pdf/:id/extract",
+			pdfExtractBatch: "/api/pdf/extract",
+			pdfCompare: "/api/pdf/compare",
+			pdfStatus: "/api/pdf/:id/status",
+			pdfStatusStream: "/api/pdf/:id/status/stream",
+			pdfRevisions: "/api/pdf/:id/revisions",
+			pdfAnnotations: "/api/pdf/:id/annotations",
+			pdfAnnotation: "/api/pdf/:id/annotations/:annotationId",
+			pdfExport: "/api/pdf/:id/export",
+			pdfs: "/api/pdfs",
+			pdf: "/api/pdf/:id",
+			usage: "/api/usage",
+			webhooks: "/api/webhooks",
+			webhook: "/api/webhooks/:id",
+			webhookDeliveries: "/api/webhooks/:id/deliveries",
 		},
 	});
 });
 
 // Error handling middleware
 app.use((error, req, res, next) => {
+	if (error instanceof multer.MulterError) {
+		const status = error.code === "LIMIT_FILE_SIZE" ? 413 : 400;
+		return res.status(status).json({ error: error.message, code: error.code });
+	}
+
 	console.error("Server error:", error);
 	res.status(500).json({ error: "Internal server error" });
 });
@@ -783,3 +6183,12 @@ app.listen(PORT, () => {
 	console.log(`Health check: http://localhost:${PORT}/api/health`);
 	console.log(`API Documentation: http://localhost:${PORT}/api-docs`);
 });
+
+// Stores write records behind the requests that change them; let the last writes land before exiting
+for (const signal of ["SIGINT", "SIGTERM"]) {
+	process.once(signal, () => {
+		flushStores()
+			.catch((error) => console.error("Failed to flush stores:", error))
+			.finally(() => process.exit(0));
+	});
+}
@@ -0,0 +1,121 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { PDFDocument, PDFArray, PDFDict, PDFName, PDFNumber, PDFRef, degrees } = require("pdf-lib");
+const { ANNOTATION_TYPES, DEFAULT_ANNOTATION_COLOR, exportAnnotatedPdf } = require("../lib/annotations");
+
+const UPDATED_AT = "2024-05-01T12:00:00.000Z";
+
+// A 600x800 point document, the second page rotated by 90 degrees
+const createPdf = async () => {
+	const doc = await PDFDocument.create();
+	doc.addPage([600, 800]);
+	doc.addPage([600, 800]).setRotation(degrees(90));
+	return Buffer.from(await doc.save());
+};
+
+const annotation = (fields) => ({ id: `a-${fields.type}`, color: DEFAULT_ANNOTATION_COLOR, updatedAt: UPDATED_AT, ...fields });
+
+// A quad of a passage from (left, top) to (right, bottom), in points from the top left of the displayed page
+const quad = (left, top, right, bottom) => [left, top, right, top, left, bottom, right, bottom];
+
+const numbers = (array) => array.asArray().map((value) => value.asNumber());
+
+// The annotation dictionaries of every page of an exported PDF
+const readAnnotations = async (buffer) => {
+	const doc = await PDFDocument.load(buffer);
+	return {
+		doc,
+		pages: doc.getPages().map((page) => {
+			const annots = page.node.lookupMaybe(PDFName.of("Annots"), PDFArray);
+			return annots ? annots.asArray().map((ref) => doc.context.lookup(ref, PDFDict)) : [];
+		}),
+	};
+};
+
+// Titles of the outline entries, following First and Next
+const readOutline = (doc) => {
+	const outlines = doc.catalog.lookupMaybe(PDFName.of("Outlines"), PDFDict);
+	const titles = [];
+	for (let ref = outlines && outlines.get(PDFName.of("First")); ref instanceof PDFRef; ) {
+		const item = doc.context.lookup(ref, PDFDict);
+		titles.push(item.lookup(PDFName.of("Title")).decodeText());
+		ref = item.get(PDFName.of("Next"));
+	}
+	return { titles, count: outlines && outlines.lookup(PDFName.of("Count"), PDFNumber).asNumber() };
+};
+
+test("annotation types and default color", () => {
+	assert.deepEqual(ANNOTATION_TYPES, ["highlight", "comment", "bookmark"]);
+	assert.match(DEFAULT_ANNOTATION_COLOR, /^#[0-9a-f]{6}$/);
+});
+
+test("highlights become Highlight annotations over their quads", async () => {
+	const output = await exportAnnotatedPdf(await createPdf(), [
+		annotation({ type: "highlight", page: 1, quads: [quad(50, 100, 150, 112), quad(50, 114, 90, 126)], text: "Net 30", note: "Check", color: "#ff0000" }),
+	]);
+	const { pages } = await readAnnotations(output);
+	const [highlight] = pages[0];
+
+	assert.equal(pages[0].length, 1);
+	assert.equal(highlight.lookup(PDFName.of("Subtype")).asString(), "/Highlight");
+	assert.deepEqual(numbers(highlight.lookup(PDFName.of("Rect"))), [50, 674, 150, 700]);
+	assert.deepEqual(numbers(highlight.lookup(PDFName.of("QuadPoints"))), [50, 700, 150, 700, 50, 688, 150, 688, 50, 686, 90, 686, 50, 674, 90, 674]);
+	assert.deepEqual(numbers(highlight.lookup(PDFName.of("C"))), [1, 0, 0]);
+	assert.equal(highlight.lookup(PDFName.of("Contents")).decodeText(), "Check");
+	assert.equal(highlight.lookup(PDFName.of("NM")).decodeText(), "a-highlight");
+	assert.equal(highlight.lookup(PDFName.of("M")).decodeDate().toISOString(), UPDATED_AT);
+});
+
+test("comments become notes next to their passage or at the top of the page", async () => {
+	const output = await exportAnnotatedPdf(await createPdf(), [
+		annotation({ id: "on-passage", type: "comment", page: 1, quads: [quad(50, 100, 150, 112)], note: "Too vague" }),
+		annotation({ id: "on-page", type: "comment", page: 1, note: "Missing signature" }),
+		// Highlights without quads, as on OCR pages, are exported as notes holding their text
+		annotation({ id: "ocr", type: "highlight", page: 1, text: "Scanned words" }),
+	]);
+	const { pages } = await readAnnotations(output);
+
+	assert.deepEqual(
+		pages[0].map((dict) => [
+			dict.lookup(PDFName.of("NM")).decodeText(),
+			dict.lookup(PDFName.of("Subtype")).asString(),
+			numbers(dict.lookup(PDFName.of("Rect"))),
+			dict.lookup(PDFName.of("Contents")).decodeText(),
+		]),
+		[
+			["on-passage", "/Text", [150, 676, 174, 700], "Too vague"],
+			["on-page", "/Text", [0, 776, 24, 800], "Missing signature"],
+			["ocr", "/Text", [0, 776, 24, 800], "Scanned words"],
+		],
+	);
+});
+
+test("quads on rotated pages are mapped to the user space of the page", async () => {
+	const output = await exportAnnotatedPdf(await createPdf(), [annotation({ type: "highlight", page: 2, quads: [quad(50, 100, 150, 112)] })]);
+	const { pages } = await readAnnotations(output);
+
+	assert.deepEqual(pages[0], []);
+	assert.deepEqual(numbers(pages[1][0].lookup(PDFName.of("QuadPoints"))), [100, 50, 100, 150, 112, 50, 112, 150]);
+});
+
+test("bookmarks are added after the existing outline entries", async () => {
+	const first = await exportAnnotatedPdf(await createPdf(), [annotation({ type: "bookmark", page: 2, note: "Appendix" })]);
+	const second = await exportAnnotatedPdf(first, [
+		annotation({ type: "bookmark", page: 1 }),
+		annotation({ type: "bookmark", page: 2, note: "Résumé" }),
+	]);
+	const { doc, pages } = await readAnnotations(second);
+
+	assert.deepEqual(readOutline(doc), { titles: ["Appendix", "Page 1", "Résumé"], count: 3 });
+	assert.deepEqual(pages, [[], []]);
+});
+
+test("exporting leaves the original document untouched", async () => {
+	const input = await createPdf();
+	const copy = Buffer.from(input);
+	await exportAnnotatedPdf(input, [annotation({ type: "comment", page: 1, note: "Note" })]);
+
+	assert.deepEqual(input, copy);
+	const { pages } = await readAnnotations(input);
+	assert.deepEqual(pages, [[], []]);
+});
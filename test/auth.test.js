@@ -0,0 +1,255 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+const { ANONYMOUS_USER, createApiKeyVerifier, createJwtVerifier, createAuthMiddleware, createAuthFromEnv } = require("../lib/auth");
+
+const SECRET = "test-secret";
+const NOW = 1_700_000_000;
+
+const base64Url = (value) => Buffer.from(value).toString("base64url");
+
+// Sign a JWT the way an identity provider would; `header` and `secret` can be swapped to forge one
+const signJwt = (claims, { header = { alg: "HS256", typ: "JWT" }, secret = SECRET } = {}) => {
+	const unsigned = `${base64Url(JSON.stringify(header))}.${base64Url(JSON.stringify(claims))}`;
+	const signature = crypto.createHmac("sha256", secret).update(unsigned).digest("base64url");
+	return `${unsigned}.${signature}`;
+};
+
+// Verify at a fixed time so exp and nbf can be tested
+const verifyAt = (t, verifier, token) => {
+	t.mock.timers.enable({ apis: ["Date"], now: NOW * 1000 });
+	return verifier(token);
+};
+
+// Just enough of an Express request and response to see what the middleware does
+const createRequest = ({ method = "GET", headers = {}, query = {} } = {}) => {
+	const lowerCased = Object.fromEntries(Object.entries(headers).map(([name, value]) => [name.toLowerCase(), value]));
+	return { method, query, get: (name) => lowerCased[name.toLowerCase()] };
+};
+
+const createResponse = () => ({
+	headers: {},
+	statusCode: 200,
+	body: undefined,
+	setHeader(name, value) {
+		this.headers[name] = value;
+	},
+	status(code) {
+		this.statusCode = code;
+		return this;
+	},
+	json(body) {
+		this.body = body;
+		return this;
+	},
+});
+
+// Run one request through the middleware; `passed` is set when it was handed on
+const authenticate = async (middleware, request) => {
+	const req = createRequest(request);
+	const res = createResponse();
+	let passed = false;
+	let error;
+	await middleware(req, res, (err) => {
+		passed = !err;
+		error = err;
+	});
+	return { passed, error, req, res };
+};
+
+test("createApiKeyVerifier maps each key to its user", () => {
+	const verifyApiKey = createApiKeyVerifier("alpha-key:alice, beta:key:bob");
+
+	assert.deepEqual(verifyApiKey("alpha-key"), { id: "alice" });
+	// The last colon separates the user, so keys may contain colons
+	assert.deepEqual(verifyApiKey("beta:key"), { id: "bob" });
+	assert.equal(verifyApiKey("alpha"), null);
+	assert.equal(verifyApiKey(""), null);
+});
+
+test("createApiKeyVerifier rejects entries without a key or a user", () => {
+	assert.throws(() => createApiKeyVerifier("just-a-key"), /key:userId/);
+	assert.throws(() => createApiKeyVerifier(":alice"), /key:userId/);
+	assert.throws(() => createApiKeyVerifier("key:"), /key:userId/);
+});
+
+test("createJwtVerifier accepts a valid token and returns its subject", (t) => {
+	const verifyToken = createJwtVerifier({ secret: SECRET });
+	const token = signJwt({ sub: "alice", iat: NOW, exp: NOW + 60 });
+
+	assert.deepEqual(verifyAt(t, verifyToken, token), { id: "alice" });
+});
+
+test("createJwtVerifier rejects tokens signed with another secret or tampered with", (t) => {
+	const verifyToken = createJwtVerifier({ secret: SECRET });
+	const forged = signJwt({ sub: "alice" }, { secret: "other-secret" });
+	const [header, , signature] = signJwt({ sub: "alice" }).split(".");
+	const tampered = `${header}.${base64Url(JSON.stringify({ sub: "mallory" }))}.${signature}`;
+
+	assert.equal(verifyAt(t, verifyToken, forged), null);
+	assert.equal(verifyToken(tampered), null);
+	assert.equal(verifyToken(`${header}.${base64Url(JSON.stringify({ sub: "alice" }))}.`), null);
+});
+
+test("createJwtVerifier only accepts HS256", (t) => {
+	const verifyToken = createJwtVerifier({ secret: SECRET });
+	const claims = { sub: "alice" };
+	const unsigned = `${base64Url(JSON.stringify({ alg: "none", typ: "JWT" }))}.${base64Url(JSON.stringify(claims))}.`;
+
+	assert.equal(verifyAt(t, verifyToken, unsigned), null);
+	assert.equal(verifyToken(signJwt(claims, { header: { alg: "none" } })), null);
+	assert.equal(verifyToken(signJwt(claims, { header: { alg: "HS512" } })), null);
+	// An RS256 token whose signature is an HMAC with the secret, as in key confusion attacks
+	assert.equal(verifyToken(signJwt(claims, { header: { alg: "RS256" } })), null);
+});
+
+test("createJwtVerifier rejects expired and not yet valid tokens", (t) => {
+	const verifyToken = createJwtVerifier({ secret: SECRET });
+	t.mock.timers.enable({ apis: ["Date"], now: NOW * 1000 });
+
+	assert.equal(verifyToken(signJwt({ sub: "alice", exp: NOW - 1 })), null);
+	assert.equal(verifyToken(signJwt({ sub: "alice", exp: NOW })), null);
+	assert.equal(verifyToken(signJwt({ sub: "alice", nbf: NOW + 60 })), null);
+	assert.deepEqual(verifyToken(signJwt({ sub: "alice", nbf: NOW, exp: NOW + 1 })), { id: "alice" });
+});
+
+test("createJwtVerifier checks the issuer and audience when configured", (t) => {
+	const verifyToken = createJwtVerifier({ secret: SECRET, issuer: "https://id.example.com", audience: "pdf-chat" });
+	t.mock.timers.enable({ apis: ["Date"], now: NOW * 1000 });
+
+	assert.deepEqual(verifyToken(signJwt({ sub: "alice", iss: "https://id.example.com", aud: "pdf-chat" })), { id: "alice" });
+	assert.deepEqual(verifyToken(signJwt({ sub: "alice", iss: "https://id.example.com", aud: ["other", "pdf-chat"] })), {
+		id: "alice",
+	});
+	assert.equal(verifyToken(signJwt({ sub: "alice", iss: "https://evil.example.com", aud: "pdf-chat" })), null);
+	assert.equal(verifyToken(signJwt({ sub: "alice", aud: "pdf-chat" })), null);
+	assert.equal(verifyToken(signJwt({ sub: "alice", iss: "https://id.example.com", aud: "other" })), null);
+	assert.equal(verifyToken(signJwt({ sub: "alice", iss: "https://id.example.com" })), null);
+});
+
+test("createJwtVerifier needs a subject and well-formed tokens", (t) => {
+	const verifyToken = createJwtVerifier({ secret: SECRET });
+
+	assert.equal(verifyAt(t, verifyToken, signJwt({ name: "Alice" })), null);
+	assert.equal(verifyToken(signJwt({ sub: "" })), null);
+	assert.equal(verifyToken(signJwt({ sub: 42 })), null);
+	assert.equal(verifyToken("not-a-jwt"), null);
+	assert.equal(verifyToken("a.b.c"), null);
+});
+
+test("the middleware lets every request through as the anonymous user without verifiers", async () => {
+	const middleware = createAuthMiddleware();
+	const { passed, req } = await authenticate(middleware, { method: "POST" });
+
+	assert.equal(middleware.enabled, false);
+	assert.equal(passed, true);
+	assert.equal(req.user, ANONYMOUS_USER);
+});
+
+test("the middleware accepts API keys in X-API-Key or as a bearer token", async () => {
+	const middleware = createAuthMiddleware({ verifyApiKey: createApiKeyVerifier("alpha-key:alice") });
+
+	const header = await authenticate(middleware, { method: "POST", headers: { "X-API-Key": "alpha-key" } });
+	assert.equal(header.passed, true);
+	assert.deepEqual(header.req.user, { id: "alice" });
+
+	const bearer = await authenticate(middleware, { method: "POST", headers: { Authorization: "Bearer alpha-key" } });
+	assert.equal(bearer.passed, true);
+	assert.deepEqual(bearer.req.user, { id: "alice" });
+});
+
+test("the middleware answers 401 for missing and invalid credentials", async () => {
+	const middleware = createAuthMiddleware({ verifyApiKey: createApiKeyVerifier("alpha-key:alice") });
+
+	const missing = await authenticate(middleware, { method: "POST" });
+	assert.equal(missing.passed, false);
+	assert.equal(missing.res.statusCode, 401);
+	assert.deepEqual(missing.res.body, { error: "Authentication required" });
+	assert.equal(missing.res.headers["WWW-Authenticate"], 'Bearer realm="pdf-chat"');
+
+	const invalid = await authenticate(middleware, { method: "POST", headers: { "X-API-Key": "wrong-key" } });
+	assert.equal(invalid.passed, false);
+	assert.equal(invalid.res.statusCode, 401);
+	assert.deepEqual(invalid.res.body, { error: "Invalid credentials" });
+});
+
+test("the middleware sends bearer JWTs to the token verifier", async (t) => {
+	const middleware = createAuthMiddleware({
+		verifyApiKey: createApiKeyVerifier("alpha-key:alice"),
+		verifyToken: createJwtVerifier({ secret: SECRET }),
+	});
+	t.mock.timers.enable({ apis: ["Date"], now: NOW * 1000 });
+
+	const valid = await authenticate(middleware, { headers: { Authorization: `Bearer ${signJwt({ sub: "bob" })}` } });
+	assert.equal(valid.passed, true);
+	assert.deepEqual(valid.req.user, { id: "bob" });
+
+	const expired = await authenticate(middleware, { headers: { Authorization: `Bearer ${signJwt({ sub: "bob", exp: NOW - 1 })}` } });
+	assert.equal(expired.passed, false);
+	assert.equal(expired.res.statusCode, 401);
+	assert.deepEqual(expired.res.body, { error: "Invalid credentials" });
+});
+
+test("the middleware accepts the access_token query parameter only on GET", async (t) => {
+	const middleware = createAuthMiddleware({ verifyToken: createJwtVerifier({ secret: SECRET }) });
+	t.mock.timers.enable({ apis: ["Date"], now: NOW * 1000 });
+	const query = { access_token: signJwt({ sub: "alice" }) };
+
+	const get = await authenticate(middleware, { method: "GET", query });
+	assert.equal(get.passed, true);
+	assert.deepEqual(get.req.user, { id: "alice" });
+
+	for (const method of ["POST", "PUT", "PATCH", "DELETE"]) {
+		const { passed, res } = await authenticate(middleware, { method, query });
+		assert.equal(passed, false, method);
+		assert.equal(res.statusCode, 401);
+		assert.deepEqual(res.body, { error: "Authentication required" });
+	}
+
+	// Repeated parameters arrive as an array and are ignored
+	const repeated = await authenticate(middleware, { method: "GET", query: { access_token: [query.access_token, "x"] } });
+	assert.equal(repeated.passed, false);
+});
+
+test("the middleware hands verifier errors to Express", async () => {
+	const failure = new Error("key store unavailable");
+	const middleware = createAuthMiddleware({
+		verifyApiKey: async () => {
+			throw failure;
+		},
+	});
+	const { passed, error } = await authenticate(middleware, { headers: { "X-API-Key": "alpha-key" } });
+
+	assert.equal(passed, false);
+	assert.equal(error, failure);
+});
+
+test("createAuthFromEnv refuses to run without credentials unless authentication is turned off", (t) => {
+	const names = ["API_KEYS", "JWT_SECRET", "JWT_ISSUER", "JWT_AUDIENCE", "AUTH_REQUIRED", "NODE_ENV"];
+	const saved = Object.fromEntries(names.map((name) => [name, process.env[name]]));
+	t.after(() => {
+		for (const name of names) {
+			if (saved[name] === undefined) {
+				delete process.env[name];
+			} else {
+				process.env[name] = saved[name];
+			}
+		}
+	});
+	for (const name of names) {
+		delete process.env[name];
+	}
+
+	assert.throws(() => createAuthFromEnv(), /AUTH_REQUIRED=false/);
+
+	process.env.AUTH_REQUIRED = "false";
+	assert.equal(createAuthFromEnv().enabled, false);
+
+	delete process.env.AUTH_REQUIRED;
+	process.env.NODE_ENV = "development";
+	assert.equal(createAuthFromEnv().enabled, false);
+
+	process.env.NODE_ENV = "production";
+	process.env.API_KEYS = "alpha-key:alice";
+	assert.equal(createAuthFromEnv().enabled, true);
+});
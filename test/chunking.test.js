@@ -0,0 +1,112 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { chunkPages } = require("../lib/chunking");
+
+const words = (count, prefix = "word") => Array.from({ length: count }, (_, index) => `${prefix}${index}`).join(" ");
+
+test("chunkPages keeps offsets into the text of the page", () => {
+	const pages = [
+		{ page: 1, text: words(60) },
+		{ page: 2, text: words(40, "term") },
+	];
+	const chunks = chunkPages(pages, { chunkSize: 100, overlap: 20 });
+
+	assert.ok(chunks.length > 4);
+	for (const chunk of chunks) {
+		assert.equal(pages[chunk.page - 1].text.slice(chunk.start, chunk.end), chunk.text);
+		assert.ok(chunk.end - chunk.start <= 100);
+	}
+});
+
+test("chunkPages never crosses a page boundary and numbers chunks per page", () => {
+	const chunks = chunkPages(
+		[
+			{ page: 1, text: words(30) },
+			{ page: 2, text: "Short page" },
+		],
+		{ chunkSize: 80, overlap: 10 },
+	);
+	const pageTwo = chunks.filter((chunk) => chunk.page === 2);
+
+	assert.deepEqual(pageTwo, [{ id: "p2-c0", page: 2, start: 0, end: 10, text: "Short page" }]);
+	assert.deepEqual(
+		chunks.filter((chunk) => chunk.page === 1).map((chunk) => chunk.id),
+		chunks.filter((chunk) => chunk.page === 1).map((_, index) => `p1-c${index}`),
+	);
+});
+
+test("chunkPages breaks at whitespace instead of inside words", () => {
+	const text = words(50);
+	const chunks = chunkPages([{ page: 1, text }], { chunkSize: 64, overlap: 16 });
+
+	for (const chunk of chunks) {
+		assert.ok(chunk.start === 0 || /\s/.test(text[chunk.start]), `chunk starts inside a word: ${chunk.text}`);
+		assert.ok(chunk.end === text.length || /\s/.test(text[chunk.end]), `chunk ends inside a word: ${chunk.text}`);
+	}
+});
+
+test("consecutive chunks overlap and together cover the page", () => {
+	const text = words(80);
+	const chunks = chunkPages([{ page: 1, text }], { chunkSize: 100, overlap: 30 });
+
+	assert.equal(chunks[0].start, 0);
+	assert.equal(chunks[chunks.length - 1].end, text.length);
+	for (let i = 1; i < chunks.length; i++) {
+		assert.ok(chunks[i].start < chunks[i - 1].end, "chunks do not overlap");
+		assert.ok(chunks[i].start > chunks[i - 1].start, "chunks do not advance");
+	}
+});
+
+test("chunkPages cuts text without whitespace at the chunk size", () => {
+	const text = "x".repeat(250);
+	const chunks = chunkPages([{ page: 1, text }], { chunkSize: 100, overlap: 0 });
+
+	assert.deepEqual(
+		chunks.map((chunk) => [chunk.start, chunk.end]),
+		[
+			[0, 100],
+			[100, 200],
+			[200, 250],
+		],
+	);
+});
+
+test("chunkPages skips blank pages and ends even with an overlap as large as the chunk", () => {
+	const chunks = chunkPages(
+		[
+			{ page: 1, text: "" },
+			{ page: 2, text: "   \n  " },
+			{ page: 3, text: words(40) },
+		],
+		{ chunkSize: 50, overlap: 500 },
+	);
+
+	assert.ok(chunks.length > 0);
+	assert.ok(chunks.every((chunk) => chunk.page === 3));
+});
+
+test("chunk size and overlap default to CHUNK_SIZE and CHUNK_OVERLAP", (t) => {
+	const saved = { CHUNK_SIZE: process.env.CHUNK_SIZE, CHUNK_OVERLAP: process.env.CHUNK_OVERLAP };
+	const modulePath = require.resolve("../lib/chunking");
+	t.after(() => {
+		for (const [name, value] of Object.entries(saved)) {
+			if (value === undefined) {
+				delete process.env[name];
+			} else {
+				process.env[name] = value;
+			}
+		}
+		delete require.cache[modulePath];
+	});
+
+	process.env.CHUNK_SIZE = "40";
+	process.env.CHUNK_OVERLAP = "0";
+	delete require.cache[modulePath];
+	const { chunkPages: chunkWithEnv } = require("../lib/chunking");
+	const text = "x".repeat(100);
+
+	assert.deepEqual(
+		chunkWithEnv([{ page: 1, text }]).map((chunk) => chunk.end),
+		[40, 80, 100],
+	);
+});
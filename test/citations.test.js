@@ -0,0 +1,106 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { numberSources, formatSources, findQuote, groundCitations } = require("../lib/citations");
+
+const PAGE_TEXT = "Intro.\n  The tenant shall pay rent monthly,   in advance.\nLate payments incur a 5% fee.  ";
+
+// Sources as the chat route builds them: one passage of a page, and one of another PDF
+const createSources = () =>
+	numberSources([
+		{ pdfId: "pdf-1", filename: "lease.pdf", page: 2, start: 6, end: PAGE_TEXT.length, text: PAGE_TEXT.slice(6), score: 0.876543 },
+		{ pdfId: "pdf-2", filename: "terms.pdf", page: 1, start: 0, end: 24, text: "Refunds take — 30 days.", score: 0.5 },
+	]);
+
+test("numberSources numbers passages from 1 and trims them with their offsets", () => {
+	const [first, second] = createSources();
+
+	assert.equal(first.id, 1);
+	assert.equal(second.id, 2);
+	assert.equal(first.text, "The tenant shall pay rent monthly,   in advance.\nLate payments incur a 5% fee.");
+	assert.equal(PAGE_TEXT.slice(first.start, first.end), first.text);
+	assert.equal(first.score, 0.8765);
+});
+
+test("formatSources labels each passage with its number, file and page", () => {
+	assert.equal(
+		formatSources(createSources()),
+		"[1] lease.pdf, page 2\nThe tenant shall pay rent monthly,   in advance.\nLate payments incur a 5% fee.\n\n[2] terms.pdf, page 1\nRefunds take — 30 days.",
+	);
+});
+
+test("findQuote ignores case, whitespace, typographic quotes and dashes", () => {
+	const text = "He said it’s   due\non the 1st – no exceptions.";
+	const start = text.indexOf("it’s");
+
+	assert.deepEqual(findQuote("it's due on the 1st - no exceptions", text), { start, end: text.indexOf(".") });
+	assert.deepEqual(findQuote("IT'S DUE", text), { start, end: text.indexOf("\n") });
+	assert.equal(findQuote("it is due", text), null);
+	assert.equal(findQuote("...", text), null);
+});
+
+test("findQuote matches quotes shortened with an ellipsis when the parts are in order", () => {
+	const text = "Payment is due on the first day of each month, without deduction.";
+
+	assert.deepEqual(findQuote("Payment is due … without deduction.", text), { start: 0, end: text.length - 1 });
+	assert.deepEqual(findQuote("Payment is due...each month", text), { start: 0, end: text.indexOf(",") });
+	assert.equal(findQuote("without deduction ... Payment is due", text), null);
+});
+
+test("groundCitations turns markers into citations of the numbered sources", () => {
+	const sources = createSources();
+	const citations = groundCitations("Rent is paid monthly [1]. Refunds are slow [1, 2][2].", sources);
+
+	assert.deepEqual(
+		citations.map((citation) => [citation.source, citation.pdfId, citation.page, citation.verified]),
+		[
+			[1, "pdf-1", 2, true],
+			[2, "pdf-2", 1, true],
+		],
+	);
+	assert.equal(citations[0].text, sources[0].text);
+	assert.equal(citations[0].confidence, sources[0].score);
+});
+
+test("groundCitations points quoted citations at the quoted span of the page", () => {
+	const [citation] = groundCitations('The lease says "late payments incur a 5% fee" [1].', createSources());
+
+	assert.equal(citation.verified, true);
+	assert.equal(citation.quote, "late payments incur a 5% fee");
+	assert.equal(citation.text, "Late payments incur a 5% fee");
+	assert.equal(PAGE_TEXT.slice(citation.start, citation.end), citation.text);
+});
+
+test("groundCitations flags unknown sources and quotes missing from the source", () => {
+	const answer = 'Rent is "paid weekly" [1]. See also [7]. Refunds take "30 days" [2].';
+	const citations = groundCitations(answer, createSources());
+
+	assert.deepEqual(
+		citations.map(({ source, verified, reason }) => ({ source, verified, reason })),
+		[
+			{ source: 1, verified: false, reason: "quote-not-found" },
+			{ source: 7, verified: false, reason: "unknown-source" },
+			{ source: 2, verified: true, reason: undefined },
+		],
+	);
+
+	assert.deepEqual(
+		groundCitations(answer, createSources(), { dropUnverified: true }).map((citation) => citation.source),
+		[2],
+	);
+});
+
+test("groundCitations cites the same source again only for a different quote", () => {
+	const answer = 'It is monthly [1]. "The tenant shall pay rent" [1]. Again [1]. "The tenant shall pay rent" [1].';
+	const citations = groundCitations(answer, createSources());
+
+	assert.deepEqual(
+		citations.map((citation) => citation.quote),
+		[null, "The tenant shall pay rent"],
+	);
+});
+
+test("groundCitations returns nothing for answers without markers", () => {
+	assert.deepEqual(groundCitations("No sources were needed.", createSources()), []);
+	assert.deepEqual(groundCitations("", createSources()), []);
+	assert.deepEqual(groundCitations(undefined, createSources()), []);
+});
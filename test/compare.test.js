@@ -0,0 +1,62 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { splitParagraphs, diffWords, compareDocuments, formatChanges } = require("../lib/compare");
+
+const pages = (...texts) => texts.map((text, index) => ({ page: index + 1, text }));
+
+test("splitParagraphs breaks at blank lines and list items and keeps offsets into the page", () => {
+	const text = "Terms of use\n\nThe service is provided as is.\n1. Payment is due monthly.\n2. Refunds are not given.";
+	const paragraphs = splitParagraphs(pages(text));
+
+	assert.deepEqual(
+		paragraphs.map((paragraph) => paragraph.text),
+		["Terms of use", "The service is provided as is.", "1. Payment is due monthly.", "2. Refunds are not given."],
+	);
+	for (const paragraph of paragraphs) {
+		assert.equal(text.slice(paragraph.start, paragraph.end), paragraph.text);
+	}
+});
+
+test("diffWords marks removed and added words", () => {
+	assert.deepEqual(diffWords("The fee is 10 dollars", "The fee is 12 dollars per month"), [
+		{ type: "equal", text: "The fee is" },
+		{ type: "removed", text: "10" },
+		{ type: "added", text: "12" },
+		{ type: "equal", text: "dollars" },
+		{ type: "added", text: "per month" },
+	]);
+});
+
+test("reflowed text and moved page breaks are not changes", () => {
+	const result = compareDocuments(pages("Widgets are small devices.\n\nThey are sold worldwide."), pages("Widgets are small\ndevices.", "They are sold worldwide."));
+
+	assert.deepEqual(result.changes, []);
+	assert.deepEqual(result.stats, { unchanged: 2, added: 0, removed: 0, changed: 0 });
+});
+
+test("similar paragraphs are reported as changed, others as added or removed", () => {
+	const original = pages("Introduction to widgets.\n\nThe price of a widget is 10 dollars.\n\nShipping takes a week.");
+	const revised = pages("Introduction to widgets.\n\nThe price of a widget is 12 dollars.\n\nWidgets come in three colors.");
+	const { changes, stats } = compareDocuments(original, revised);
+
+	assert.deepEqual(stats, { unchanged: 1, added: 1, removed: 1, changed: 1 });
+	const changed = changes.find((change) => change.type === "changed");
+	assert.equal(changed.original.text, "The price of a widget is 10 dollars.");
+	assert.equal(changed.revised.text, "The price of a widget is 12 dollars.");
+	assert.equal(changes.find((change) => change.type === "removed").original.text, "Shipping takes a week.");
+	assert.equal(changes.find((change) => change.type === "added").revised.text, "Widgets come in three colors.");
+});
+
+test("documents that differ in too many paragraphs are refused", () => {
+	assert.throws(() => compareDocuments(pages("One.\n\nTwo."), pages("Three.\n\nFour."), { maxCells: 3 }), { code: "TOO_LARGE" });
+});
+
+test("formatChanges stops at the token budget", () => {
+	const { changes } = compareDocuments(pages("Alpha.\n\nBeta."), pages("Gamma.\n\nDelta."));
+	const all = formatChanges(changes, (text) => text.length, Infinity);
+	const some = formatChanges(changes, (text) => text.length, 60);
+
+	assert.equal(all.included, changes.length);
+	assert.ok(some.included < all.included);
+	assert.ok(some.text.length <= 60);
+});
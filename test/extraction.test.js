@@ -0,0 +1,146 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { compileSchema, describeSchema, extractStructuredData } = require("../lib/extraction");
+
+const SCHEMA = {
+	type: "object",
+	properties: {
+		invoiceNumber: { type: "string", description: "Number printed on the invoice" },
+		total: { type: "number" },
+		due_date: { type: "string", format: "date" },
+	},
+	required: ["invoiceNumber", "total"],
+};
+
+const PAGE_TEXTS = [
+	{ page: 1, text: "ACME Corp\nInvoice INV-042\nIssued 2024-03-01" },
+	{ page: 2, text: "Total due: 1,250.00 EUR\nPayable by 2024-03-31" },
+];
+
+// A provider answering with the given responses in turn, recording the messages it was sent
+const createLLM = (responses) => {
+	const calls = [];
+	return {
+		calls,
+		complete: async (request) => {
+			calls.push({ ...request, messages: [...request.messages] });
+			return { content: responses[calls.length - 1], tokenUsage: 100 };
+		},
+	};
+};
+
+const extract = (llm, overrides = {}) =>
+	extractStructuredData({
+		llm,
+		options: { model: "test-model", temperature: 0, maxTokens: 500 },
+		schema: SCHEMA,
+		validate: compileSchema(SCHEMA),
+		context: "[Page 1]\nACME Corp ...",
+		pageTexts: PAGE_TEXTS,
+		...overrides,
+	});
+
+test("compileSchema validates data, formats included", () => {
+	const validate = compileSchema(SCHEMA);
+
+	assert.equal(validate({ invoiceNumber: "INV-042", total: 1250, due_date: "2024-03-31" }), true);
+	assert.equal(validate({ invoiceNumber: "INV-042", total: 1250, due_date: "31/03/2024" }), false);
+	assert.equal(validate({ invoiceNumber: "INV-042" }), false);
+});
+
+test("compileSchema rejects values that are not schemas", () => {
+	for (const schema of [null, "object", [], 42]) {
+		assert.throws(() => compileSchema(schema), /JSON Schema object/);
+	}
+	assert.throws(() => compileSchema({ type: "not-a-type" }));
+});
+
+test("compileSchema compiles schemas sharing an $id independently", () => {
+	const first = compileSchema({ $id: "invoice", type: "string" });
+	const second = compileSchema({ $id: "invoice", type: "number" });
+
+	assert.equal(first("x"), true);
+	assert.equal(second(1), true);
+});
+
+test("describeSchema lists titles, descriptions and readable property names", () => {
+	const description = describeSchema({
+		title: "Invoice",
+		properties: {
+			...SCHEMA.properties,
+			lineItems: { type: "array", items: { properties: { unitPrice: { type: "number", description: "Price per unit" } } } },
+		},
+	});
+
+	assert.equal(description, "Invoice\ninvoice Number\nNumber printed on the invoice\ntotal\ndue date\nline Items\nunit Price\nPrice per unit");
+});
+
+test("extractStructuredData returns valid data and verifies the citations", async () => {
+	const llm = createLLM([
+		JSON.stringify({
+			data: { invoiceNumber: "INV-042", total: 1250 },
+			citations: [
+				{ field: "invoiceNumber", page: 1, quote: "Invoice INV-042" },
+				// Wrong page: the quote is still found on the page it is on
+				{ field: "total", page: 1, quote: "total due: 1,250.00" },
+				{ field: "due_date", page: 2, quote: "due on April 1st" },
+				{ page: 2, quote: "no field" },
+			],
+		}),
+	]);
+	const result = await extract(llm, { instructions: "Amounts in euros" });
+
+	assert.equal(result.valid, true);
+	assert.deepEqual(result.data, { invoiceNumber: "INV-042", total: 1250 });
+	assert.deepEqual(result.errors, []);
+	assert.equal(result.attempts, 1);
+	assert.equal(result.tokenUsage, 100);
+	assert.deepEqual(result.citations, [
+		{ field: "invoiceNumber", page: 1, quote: "Invoice INV-042", verified: true, start: 10, end: 25 },
+		{ field: "total", page: 2, quote: "total due: 1,250.00", verified: true, start: 0, end: 19 },
+		{ field: "due_date", page: 2, quote: "due on April 1st", verified: false },
+	]);
+
+	const [request] = llm.calls;
+	assert.deepEqual(request.responseFormat, { type: "json_object" });
+	assert.equal(request.model, "test-model");
+	assert.match(request.messages[1].content, /Instructions: Amounts in euros/);
+	assert.match(request.messages[1].content, /"invoiceNumber"/);
+});
+
+test("extractStructuredData accepts data returned without the envelope", async () => {
+	const result = await extract(createLLM([JSON.stringify({ invoiceNumber: "INV-042", total: 1250 })]));
+
+	assert.equal(result.valid, true);
+	assert.deepEqual(result.data, { invoiceNumber: "INV-042", total: 1250 });
+	assert.deepEqual(result.citations, []);
+});
+
+test("extractStructuredData retries with the validation errors until the data is valid", async () => {
+	const llm = createLLM([
+		"not json",
+		JSON.stringify({ data: { invoiceNumber: "INV-042", total: "1,250.00" } }),
+		JSON.stringify({ data: { invoiceNumber: "INV-042", total: 1250 } }),
+	]);
+	const result = await extract(llm);
+
+	assert.equal(result.valid, true);
+	assert.equal(result.attempts, 3);
+	assert.equal(result.tokenUsage, 300);
+
+	const [, second, third] = llm.calls;
+	assert.equal(second.messages.at(-2).content, "not json");
+	assert.match(second.messages.at(-1).content, /Response is not valid JSON/);
+	assert.match(third.messages.at(-1).content, /\/total must be number/);
+});
+
+test("extractStructuredData gives up after maxAttempts with the last data and errors", async () => {
+	const llm = createLLM([JSON.stringify({ data: { total: 1250 } }), JSON.stringify({ data: { total: "lots" } })]);
+	const result = await extract(llm, { maxAttempts: 2 });
+
+	assert.equal(result.valid, false);
+	assert.equal(result.attempts, 2);
+	assert.deepEqual(result.data, { total: "lots" });
+	assert.deepEqual(result.errors, ["/ must have required property 'invoiceNumber'", "/total must be number"]);
+	assert.equal(llm.calls.length, 2);
+});
@@ -0,0 +1,57 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+	PDFDocument,
+	PDFNumber,
+	PDFOperator,
+	PDFOperatorNames: Ops,
+	PDFString,
+	StandardFonts,
+} = require("pdf-lib");
+const { extractPages } = require("../lib/pdf");
+
+// One text object drawing a line per entry, switching to the given font before each line
+const createPdf = async (lines) => {
+	const pdfDoc = await PDFDocument.create();
+	const page = pdfDoc.addPage();
+	const fonts = {};
+	for (const name of ["Helvetica", "HelveticaBold"]) {
+		const font = await pdfDoc.embedFont(StandardFonts[name]);
+		fonts[name] = page.node.newFontDictionary(name, font.ref);
+	}
+
+	const operators = [PDFOperator.of(Ops.BeginText), PDFOperator.of(Ops.MoveText, [PDFNumber.of(50), PDFNumber.of(700)])];
+	lines.forEach(([fontName, line], index) => {
+		operators.push(PDFOperator.of(Ops.SetFontAndSize, [fonts[fontName], PDFNumber.of(12)]));
+		if (index > 0) {
+			operators.push(PDFOperator.of(Ops.MoveText, [PDFNumber.of(0), PDFNumber.of(-14)]));
+		}
+		operators.push(PDFOperator.of(Ops.ShowText, [PDFString.of(line)]));
+	});
+	operators.push(PDFOperator.of(Ops.EndText));
+	page.pushOperators(...operators);
+
+	return Buffer.from(await pdfDoc.save());
+};
+
+test("extractPages puts every line of a text object on its own line", async () => {
+	const pdf = await createPdf([
+		["Helvetica", "Region Q1 Q2 Q3"],
+		["Helvetica", "North 1,200"],
+		["Helvetica", "South 900"],
+	]);
+	const { pages } = await extractPages(pdf);
+
+	assert.equal(pages[0].text, "Region Q1 Q2 Q3\nNorth 1,200\nSouth 900");
+});
+
+test("font changes between lines do not add blank lines", async () => {
+	const pdf = await createPdf([
+		["HelveticaBold", "Region Q1 Q2 Q3"],
+		["Helvetica", "North 1,200"],
+		["HelveticaBold", "South 900"],
+	]);
+	const { pages } = await extractPages(pdf);
+
+	assert.equal(pages[0].text, "Region Q1 Q2 Q3\nNorth 1,200\nSouth 900");
+});
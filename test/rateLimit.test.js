@@ -0,0 +1,77 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { createRateLimiter } = require("../lib/rateLimit");
+
+// Just enough of an Express response to see what the limiter answers
+const createResponse = () => ({
+	headers: {},
+	statusCode: 200,
+	body: undefined,
+	setHeader(name, value) {
+		this.headers[name] = value;
+	},
+	status(code) {
+		this.statusCode = code;
+		return this;
+	},
+	json(body) {
+		this.body = body;
+		return this;
+	},
+});
+
+// Run one request through the limiter; resolves true when it was passed on
+const send = (limiter, req) => {
+	const res = createResponse();
+	let passed = false;
+	limiter(req, res, () => {
+		passed = true;
+	});
+	return { passed, res };
+};
+
+test("requests over the limit are answered with 429 and Retry-After", (t) => {
+	t.mock.timers.enable({ apis: ["Date"] });
+	const limiter = createRateLimiter({ name: "chat", windowMs: 60000, max: 2 });
+	const req = { user: { id: "alice" }, ip: "10.0.0.1" };
+
+	assert.equal(send(limiter, req).passed, true);
+	const second = send(limiter, req);
+	assert.equal(second.passed, true);
+	assert.equal(second.res.headers["RateLimit-Remaining"], 0);
+
+	const third = send(limiter, req);
+	assert.equal(third.passed, false);
+	assert.equal(third.res.statusCode, 429);
+	assert.equal(third.res.body.code, "RATE_LIMITED");
+	assert.equal(third.res.headers["Retry-After"], 60);
+});
+
+test("every client has a window of its own, which starts over once it ends", (t) => {
+	t.mock.timers.enable({ apis: ["Date"] });
+	const limiter = createRateLimiter({ name: "upload", windowMs: 1000, max: 1 });
+	const alice = { user: { id: "alice" }, ip: "10.0.0.1" };
+	const bob = { user: { id: "bob" }, ip: "10.0.0.1" };
+
+	assert.equal(send(limiter, alice).passed, true);
+	assert.equal(send(limiter, alice).passed, false);
+	assert.equal(send(limiter, bob).passed, true);
+
+	t.mock.timers.tick(1000);
+	assert.equal(send(limiter, alice).passed, true);
+});
+
+test("anonymous requests are counted per IP address", () => {
+	const limiter = createRateLimiter({ name: "chat", windowMs: 60000, max: 1 });
+
+	assert.equal(send(limiter, { user: { id: "anonymous" }, ip: "10.0.0.1" }).passed, true);
+	assert.equal(send(limiter, { user: { id: "anonymous" }, ip: "10.0.0.2" }).passed, true);
+	assert.equal(send(limiter, { user: { id: "anonymous" }, ip: "10.0.0.1" }).passed, false);
+});
+
+test("a max of 0 disables the limit", () => {
+	const limiter = createRateLimiter({ name: "chat", windowMs: 60000, max: 0 });
+	for (let i = 0; i < 5; i++) {
+		assert.equal(send(limiter, { ip: "10.0.0.1" }).passed, true);
+	}
+});
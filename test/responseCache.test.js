@@ -0,0 +1,83 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { MemoryStore } = require("../lib/store");
+const { normalizeQuestion, ResponseCache } = require("../lib/responseCache");
+
+const scope = (overrides = {}) =>
+	ResponseCache.scopeKey({
+		userId: "alice",
+		pdfs: [
+			{ id: "pdf-1", version: "hash-1" },
+			{ id: "pdf-2", version: "hash-2" },
+		],
+		params: ["mock", "model", 0.7],
+		...overrides,
+	});
+
+test("normalizeQuestion ignores case, spacing and trailing punctuation", () => {
+	assert.equal(normalizeQuestion("  What  is a WIDGET?? "), "what is a widget");
+});
+
+test("scope keys change with the user, document versions and parameters but not the order of the PDFs", () => {
+	assert.equal(
+		scope(),
+		scope({
+			pdfs: [
+				{ id: "pdf-2", version: "hash-2" },
+				{ id: "pdf-1", version: "hash-1" },
+			],
+		}),
+	);
+	assert.notEqual(scope(), scope({ userId: "bob" }));
+	assert.notEqual(scope(), scope({ pdfs: [{ id: "pdf-1", version: "hash-3" }] }));
+	assert.notEqual(scope(), scope({ params: ["mock", "model", 0.2] }));
+});
+
+test("answers are found by normalized question within their scope", () => {
+	const cache = new ResponseCache(new MemoryStore(), { ttlMs: 60000, maxEntries: 10 });
+	cache.set(scope(), "What is a widget?", { pdfIds: ["pdf-1", "pdf-2"], response: { message: "A device" } });
+
+	const hit = cache.get(scope(), "what is a widget");
+	assert.equal(hit.match, "exact");
+	assert.equal(hit.entry.response.message, "A device");
+	assert.equal(hit.entry.hits, 1);
+	assert.equal(cache.get(scope({ userId: "bob" }), "What is a widget?"), null);
+});
+
+test("near-duplicate questions match once the similarity threshold is set", () => {
+	const cache = new ResponseCache(new MemoryStore(), { ttlMs: 60000, maxEntries: 10, similarity: 0.9 });
+	cache.set(scope(), "What is a widget?", { pdfIds: ["pdf-1"], response: { message: "A device" }, vector: [1, 0] });
+
+	const hit = cache.get(scope(), "Explain widgets", [0.99, 0.1]);
+	assert.equal(hit.match, "semantic");
+	assert.equal(cache.get(scope(), "Explain pricing", [0, 1]), null);
+});
+
+test("invalidatePdf removes every answer that used the PDF", () => {
+	const cache = new ResponseCache(new MemoryStore(), { ttlMs: 60000, maxEntries: 10 });
+	cache.set(scope(), "first", { pdfIds: ["pdf-1", "pdf-2"], response: {} });
+	cache.set(scope(), "second", { pdfIds: ["pdf-2"], response: {} });
+	cache.set(scope(), "third", { pdfIds: ["pdf-3"], response: {} });
+
+	assert.equal(cache.invalidatePdf("pdf-2").length, 2);
+	assert.equal(cache.get(scope(), "first"), null);
+	assert.equal(cache.get(scope(), "second"), null);
+	assert.notEqual(cache.get(scope(), "third"), null);
+});
+
+test("entries expire after the TTL and the oldest are dropped above maxEntries", (t) => {
+	t.mock.timers.enable({ apis: ["Date"] });
+	const cache = new ResponseCache(new MemoryStore(), { ttlMs: 1000, maxEntries: 2 });
+
+	cache.set(scope(), "first", { pdfIds: [], response: {} });
+	t.mock.timers.tick(10);
+	cache.set(scope(), "second", { pdfIds: [], response: {} });
+	t.mock.timers.tick(10);
+	cache.set(scope(), "third", { pdfIds: [], response: {} });
+	assert.equal(cache.get(scope(), "first"), null);
+	assert.notEqual(cache.get(scope(), "third"), null);
+
+	t.mock.timers.tick(1000);
+	assert.equal(cache.get(scope(), "third"), null);
+	assert.equal(cache.prune().length, 2);
+});
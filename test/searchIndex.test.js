@@ -0,0 +1,86 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { stem, buildSearchIndex, parseQuery, searchDocuments, buildSnippet } = require("../lib/searchIndex");
+
+const pages = [
+	{ page: 1, text: "Widgets are priced per unit. The pricing of widgets changes yearly." },
+	{ page: 2, text: "Shipping takes a week. Widget prices include shipping." },
+	{ page: 3, text: "The constructor builds a new object from its prototype." },
+];
+
+// Indexes are stored as JSON, so search the serialized form like the server does
+const document = (id, pageTexts) => ({ id, index: JSON.parse(JSON.stringify(buildSearchIndex(pageTexts))) });
+
+test("stem folds plurals and common endings", () => {
+	assert.equal(stem("prices"), "price");
+	assert.equal(stem("priced"), "price");
+	assert.equal(stem("pricing"), "price");
+	assert.equal(stem("running"), "run");
+	assert.equal(stem("q3"), "q3");
+});
+
+test("words named like object properties are indexed and found", () => {
+	const text = "constructor __proto__ toString hasOwnProperty valueOf";
+	const index = buildSearchIndex([{ page: 1, text }]);
+	assert.equal(Object.keys(index.postings).length, 5);
+
+	for (const query of ["constructor", "__proto__", "toString", "hasOwnProperty"]) {
+		assert.equal(searchDocuments([document("pdf-1", [{ page: 1, text }])], query).length, 1, query);
+	}
+	// Terms missing from the index do not fall through to the prototype
+	assert.deepEqual(searchDocuments([document("pdf-1", pages.slice(0, 2))], "constructor"), []);
+});
+
+test("pages are ranked by BM25 and report the matched terms", () => {
+	const hits = searchDocuments([document("pdf-1", pages)], "pricing widgets");
+
+	assert.deepEqual(
+		hits.map((hit) => hit.page),
+		[1, 2],
+	);
+	assert.ok(hits[0].score > hits[1].score);
+	assert.deepEqual(hits[0].terms.sort(), ["price", "widget"]);
+});
+
+test("phrases must match in order while prefix and fuzzy terms expand", () => {
+	const documents = [document("pdf-1", pages)];
+
+	assert.deepEqual(
+		searchDocuments(documents, '"include shipping"').map((hit) => hit.page),
+		[2],
+	);
+	assert.deepEqual(searchDocuments(documents, '"shipping include"'), []);
+	assert.deepEqual(
+		searchDocuments(documents, "ship*").map((hit) => hit.page),
+		[2],
+	);
+	assert.deepEqual(
+		searchDocuments(documents, "widgit~").map((hit) => hit.page).sort(),
+		[1, 2],
+	);
+});
+
+test("parseQuery separates phrases, prefixes and fuzzy terms", () => {
+	assert.deepEqual(parseQuery('"unit price" ship* widgit~ week'), {
+		phrases: [["unit", "price"]],
+		terms: [
+			{ term: "ship", mode: "prefix" },
+			{ term: "widgit", mode: "fuzzy" },
+			{ term: "week", mode: "exact" },
+		],
+	});
+});
+
+test("buildSnippet returns match offsets in the page and in the snippet", () => {
+	const { snippet, snippetStart, highlights, matches } = buildSnippet(pages[1].text, ["ship"], 40);
+
+	const second = pages[1].text.lastIndexOf("shipping");
+	assert.deepEqual(matches, [
+		{ start: 0, end: 8 },
+		{ start: second, end: second + 8 },
+	]);
+	for (const { start, end } of highlights) {
+		assert.equal(snippet.slice(start, end).toLowerCase(), "shipping");
+	}
+	assert.equal(pages[1].text.slice(snippetStart, snippetStart + snippet.length), snippet);
+});
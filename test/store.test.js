@@ -0,0 +1,63 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const os = require("os");
+const path = require("path");
+const fs = require("fs-extra");
+const { MemoryStore, FileStore } = require("../lib/store");
+
+const tempDirectory = () => fs.mkdtempSync(path.join(os.tmpdir(), "store-test-"));
+
+test("MemoryStore prune removes the records the predicate rejects", () => {
+	const store = new MemoryStore();
+	store.set("a", { keep: true }).set("b", { keep: false });
+
+	assert.deepEqual(store.prune((record) => record.keep), ["b"]);
+	assert.deepEqual([...store.keys()], ["a"]);
+});
+
+test("FileStore writes the last version of a record set several times", async (t) => {
+	const directory = tempDirectory();
+	t.after(() => fs.remove(directory));
+
+	const store = new FileStore(directory);
+	for (let i = 0; i < 50; i++) {
+		store.set("doc", { id: "doc", revision: i });
+	}
+	// Updates are visible at once, before they are written
+	assert.equal(store.get("doc").revision, 49);
+
+	await store.flush();
+	assert.deepEqual(await fs.readJson(path.join(directory, "doc.json")), { id: "doc", revision: 49 });
+	assert.deepEqual(await fs.readdir(directory), ["doc.json"]);
+});
+
+test("FileStore removes deleted records and keeps records set again after a delete", async (t) => {
+	const directory = tempDirectory();
+	t.after(() => fs.remove(directory));
+
+	const store = new FileStore(directory);
+	store.set("gone", { id: "gone" });
+	store.set("back", { id: "back", value: 1 });
+	await store.flush();
+
+	store.delete("gone");
+	store.delete("back");
+	store.set("back", { id: "back", value: 2 });
+	await store.flush();
+
+	assert.deepEqual(await fs.readdir(directory), ["back.json"]);
+	assert.equal(new FileStore(directory).get("back").value, 2);
+});
+
+test("FileStore loads records with ids that are not valid file names", async (t) => {
+	const directory = tempDirectory();
+	t.after(() => fs.remove(directory));
+
+	const store = new FileStore(directory);
+	store.set("pdf@2", { id: "pdf@2" });
+	store.set("a/b", { id: "a/b" });
+	await store.flush();
+
+	const reloaded = new FileStore(directory);
+	assert.deepEqual([...reloaded.keys()].sort(), ["a/b", "pdf@2"]);
+});
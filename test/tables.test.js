@@ -0,0 +1,101 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { detectTables, tableToMarkdown, tableToCsv } = require("../lib/tables");
+
+// Text items of a line, one per cell, placed at the given x positions
+const line = (y, cells) =>
+	cells.map(([x, text]) => ({ text, x, y, width: text.length * 5, height: 10 }));
+
+test("detectTables finds the rows and columns of a table", () => {
+	const items = [
+		...line(100, [[50, "Region"], [200, "Q1"], [300, "Q2"]]),
+		...line(115, [[50, "North"], [200, "1,200"], [300, "1,350"]]),
+		...line(130, [[50, "South"], [200, "900"], [300, "980"]]),
+	];
+	const tables = detectTables(items);
+
+	assert.equal(tables.length, 1);
+	assert.deepEqual(tables[0].rows, [
+		["Region", "Q1", "Q2"],
+		["North", "1,200", "1,350"],
+		["South", "900", "980"],
+	]);
+	assert.deepEqual(tables[0].bbox, { x: 50, y: 90, width: 275, height: 40 });
+});
+
+test("detectTables merges items that are close together into one cell", () => {
+	const items = [
+		...line(100, [[50, "Item"], [200, "Price"]]),
+		{ text: "Office", x: 50, y: 115, width: 30, height: 10 },
+		{ text: "chair", x: 83, y: 115, width: 25, height: 10 },
+		...line(115, [[200, "120"]]),
+	];
+
+	assert.deepEqual(detectTables(items)[0].rows, [
+		["Item", "Price"],
+		["Office chair", "120"],
+	]);
+});
+
+test("detectTables ignores running text and splits tables at wide vertical gaps", () => {
+	const items = [
+		...line(100, [[50, "A"], [200, "1"]]),
+		...line(115, [[50, "B"], [200, "2"]]),
+		...line(130, [[50, "A single line of running text across the page"]]),
+		...line(145, [[50, "C"], [200, "3"]]),
+		...line(160, [[50, "D"], [200, "4"]]),
+		...line(300, [[50, "E"], [200, "5"]]),
+		...line(315, [[50, "F"], [200, "6"]]),
+	];
+
+	assert.deepEqual(
+		detectTables(items).map((table) => table.rows),
+		[
+			[["A", "1"], ["B", "2"]],
+			[["C", "3"], ["D", "4"]],
+			[["E", "5"], ["F", "6"]],
+		],
+	);
+});
+
+test("detectTables does not mistake two columns of prose for a table", () => {
+	const prose = "This sentence is much longer than any cell of a table";
+	const items = [
+		...line(100, [[50, prose], [350, prose]]),
+		...line(115, [[50, prose], [350, prose]]),
+	];
+
+	assert.deepEqual(detectTables(items), []);
+});
+
+test("tableToMarkdown uses the first row as header and escapes pipes", () => {
+	assert.equal(
+		tableToMarkdown([
+			["Name", "Notes"],
+			["a|b", "two\nlines"],
+		]),
+		"| Name | Notes |\n| --- | --- |\n| a\\|b | two lines |",
+	);
+});
+
+test("tableToCsv quotes cells containing commas, quotes and line breaks", () => {
+	assert.equal(
+		tableToCsv([
+			["Name", "Amount"],
+			['Say "hi"', "1,200"],
+			["two\nlines", "900"],
+		]),
+		'Name,Amount\r\n"Say ""hi""","1,200"\r\n"two\nlines",900\r\n',
+	);
+});
+
+test("tableToCsv prefixes cells that would run as spreadsheet formulas", () => {
+	assert.equal(
+		tableToCsv([["=SUM(A1:A2)", "+1+2", "-2+3", "@cmd", '=HYPERLINK("http://x","y")']]),
+		`'=SUM(A1:A2),'+1+2,'-2+3,'@cmd,"'=HYPERLINK(""http://x"",""y"")"\r\n`,
+	);
+});
+
+test("tableToCsv leaves signed numbers and dashes alone", () => {
+	assert.equal(tableToCsv([["-1,200", "+5%", "-", "-0.5"]]), '"-1,200",+5%,-,-0.5\r\n');
+});
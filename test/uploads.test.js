@@ -0,0 +1,24 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { sanitizeFilename, contentDisposition, createPasswordSealer } = require("../lib/uploads");
+
+test("sanitizeFilename drops directories and reserved characters", () => {
+	assert.equal(sanitizeFilename("C:\\Users\\me\\report<1>.pdf"), "report_1_.pdf");
+	assert.equal(sanitizeFilename("../../etc/passwd"), "passwd");
+	assert.equal(sanitizeFilename("..."), "document.pdf");
+});
+
+test("contentDisposition sends an ASCII fallback and the encoded name", () => {
+	assert.equal(contentDisposition("attachment", "Résumé.pdf"), "attachment; filename=\"R_sum_.pdf\"; filename*=UTF-8''R%C3%A9sum%C3%A9.pdf");
+});
+
+test("sealed passwords open with the same key only", () => {
+	const sealer = createPasswordSealer("server-key");
+	const sealed = sealer.seal("secret");
+
+	assert.doesNotMatch(sealed, /secret/);
+	assert.notEqual(sealer.seal("secret"), sealed);
+	assert.equal(sealer.open(sealed), "secret");
+	assert.throws(() => createPasswordSealer("other-key").open(sealed));
+	assert.throws(() => sealer.open("not sealed"));
+});
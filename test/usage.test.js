@@ -0,0 +1,71 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { MemoryStore } = require("../lib/store");
+const { UsageTracker } = require("../lib/usage");
+
+test("usage is added up per user, per day and month and per document", () => {
+	const tracker = new UsageTracker(new MemoryStore());
+	const now = new Date("2026-03-10T12:00:00Z");
+
+	tracker.record("alice", 100, ["pdf-1", "pdf-2"], now);
+	tracker.record("alice", 50, ["pdf-1", "pdf-1"], now);
+	tracker.record("alice", -5, [], now);
+
+	const report = tracker.report("alice", now);
+	assert.equal(report.totalTokens, 150);
+	assert.equal(report.requests, 3);
+	assert.equal(report.today.tokens, 150);
+	assert.equal(report.month.tokens, 150);
+	assert.equal(report.today.limit, null);
+	assert.deepEqual(
+		report.documents.map(({ pdfId, tokens, requests }) => ({ pdfId, tokens, requests })),
+		[
+			{ pdfId: "pdf-1", tokens: 150, requests: 2 },
+			{ pdfId: "pdf-2", tokens: 100, requests: 1 },
+		],
+	);
+});
+
+test("checkQuota reports a used up daily quota until the next UTC day", () => {
+	const tracker = new UsageTracker(new MemoryStore(), { dailyQuota: 100 });
+	const now = new Date("2026-03-10T23:00:00Z");
+
+	tracker.record("alice", 99, [], now);
+	assert.equal(tracker.checkQuota("alice", now), null);
+
+	tracker.record("alice", 1, [], now);
+	assert.deepEqual(tracker.checkQuota("alice", now), {
+		period: "daily",
+		limit: 100,
+		used: 100,
+		resetAt: "2026-03-11T00:00:00.000Z",
+		retryAfter: 3600,
+	});
+
+	assert.equal(tracker.checkQuota("alice", new Date("2026-03-11T00:00:00Z")), null);
+	assert.equal(tracker.checkQuota("bob", now), null);
+});
+
+test("when both quotas are used up the later reset is reported", () => {
+	const tracker = new UsageTracker(new MemoryStore(), { dailyQuota: 10, monthlyQuota: 10 });
+	const now = new Date("2026-03-10T12:00:00Z");
+
+	tracker.record("alice", 10, [], now);
+	const exceeded = tracker.checkQuota("alice", now);
+	assert.equal(exceeded.period, "monthly");
+	assert.equal(exceeded.resetAt, "2026-04-01T00:00:00.000Z");
+});
+
+test("daily totals older than the kept history are dropped", () => {
+	const tracker = new UsageTracker(new MemoryStore());
+
+	tracker.record("alice", 10, [], new Date("2026-01-01T12:00:00Z"));
+	tracker.record("alice", 20, [], new Date("2026-03-10T12:00:00Z"));
+
+	const report = tracker.report("alice", new Date("2026-03-10T12:00:00Z"));
+	assert.deepEqual(report.daily, [{ date: "2026-03-10", tokens: 20 }]);
+	assert.deepEqual(report.monthly, [
+		{ month: "2026-01", tokens: 10 },
+		{ month: "2026-03", tokens: 20 },
+	]);
+});
@@ -0,0 +1,130 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+const http = require("http");
+const { MemoryStore } = require("../lib/store");
+const { signPayload, createAddressFilter, checkWebhookUrl, WebhookDispatcher } = require("../lib/webhooks");
+
+// Receiver on a local port that answers with the given status codes in turn and keeps the requests
+const startReceiver = async (statusCodes) => {
+	const requests = [];
+	const server = http.createServer((req, res) => {
+		let body = "";
+		req.on("data", (chunk) => (body += chunk));
+		req.on("end", () => {
+			requests.push({ headers: req.headers, body });
+			res.statusCode = statusCodes[Math.min(requests.length, statusCodes.length) - 1];
+			res.end();
+		});
+	});
+	await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+	return { url: `http://127.0.0.1:${server.address().port}/hook`, requests, close: () => new Promise((resolve) => server.close(resolve)) };
+};
+
+const waitFor = async (condition, timeoutMs = 2000) => {
+	const deadline = Date.now() + timeoutMs;
+	while (!condition()) {
+		if (Date.now() > deadline) {
+			throw new Error("Timed out waiting for the deliveries");
+		}
+		await new Promise((resolve) => setTimeout(resolve, 10));
+	}
+};
+
+const createDispatcher = (webhook, options = {}) => {
+	const webhookStore = new MemoryStore();
+	webhookStore.set(webhook.id, webhook);
+	return new WebhookDispatcher(webhookStore, new MemoryStore(), {
+		maxAttempts: 3,
+		retryBaseMs: 20,
+		timeoutMs: 1000,
+		logSize: 10,
+		isAllowedAddress: createAddressFilter(["127.0.0.1"]),
+		...options,
+	});
+};
+
+test("signPayload is the HMAC-SHA256 of the timestamp and body", () => {
+	const expected = crypto.createHmac("sha256", "whsec_test").update('1700000000.{"a":1}').digest("hex");
+	assert.equal(signPayload("whsec_test", "1700000000", '{"a":1}'), `sha256=${expected}`);
+	assert.notEqual(signPayload("whsec_test", "1700000001", '{"a":1}'), `sha256=${expected}`);
+});
+
+test("non-public addresses are refused unless allowlisted", () => {
+	const isAllowed = createAddressFilter(["hooks.internal", "10.1.0.0/16", "::1"]);
+
+	assert.equal(isAllowed("example.com", "93.184.215.14"), true);
+	for (const address of ["127.0.0.1", "10.2.0.1", "172.16.5.4", "192.168.1.1", "169.254.169.254", "0.0.0.0", "fe80::1", "fd00::1", "::ffff:127.0.0.1"]) {
+		assert.equal(isAllowed("example.com", address), false, address);
+	}
+	assert.equal(isAllowed("HOOKS.internal", "192.168.1.1"), true);
+	assert.equal(isAllowed("example.com", "10.1.200.3"), true);
+	assert.equal(isAllowed("localhost", "::1"), true);
+});
+
+test("checkWebhookUrl rejects URLs that resolve to refused addresses", async () => {
+	const isAllowed = createAddressFilter();
+	await assert.rejects(checkWebhookUrl("http://127.0.0.1:22/", isAllowed), { code: "ADDRESS_NOT_ALLOWED" });
+	await assert.rejects(checkWebhookUrl("http://[::1]/", isAllowed), { code: "ADDRESS_NOT_ALLOWED" });
+	await checkWebhookUrl("http://93.184.215.14/hook", isAllowed);
+});
+
+test("events are delivered signed and retried until the receiver accepts them", async (t) => {
+	const receiver = await startReceiver([500, 503, 200]);
+	t.after(receiver.close);
+
+	const webhook = { id: "hook-1", ownerId: "alice", url: receiver.url, events: ["document.uploaded"], secret: "whsec_test" };
+	const dispatcher = createDispatcher(webhook);
+
+	const [deliveryId] = dispatcher.emit("alice", "document.uploaded", { id: "pdf-1" });
+	assert.deepEqual(dispatcher.emit("bob", "document.uploaded", { id: "pdf-2" }), []);
+	assert.deepEqual(dispatcher.emit("alice", "chat.completed", {}), []);
+
+	await waitFor(() => dispatcher.deliveryStore.get(deliveryId).status !== "pending");
+	const delivery = dispatcher.deliveryStore.get(deliveryId);
+	assert.equal(delivery.status, "delivered");
+	assert.deepEqual(
+		delivery.attempts.map((attempt) => attempt.statusCode),
+		[500, 503, 200],
+	);
+
+	// Each retry waits twice as long as the one before
+	const [first, second, third] = delivery.attempts.map((attempt) => new Date(attempt.at).getTime());
+	assert.ok(second - first >= 20);
+	assert.ok(third - second >= 40);
+
+	const { headers, body } = receiver.requests[2];
+	assert.equal(headers["x-webhook-signature"], signPayload("whsec_test", headers["x-webhook-timestamp"], body));
+	assert.equal(JSON.parse(body).data.id, "pdf-1");
+});
+
+test("deliveries to refused addresses fail without reporting connection details", async () => {
+	const webhook = { id: "hook-2", ownerId: "alice", url: "http://127.0.0.1:1/", events: ["document.uploaded"], secret: "whsec_test" };
+	const dispatcher = createDispatcher(webhook, { maxAttempts: 2, isAllowedAddress: createAddressFilter() });
+
+	const [deliveryId] = dispatcher.emit("alice", "document.uploaded", {});
+	await waitFor(() => dispatcher.deliveryStore.get(deliveryId).status !== "pending");
+
+	const delivery = dispatcher.deliveryStore.get(deliveryId);
+	assert.equal(delivery.status, "failed");
+	assert.equal(delivery.attempts.length, 2);
+	for (const attempt of delivery.attempts) {
+		assert.equal(attempt.statusCode, undefined);
+		assert.equal(attempt.error, "The webhook URL resolves to an address webhooks may not be sent to");
+	}
+});
+
+test("connection errors are logged without the underlying error text", async () => {
+	const receiver = await startReceiver([200]);
+	await receiver.close();
+
+	const webhook = { id: "hook-3", ownerId: "alice", url: receiver.url, events: ["document.uploaded"], secret: "whsec_test" };
+	const dispatcher = createDispatcher(webhook, { maxAttempts: 1 });
+
+	const [deliveryId] = dispatcher.emit("alice", "document.uploaded", {});
+	await waitFor(() => dispatcher.deliveryStore.get(deliveryId).status !== "pending");
+	assert.deepEqual(
+		dispatcher.deliveryStore.get(deliveryId).attempts.map((attempt) => attempt.error),
+		["Could not connect to the webhook URL"],
+	);
+});